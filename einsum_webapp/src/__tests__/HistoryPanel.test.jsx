@@ -0,0 +1,62 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import HistoryPanel from '../components/visual/HistoryPanel.jsx';
+
+describe('HistoryPanel', () => {
+    const mockOnSelectTree = jest.fn();
+    const mockOnUpdateEntry = jest.fn();
+    const mockOnClear = jest.fn();
+    const history = [
+        { id: 1, parentId: null, label: 'Parse expression', expression: 'A[i,j],B[j,k]->[i,k]', indexSizes: { i: 2, j: 2, k: 2 }, totalOperations: 16, peakMemory: 64 },
+        { id: 2, parentId: 1, label: 'Swap operands of [i,k]', expression: 'B[j,k],A[i,j]->[i,k]', indexSizes: { i: 2, j: 2, k: 2 }, totalOperations: 8, peakMemory: 128 }
+    ];
+
+    const renderPanel = () => render(
+        <HistoryPanel
+            history={history}
+            currentExpression={history[0].expression}
+            onSelectTree={mockOnSelectTree}
+            onUpdateEntry={mockOnUpdateEntry}
+            onClear={mockOnClear}
+            formatOperations={String}
+            formatSize={(size) => `${size} Bytes`}
+        />
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('shows the metrics of every variant', () => {
+        renderPanel();
+        expect(screen.getByText('16 ops | peak 64 Bytes')).toBeInTheDocument();
+        expect(screen.getByText('8 ops | peak 128 Bytes')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('Swap operands of [i,k]'));
+        expect(mockOnSelectTree).toHaveBeenCalledWith(history[1]);
+    });
+
+    test('pins and renames entries', () => {
+        renderPanel();
+        fireEvent.click(screen.getAllByRole('button', { name: 'Pin' })[1]);
+        expect(mockOnUpdateEntry).toHaveBeenCalledWith(history[1].expression, { pinned: true });
+        expect(mockOnSelectTree).not.toHaveBeenCalled();
+
+        fireEvent.click(screen.getAllByRole('button', { name: 'Edit' })[0]);
+        fireEvent.change(screen.getByPlaceholderText('Name'), { target: { value: ' Baseline ' } });
+        fireEvent.change(screen.getByPlaceholderText('Notes'), { target: { value: 'reference order' } });
+        fireEvent.click(screen.getByText('Save'));
+        expect(mockOnUpdateEntry).toHaveBeenCalledWith(history[0].expression, { name: 'Baseline', notes: 'reference order' });
+    });
+
+    test('filters entries', () => {
+        renderPanel();
+        fireEvent.change(screen.getByPlaceholderText(/Filter/), { target: { value: 'ops<10' } });
+        expect(screen.queryByText('Parse expression')).not.toBeInTheDocument();
+        expect(screen.getByText('Swap operands of [i,k]')).toBeInTheDocument();
+
+        fireEvent.change(screen.getByPlaceholderText(/Filter/), { target: { value: 'index:x' } });
+        expect(screen.getByText('No entry matches the filter.')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,50 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TreeEditor from '../components/visual/TreeEditor.jsx';
+
+describe('TreeEditor', () => {
+    const addTensor = (name, indices) => {
+        fireEvent.change(screen.getByPlaceholderText(/name/i), { target: { value: name } });
+        fireEvent.change(screen.getByPlaceholderText(/indices/i), { target: { value: indices } });
+        fireEvent.click(screen.getByText('Add Tensor'));
+    };
+
+    test('builds a tree from leaves and contractions', () => {
+        const onBuild = jest.fn();
+        render(<TreeEditor onBuild={onBuild} />);
+
+        addTensor('A', 'i,j');
+        addTensor('B', 'j,k');
+        addTensor('C', 'k,l');
+
+        fireEvent.click(screen.getByText('A'));
+        fireEvent.click(screen.getByText('B'));
+        const output = screen.getByDisplayValue('k,i');
+        fireEvent.change(output, { target: { value: 'i,k' } });
+        fireEvent.click(screen.getByText('Contract'));
+
+        fireEvent.click(screen.getByText('C'));
+        expect(screen.getByDisplayValue('l,i')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('Contract'));
+
+        fireEvent.click(screen.getByText('Use Tree'));
+        expect(onBuild).toHaveBeenCalledTimes(1);
+        expect(onBuild.mock.calls[0][0].treeToString()).toBe('[A[i,j],B[j,k]->[i,k]],C[k,l]->[l,i]');
+    });
+
+    test('splits a contraction back into its operands', () => {
+        render(<TreeEditor onBuild={jest.fn()} />);
+        addTensor('A', 'i,j');
+        addTensor('B', 'j,k');
+
+        fireEvent.click(screen.getByText('A'));
+        fireEvent.click(screen.getByText('B'));
+        fireEvent.click(screen.getByText('Contract'));
+        expect(screen.queryByText('A')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('Split'));
+        expect(screen.getByText('A')).toBeInTheDocument();
+        expect(screen.getByText('B')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,140 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import { ExportFormatType } from '../components/utils/constants.jsx';
+import {
+    assignSubscripts,
+    evaluationPlan,
+    numpyScript,
+    torchModule,
+    jaxModule,
+    pythonSnippet,
+    cProgram,
+    codeSnippet
+} from '../components/utils/codeExport.jsx';
+
+describe('Code Export', () => {
+    const indexSizes = { a: 2, b: 3, c: 4, d: 5 };
+
+    test('assigns single letter subscripts', () => {
+        expect(assignSubscripts(['a', 'b', 'a'])).toEqual({ a: 'a', b: 'b' });
+        expect(assignSubscripts(['0', 'a', 'ij'])).toEqual({ 0: 'b', a: 'a', ij: 'c' });
+        expect(() => assignSubscripts(Array.from({ length: 53 }, (_, i) => `${i}`))).toThrow(/at most 52/);
+    });
+
+    test('lists the contractions in evaluation order', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const root = tree.getRoot();
+        const plan = evaluationPlan(root);
+
+        expect(plan.leaves.map(leaf => leaf.node.value.join(''))).toEqual(['ab', 'bc', 'cd']);
+        expect(plan.steps.map(step => step.operands)).toEqual([['in0', 'in1'], ['step1', 'in2']]);
+        expect(plan.result).toBe('step2');
+
+        const reordered = evaluationPlan(root, [root.left.id, root.id]);
+        expect(reordered.steps.map(step => step.node.id)).toEqual([root.left.id, root.id]);
+    });
+
+    test('creates a NumPy script with a reference check', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[[c,d]->[d,c]]->[a,d]');
+        const script = numpyScript(tree.getRoot(), indexSizes, 8);
+
+        expect(script).toContain('dtype = np.float64');
+        expect(script).toContain('in0 = rng.standard_normal((2, 3), dtype=dtype)  # [a,b]');
+        expect(script).toContain("step1 = np.einsum('ab,bc->ac', in0, in1)  # [a,b], [b,c] -> [a,c]");
+        expect(script).toContain("step2 = np.einsum('cd->dc', in2)  # [c,d] -> [d,c]");
+        expect(script).toContain("step3 = np.einsum('ac,dc->ad', step1, step2)");
+        expect(script).toContain('result = step3');
+        expect(script).toContain("reference = np.einsum('ab,bc,cd->ad', in0, in1, in2, optimize=True)");
+    });
+
+    test('maps non-letter indices to free subscripts', () => {
+        const tree = new Tree('[0,1],[1,2]->[0,2]');
+        const script = numpyScript(tree.getRoot(), { 0: 2, 1: 3, 2: 4 }, 4);
+
+        expect(script).toContain('# Subscripts: a=0 (2), b=1 (3), c=2 (4)');
+        expect(script).toContain('dtype = np.float32');
+        expect(script).toContain("step1 = np.einsum('ab,bc->ac', in0, in1)");
+        expect(() => numpyScript(null, {}, 4)).toThrow(/empty/);
+    });
+
+    test('creates a PyTorch module with permute calls', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[[c,d]->[d,c]]->[a,d]');
+        const module = torchModule(tree.getRoot(), indexSizes, 4);
+
+        expect(module).toContain('DTYPE = torch.float32');
+        expect(module).toContain('def einsum_tree(in0, in1, in2):');
+        expect(module).toContain("    step1 = torch.einsum('ab,bc->ac', in0, in1)");
+        expect(module).toContain('    step2 = in2.permute(1, 0)  # [c,d] -> [d,c]');
+        expect(module).toContain('    return step3');
+        expect(module).toContain('    in2 = torch.randn((4, 5), dtype=DTYPE)');
+    });
+
+    test('creates a JAX module honoring double precision', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[[c,d]->[d,c]]->[a,d]');
+        const module = jaxModule(tree.getRoot(), indexSizes, 8);
+
+        expect(module).toContain('jax.config.update("jax_enable_x64", True)');
+        expect(module).toContain('DTYPE = jnp.float64');
+        expect(module).toContain('@jax.jit');
+        expect(module).toContain('    step2 = jnp.transpose(in2, (1, 0))');
+        expect(module).toContain('    keys = jax.random.split(jax.random.PRNGKey(0), 3)');
+        expect(jaxModule(tree.getRoot(), indexSizes, 4)).not.toContain('jax_enable_x64');
+    });
+
+    test('creates snippets that follow the execution order', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[[c,d]->[d,c]]->[a,d]');
+        const root = tree.getRoot();
+        const snippet = pythonSnippet(root, ExportFormatType.PyTorch, [root.right.id, root.left.id, root.id]);
+
+        expect(snippet.split('\n')).toEqual([
+            '# Inputs: in0 [a,b], in1 [b,c], in2 [c,d]',
+            'step1 = in2.permute(1, 0)  # [c,d] -> [d,c]',
+            "step2 = torch.einsum('ab,bc->ac', in0, in1)  # [a,b], [b,c] -> [a,c]",
+            "step3 = torch.einsum('ac,dc->ad', step2, step1)  # [a,c], [d,c] -> [a,d]",
+            'result = step3'
+        ]);
+    });
+
+    test('creates a C program with classified loop nests', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[[c,d]->[d,c]]->[a,d]');
+        const program = cProgram(tree.getRoot(), indexSizes, 8);
+
+        expect(program).toContain('typedef double real;');
+        expect(program).toContain('static void compute_step1(const real *restrict left, const real *restrict right, real *restrict out) {');
+        expect(program).toContain('/* [a,b], [b,c] -> [a,c], loops a, b, c */');
+        expect(program).toContain('            out[i_a * 4 + i_c] += left[i_a * 3 + i_b] * right[i_b * 4 + i_c];');
+        expect(program).toContain('static void compute_step2(const real *restrict in, real *restrict out) {');
+        expect(program).toContain('        out[i_d * 4 + i_c] += in[i_c * 5 + i_d];');
+        expect(program).toContain('    real *step1 = allocate(8); /* [a,c], 64 bytes */');
+        expect(program).toContain('    compute_step3(step1, step2, step3);');
+        expect(program).toContain('checksum += step3[i];');
+    });
+
+    test('exports n-ary nodes as a single einsum and loop nest', () => {
+        const root = new Tree('[a,b],[b,c],[c,d]->[a,d]').getRoot();
+
+        expect(pythonSnippet(root, ExportFormatType.NumPy)).toContain("step1 = np.einsum('ab,bc,cd->ad', in0, in1, in2)");
+        const program = cProgram(root, indexSizes, 4);
+        expect(program).toContain('static void compute_step1(const real *restrict in0, const real *restrict in1, const real *restrict in2, real *restrict out) {');
+        expect(program).toContain('out[i_a * 5 + i_d] += in0[i_a * 3 + i_b] * in1[i_b * 4 + i_c] * in2[i_c * 5 + i_d];');
+    });
+
+    test('broadcasts with an operand of ones', () => {
+        const root = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[e,a,d]').getRoot();
+        const sizes = { ...indexSizes, e: 6 };
+
+        const script = numpyScript(root, sizes, 4);
+        expect(script).toContain("step2 = np.einsum('ac,cd,e->ead', step1, in2, np.ones((6,), dtype=step1.dtype))");
+        expect(script).toContain("reference = np.einsum('ab,bc,cd,e->ead', in0, in1, in2, np.ones((6,), dtype=dtype), optimize=True)");
+        expect(torchModule(root, sizes, 4)).toContain('torch.ones((6,), dtype=step1.dtype, device=step1.device)');
+        expect(codeSnippet(root, ExportFormatType.JAX, sizes)).toContain('jnp.ones((6,), dtype=step1.dtype)');
+    });
+
+    test('creates snippets in every format', () => {
+        const tree = new Tree('[0,1],[1,2]->[0,2]');
+        const sizes = { 0: 2, 1: 3, 2: 4 };
+
+        expect(codeSnippet(tree.getRoot(), ExportFormatType.C, sizes)).toMatch(/^\/\* \[0,1\], \[1,2\] -> \[0,2\]/);
+        expect(codeSnippet(tree.getRoot(), ExportFormatType.C, sizes)).toContain('out[i_0 * 4 + i_2] += left[i_0 * 3 + i_1] * right[i_1 * 4 + i_2];');
+        expect(codeSnippet(tree.getRoot(), ExportFormatType.NumPy, sizes)).toContain("step1 = np.einsum('ab,bc->ac', in0, in1)");
+    });
+});
@@ -44,6 +44,24 @@ describe('Compression Utilities', () => {
         expect(url.includes('&s=')).toBeTruthy();
     });
 
+    test('round-trips named index labels through a shareable URL', () => {
+        const expression = '[[batch,seq,d_model],[d_model,head]->[batch,seq,head]]';
+        const indexSizes = { batch: 8, seq: 128, d_model: 512, head: 64 };
+
+        const params = new URL(createShareableUrl(expression, indexSizes)).searchParams;
+        expect(decompressData(params.get('e'))).toBe(expression);
+        expect(decompressData(params.get('s'))).toEqual(indexSizes);
+    });
+
+    test('round-trips tensor names through a shareable URL', () => {
+        const expression = '[X[batch,seq,d_model],W_q[d_model,head]->[batch,seq,head]]';
+        const indexSizes = { batch: 8, seq: 128, d_model: 512, head: 64 };
+
+        const params = new URL(createShareableUrl(expression, indexSizes)).searchParams;
+        expect(decompressData(params.get('e'))).toBe(expression);
+        expect(decompressData(params.get('s'))).toEqual(indexSizes);
+    });
+
     test('handles invalid shareable URL data', () => {
         const url = createShareableUrl(null, null);
         expect(url).toBeNull();
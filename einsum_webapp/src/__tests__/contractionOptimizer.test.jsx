@@ -0,0 +1,110 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import { calculatePeakMemory } from '../components/utils/memoryAnalysis.jsx';
+import { buildContractionTree } from '../components/utils/einsumStringParser.jsx';
+import {
+    contractionCost,
+    contractionOperations,
+    greedyContractionTree,
+    optimalContractionTree,
+    MAX_OPTIMAL_LEAVES
+} from '../components/utils/contractionOptimizer.jsx';
+
+describe('Contraction Optimizer', () => {
+    const indexSizes = { a: 100, b: 2, c: 100, d: 2 };
+
+    test('computes pairwise contraction cost', () => {
+        // 2 * (a * c) * b - (a * c)
+        expect(contractionCost(['a', 'b'], ['b', 'c'], ['a', 'c'], indexSizes)).toBe(30000);
+    });
+
+    test('greedy order contracts the cheap pair first', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const optimized = greedyContractionTree(tree, indexSizes);
+
+        expect(optimized.treeToString()).toBe('[a,b],[[b,c],[c,d]->[d,b]]->[a,d]');
+
+        const before = calculateNodeMetrics(indexSizes, tree.getRoot(), 4).totalOperations;
+        const after = calculateNodeMetrics(indexSizes, optimized.getRoot(), 4).totalOperations;
+        expect(after).toBe(1396);
+        expect(after).toBeLessThan(before);
+    });
+
+    test('keeps the root indices of the original tree', () => {
+        const tree = new Tree('[[i,j],[j,k]->[k,i]],[[k,l],[l,m]->[m,k]]->[m,i]');
+        const optimized = greedyContractionTree(tree, { i: 3, j: 4, k: 5, l: 6, m: 7 });
+        expect(optimized.getRoot().value).toEqual(['m', 'i']);
+        expect(optimized.getLeaves()).toHaveLength(4);
+    });
+
+    test('handles single leaf and empty trees', () => {
+        expect(greedyContractionTree(new Tree(), {})).toBeNull();
+        const optimized = greedyContractionTree(new Tree('[i,j]->[j,i]'), {});
+        expect(optimized.treeToString()).toBe('[i,j]->[j,i]');
+    });
+
+    test('exact search finds the minimum operation count', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const { tree: optimal, cost } = optimalContractionTree(tree, indexSizes, 'flops');
+
+        expect(cost).toBe(1396);
+        expect(calculateNodeMetrics(indexSizes, optimal.getRoot(), 4).totalOperations).toBe(cost);
+    });
+
+    test('compares the contractions of a tree without its permutations', () => {
+        const tree = new Tree('[a,b],[[b,c],[[c,d]->[d,c]]->[d,b]]->[a,d]');
+        const { cost } = optimalContractionTree(tree, indexSizes, 'flops');
+
+        expect(contractionOperations(tree, indexSizes)).toBe(cost);
+        expect(calculateNodeMetrics(indexSizes, tree.getRoot(), 4).totalOperations).toBeGreaterThan(cost);
+        expect(contractionOperations(new Tree(), indexSizes)).toBe(0);
+    });
+
+    test('exact search is never worse than greedy', () => {
+        const inputs = [['a', 'b', 'x'], ['b', 'c'], ['c', 'd', 'x'], ['d', 'e'], ['e', 'a']];
+        const sizes = { a: 5, b: 9, c: 2, d: 8, e: 3, x: 4 };
+        const tree = buildContractionTree(inputs, ['x']);
+
+        const greedy = greedyContractionTree(tree, sizes);
+        const { cost } = optimalContractionTree(tree, sizes, 'flops');
+        expect(cost).toBeLessThanOrEqual(calculateNodeMetrics(sizes, greedy.getRoot(), 4).totalOperations);
+    });
+
+    test('exact search minimizes peak memory', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const { tree: optimal, cost } = optimalContractionTree(tree, indexSizes, 'memory', 4);
+
+        expect(cost).toBe(calculatePeakMemory(optimal.getRoot(), indexSizes, 4));
+        expect(cost).toBeLessThanOrEqual(calculatePeakMemory(tree.getRoot(), indexSizes, 4));
+    });
+
+    test('keeps the tensor names of the leaves', () => {
+        const tree = new Tree('[Q[a,b],K[b,c]->[a,c]],V[c,d]->[a,d]');
+        const names = (result) => result.getLeaves().map(leaf => leaf.name).sort();
+
+        expect(names(greedyContractionTree(tree, indexSizes))).toEqual(['K', 'Q', 'V']);
+        expect(names(optimalContractionTree(tree, indexSizes, 'flops').tree)).toEqual(['K', 'Q', 'V']);
+        expect(names(greedyContractionTree(new Tree('Q[a,b]->[b,a]'), indexSizes))).toEqual(['Q']);
+    });
+
+    test('refuses networks above the leaf limit', () => {
+        const inputs = Array.from({ length: MAX_OPTIMAL_LEAVES + 1 }, (_, i) => [`i${i}`, `i${i + 1}`]);
+        const tree = buildContractionTree(inputs, ['i0']);
+        expect(optimalContractionTree(tree, {}, 'flops')).toBeNull();
+    });
+
+    test('keeps node ids unique when the loaded tree is edited afterwards', () => {
+        const collectIds = (node) => node
+            ? [node.id, ...collectIds(node.left), ...collectIds(node.right), ...node.extraChildren.flatMap(collectIds)]
+            : [];
+
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        tree.getLeaves().forEach(leaf => tree.addPermutationNode(leaf.id));
+        greedyContractionTree(tree, indexSizes);
+        optimalContractionTree(tree, indexSizes, 'flops');
+
+        tree.addPermutationNode(tree.getRoot().id);
+        const ids = collectIds(tree.getRoot());
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+});
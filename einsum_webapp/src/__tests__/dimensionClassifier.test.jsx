@@ -1,4 +1,4 @@
-import { dimensionTypes } from '../components/utils/dimensionClassifier.jsx';
+import { dimensionTypes, classifyDimensions, createDimensionClassifier, DiagnosticCode, DiagnosticSeverity } from '../components/utils/dimensionClassifier.jsx';
 
 describe('DimensionClassifier', () => {
     test('classifies CB dimension correctly', () => {
@@ -163,3 +163,117 @@ describe('DimensionClassifier', () => {
         expect(result.loop.bk).toEqual(["4", "5"]);
     });
 });
+
+describe('SimplifiedDimensionClassifier', () => {
+    test('classifies by set membership regardless of order', () => {
+        const result = dimensionTypes(['i', 'b', 'j'], ['k', 'b', 'i'], ['b', 'j', 'k'], 'simplified');
+
+        expect(result.primitive).toEqual({ cb: ['b'], mb: ['i'], nb: ['j'], kb: ['k'] });
+        expect(result.loop).toEqual({ bc: [], bm: [], bn: [], bk: [] });
+    });
+
+    test('sums indices of a single operand before classifying', () => {
+        const node = ['a', 'c'];
+        const left = ['a', 'b'];
+        const right = ['c'];
+
+        expect(dimensionTypes(node, left, right).loop.bm).toEqual(['a']);
+        ['standard', 'simplified'].forEach(type => {
+            const { dimTypes, special } = classifyDimensions(node, left, right, type);
+            expect(dimTypes.primitive.nb).toEqual(['c']);
+            expect(special.indices).toEqual([{ type: 'reduction', index: 'b', operand: 'left' }]);
+            expect(special.operands[0]).toEqual({ input: ['a', 'b'], output: ['a'] });
+        });
+    });
+
+    test('broadcasts output indices missing in both operands', () => {
+        const { dimTypes, special } = classifyDimensions(['a', 'x'], ['a', 'b'], ['b'], 'simplified');
+        expect(dimTypes.primitive).toEqual({ cb: [], mb: ['a'], nb: [], kb: ['b'] });
+        expect(special.indices).toEqual([{ type: 'broadcast', index: 'x', operand: 'output' }]);
+        expect(special.output).toEqual(['a']);
+    });
+});
+
+describe('Special Indices', () => {
+    test('extracts diagonals of repeated indices that are kept', () => {
+        const { dimTypes, special } = classifyDimensions(['j'], ['i', 'i'], ['i', 'j'], 'simplified');
+        expect(dimTypes.primitive).toEqual({ cb: [], mb: [], nb: ['j'], kb: ['i'] });
+        expect(special.indices).toEqual([{ type: 'diagonal', index: 'i', operand: 'left' }]);
+        expect(special.operands[0]).toEqual({ input: ['i'], output: ['i'] });
+    });
+
+    test('sums repeated indices that are not kept as a trace', () => {
+        const { dimTypes, special } = classifyDimensions(['j'], ['i', 'i'], ['j']);
+        expect(dimTypes.primitive).toEqual({ cb: [], mb: [], nb: ['j'], kb: [] });
+        expect(special.indices).toEqual([{ type: 'trace', index: 'i', operand: 'left' }]);
+        expect(special.operands[0]).toEqual({ input: ['i'], output: [] });
+    });
+
+    test('finds no special indices in plain contractions', () => {
+        expect(classifyDimensions(['i', 'j'], ['i', 'k'], ['k', 'j']).special.indices).toEqual([]);
+    });
+});
+
+describe('Classification Diagnostics', () => {
+    test('reports an index summed within a single operand', () => {
+        const classifier = createDimensionClassifier('standard', ['a', 'c'], ['a', 'b'], ['c']);
+        const dimTypes = classifier.classify();
+        const diagnostics = classifier.getDiagnostics();
+
+        expect(dimTypes).toBeNull();
+        expect(diagnostics).toHaveLength(1);
+        expect(diagnostics[0]).toMatchObject({
+            code: DiagnosticCode.UNMATCHED_K_INDEX,
+            index: 'b',
+            operand: 'left'
+        });
+        expect(diagnostics[0].suggestion).toMatch(/b/);
+    });
+
+    test('reports unexpected failures as error diagnostics', () => {
+        const classifier = createDimensionClassifier('standard', ['a', 'c'], ['a', 'b'], ['b', 'c']);
+
+        expect(classifier.handleError(new TypeError('unexpected failure'))).toBeNull();
+        expect(classifier.getDiagnostics()).toEqual([
+            expect.objectContaining({
+                code: DiagnosticCode.MALFORMED_CONTRACTION,
+                severity: DiagnosticSeverity.Error,
+                message: 'unexpected failure'
+            })
+        ]);
+    });
+
+    test('reports output indices missing in both operands', () => {
+        ['standard', 'simplified'].forEach(type => {
+            const classifier = createDimensionClassifier(type, ['a', 'x'], ['a', 'b'], ['b']);
+            classifier.classify();
+            expect(classifier.getDiagnostics()[0]).toMatchObject({
+                code: DiagnosticCode.MISSING_OUTPUT_INDEX,
+                index: 'x',
+                operand: 'output'
+            });
+        });
+    });
+
+    test('reports repeated indices', () => {
+        const { diagnostics } = classifyDimensions(['a', 'a'], ['a', 'b'], ['a', 'b'], 'simplified');
+        expect(diagnostics[0]).toMatchObject({
+            code: DiagnosticCode.DUPLICATE_INDEX,
+            index: 'a',
+            operand: 'output'
+        });
+    });
+
+    test('warns about reduction and broadcast indices', () => {
+        const { dimTypes, diagnostics } = classifyDimensions(['x', 'i', 'j'], ['i', 'k', 'q'], ['k', 'j']);
+        expect(dimTypes).not.toBeNull();
+        expect(diagnostics).toEqual([
+            expect.objectContaining({ code: DiagnosticCode.UNMATCHED_K_INDEX, severity: DiagnosticSeverity.Warning, index: 'q', operand: 'left' }),
+            expect.objectContaining({ code: DiagnosticCode.MISSING_OUTPUT_INDEX, severity: DiagnosticSeverity.Warning, index: 'x', operand: 'output' })
+        ]);
+    });
+
+    test('returns no diagnostics for valid contractions', () => {
+        expect(classifyDimensions(['i', 'j'], ['i', 'k'], ['k', 'j']).diagnostics).toEqual([]);
+    });
+});
@@ -1,4 +1,4 @@
-import { Tree, Node, parseTree, reconstructNode } from '../components/utils/einsumContractionTree.jsx';
+import { Tree, Node, parseTree, reconstructNode, assignTensorNames } from '../components/utils/einsumContractionTree.jsx';
 
 describe('Tree Operations', () => {
     let tree;
@@ -29,6 +29,146 @@ describe('Tree Operations', () => {
         expect(tree.treeToString()).toBe('[i,j]->[j]');
     });
 
+    test('parses and serializes named index labels', () => {
+        const expression = '[[batch,seq,d_model],[d_model,head]->[batch,seq,head]],[head,d_k2]->[batch,seq,d_k2]';
+        tree = new Tree(expression);
+        expect(tree.getRoot().left.left.value).toEqual(['batch', 'seq', 'd_model']);
+        expect(tree.getRoot().value).toEqual(['batch', 'seq', 'd_k2']);
+        expect(tree.treeToString()).toBe(expression);
+        expect(new Tree('[a-b]->[a]').getRoot()).toBeNull();
+    });
+
+    test('parses and serializes named leaves', () => {
+        const expression = '[Q[b,s,d],K[b,t,d]->[b,s,t]],[b,t,e]->[b,s,e]';
+        tree = new Tree(expression);
+        const root = tree.getRoot();
+        expect(root.left.left.name).toBe('Q');
+        expect(root.left.right.name).toBe('K');
+        expect(root.left.right.value).toEqual(['b', 't', 'd']);
+        expect(root.right.name).toBeNull();
+        expect(root.left.name).toBeNull();
+        expect(tree.treeToString()).toBe(expression);
+        expect(tree.clone().treeToString()).toBe(expression);
+    });
+
+    test('rejects names on contractions and invalid names', () => {
+        expect(parseTree('X[[a,b],[b,c]->[a,c]],[c]->[a]')).toBeNull();
+        expect(parseTree('1x[a,b],[b]->[a]')).toBeNull();
+    });
+
+    test('keeps leaf names when adding and removing permutations', () => {
+        tree = new Tree('A[i,j],B[j,k]->[i,k]');
+        const leafId = tree.getRoot().left.id;
+        tree.addPermutationNode(leafId);
+        expect(tree.treeToString()).toBe('[A[i,j]->[i,j]],B[j,k]->[i,k]');
+
+        tree.removePermutationNode(tree.getRoot().left.left.id);
+        expect(tree.treeToString()).toBe('A[i,j],B[j,k]->[i,k]');
+    });
+
+    test('parses and serializes n-ary nodes', () => {
+        const expression = '[A[a,b],B[b,c],C[c,d]->[a,d]],[d,e]->[a,e]';
+        tree = new Tree(expression);
+        const nary = tree.getRoot().left;
+        expect(nary.isNary()).toBe(true);
+        expect(nary.extraChildren.map(child => child.name)).toEqual(['C']);
+        expect(tree.getLeaves().map(leaf => leaf.value.join(''))).toEqual(['ab', 'bc', 'cd', 'de']);
+        expect(tree.treeToString()).toBe(expression);
+        expect(tree.clone().treeToString()).toBe(expression);
+        expect(tree.findNode(nary.extraChildren[0].id)).toBe(nary.extraChildren[0]);
+    });
+
+    test('binarizes an n-ary node in the chosen order', () => {
+        tree = new Tree('A[a,b],B[b,c],C[c,d]->[a,d]');
+        const rootId = tree.getRoot().id;
+
+        expect(tree.binarizeNode(rootId, [0, 0, 1])).toBe(false);
+        expect(tree.binarizeNode(rootId, [2, 0, 1])).toBe(true);
+        expect(tree.getRoot().id).toBe(rootId);
+        expect(tree.getRoot().isNary()).toBe(false);
+        expect(tree.treeToString()).toBe('[C[c,d],A[a,b]->[a,b,c,d]],B[b,c]->[a,d]');
+
+        const fourOperands = new Tree('[a,b],[b,c],[c,d],[d,e]->[a,e]');
+        expect(fourOperands.binarizeNode(fourOperands.getRoot().id)).toBe(true);
+        expect(fourOperands.treeToString()).toBe('[[[a,b],[b,c]->[c,a]],[c,d]->[d,a]],[d,e]->[a,e]');
+        expect(fourOperands.binarizeNode(fourOperands.getRoot().id)).toBe(false);
+    });
+
+    test('lists diagonal, trace, reduction and broadcast indices', () => {
+        tree = new Tree('[[i,i,k]->[i]],[i,j,j]->[j,x]');
+        const root = tree.getRoot();
+        expect(root.left.specialIndices()).toEqual([
+            { type: 'diagonal', index: 'i', operand: 'left' },
+            { type: 'reduction', index: 'k', operand: 'left' }
+        ]);
+        expect(root.specialIndices()).toEqual([
+            { type: 'diagonal', index: 'j', operand: 'right' },
+            { type: 'broadcast', index: 'x', operand: 'output' }
+        ]);
+        expect(root.left.left.specialIndices()).toEqual([]);
+        expect(new Tree('[a,b],[b,c]->[a,c]').getRoot().specialIndices()).toEqual([]);
+    });
+
+    test('rotates contractions right and left', () => {
+        tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const rootId = tree.getRoot().id;
+
+        expect(tree.rotateLeft(rootId)).toBe(false);
+        expect(tree.rotateRight(rootId)).toBe(true);
+        expect(tree.getRoot().id).toBe(rootId);
+        expect(tree.treeToString()).toBe('[i,j],[[j,k],[k,l]->[l,j]]->[i,l]');
+
+        expect(tree.rotateRight(rootId)).toBe(false);
+        expect(tree.rotateLeft(rootId)).toBe(true);
+        expect(tree.treeToString()).toBe('[[i,j],[j,k]->[k,i]],[k,l]->[i,l]');
+    });
+
+    test('does not rotate at permutations, leaves or n-ary nodes', () => {
+        tree = new Tree('[[[i,j],[j,k]->[i,k]]->[k,i]],[k,l]->[i,l]');
+        expect(tree.rotateRight(tree.getRoot().id)).toBe(false);
+        expect(tree.rotateRight(tree.getRoot().right.id)).toBe(false);
+
+        const nary = new Tree('[[a,b],[b,c]->[a,c]],[c,d],[d,e]->[a,e]');
+        expect(nary.rotateRight(nary.getRoot().id)).toBe(false);
+    });
+
+    test('moves a subtree next to another node', () => {
+        tree = new Tree('[[A[i,j],B[j,k]->[i,k]],C[k,l]->[i,l]],D[l,m]->[i,m]');
+        const root = tree.getRoot();
+        const [c, a] = [root.left.right, root.left.left.left];
+
+        expect(tree.validateSubtreeMove(c.id, a.id)).toBeNull();
+        expect(tree.moveSubtree(c.id, a.id)).toBe(true);
+        // The parent of C is replaced by its other operand, which now passes on l
+        expect(tree.treeToString()).toBe('[[A[i,j],C[k,l]->[k,l,i,j]],B[j,k]->[i,l]],D[l,m]->[i,m]');
+    });
+
+    test('keeps the output when the root loses an operand', () => {
+        tree = new Tree('[[A[i,j],B[j,k]->[i,k]],C[k,l]->[i,l]],D[l,m]->[i,m]');
+        const root = tree.getRoot();
+        expect(tree.moveSubtree(root.right.id, root.left.left.left.id)).toBe(true);
+        expect(tree.treeToString()).toBe('[[A[i,j],D[l,m]->[l,m,i,j]],B[j,k]->[i,k,l,m]],C[k,l]->[i,m]');
+
+        const nary = new Tree('A[a,b],B[b,c],C[c,d]->[a,d]');
+        const naryRoot = nary.getRoot();
+        expect(nary.moveSubtree(naryRoot.extraChildren[0].id, naryRoot.left.id)).toBe(true);
+        expect(nary.treeToString()).toBe('[A[a,b],C[c,d]->[c,d,a,b]],B[b,c]->[a,d]');
+    });
+
+    test('refuses invalid subtree moves with a reason', () => {
+        tree = new Tree('[[[A[i,j]->[j,i]],B[j,k]->[i,k]],C[k,l]->[i,l]],D[l,m]->[i,m]');
+        const root = tree.getRoot();
+        const expression = tree.treeToString();
+
+        expect(tree.validateSubtreeMove(root.id, root.right.id)).toMatch(/root/);
+        expect(tree.validateSubtreeMove(root.left.id, root.left.left.id)).toMatch(/own nodes/);
+        expect(tree.validateSubtreeMove(root.left.left.left.left.id, root.right.id)).toMatch(/permutation/);
+        expect(tree.validateSubtreeMove(root.left.right.id, root.left.id)).toMatch(/already an operand/);
+        expect(tree.validateSubtreeMove(root.left.right.id, root.left.left.id)).toMatch(/already contracted/);
+        expect(tree.moveSubtree(root.left.right.id, root.left.left.id)).toBe(false);
+        expect(tree.treeToString()).toBe(expression);
+    });
+
     test('swaps children correctly', () => {
         tree = new Tree('[[i,j]->[j]],[[k,l]->[l]]->[j,l]');
         const rootId = tree.getRoot().id;
@@ -44,6 +184,49 @@ describe('Tree Operations', () => {
     });
 });
 
+describe('Tensor Names', () => {
+    test('names intermediates in post-order and keeps leaf names', () => {
+        const tree = new Tree('[A[i,j],B[j,k]->[i,k]],[[k,l],[l,m]->[k,m]]->[i,m]');
+        const root = tree.getRoot();
+        const { names } = assignTensorNames(root);
+        expect(names[root.left.left.id]).toBe('A');
+        expect(names[root.right.left.id]).toBeUndefined();
+        expect(names[root.left.id]).toBe('T1');
+        expect(names[root.right.id]).toBe('T2');
+        expect(names[root.id]).toBe('T3');
+    });
+
+    test('keeps names stable across edits', () => {
+        const tree = new Tree('[A[i,j],B[j,k]->[i,k]],C[k,m]->[i,m]');
+        const { registry } = assignTensorNames(tree.getRoot());
+
+        // Swapping operands and renaming output indices keep the subtrees
+        const edited = new Tree('C[k,m],[B[j,k],A[i,j]->[k,i]]->[m,i]');
+        const { names } = assignTensorNames(edited.getRoot(), registry);
+        expect(names[edited.getRoot().right.id]).toBe('T1');
+        expect(names[edited.getRoot().id]).toBe('T2');
+
+        // A new subtree gets a fresh name instead of reusing one
+        const regrouped = new Tree('A[i,j],[B[j,k],C[k,m]->[j,m]]->[i,m]');
+        const renamed = assignTensorNames(regrouped.getRoot(), registry).names;
+        expect(renamed[regrouped.getRoot().right.id]).toBe('T3');
+    });
+
+    test('does not clash with leaf names or repeated subtrees', () => {
+        const tree = new Tree('[T1[i,j],[j]->[i]],[[i,j],[j]->[i]]->[i]');
+        const root = tree.getRoot();
+        const { names } = assignTensorNames(root);
+        expect(names[root.left.id]).toBe('T2');
+        expect(names[root.right.id]).toBe('T3');
+        expect(names[root.id]).toBe('T4');
+
+        const repeated = new Tree('[[i,j],[j]->[i]],[[i,j],[j]->[i]]->[i]').getRoot();
+        const repeatedNames = assignTensorNames(repeated).names;
+        expect(repeatedNames[repeated.left.id]).toBe('T1');
+        expect(repeatedNames[repeated.right.id]).toBe('T2');
+    });
+});
+
 describe('Node Operations', () => {
     test('creates leaf node', () => {
         const node = new Node(['i', 'j']);
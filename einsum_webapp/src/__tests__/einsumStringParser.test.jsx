@@ -0,0 +1,69 @@
+import { parseEinsumString, buildContractionTree, einsumStringToTree } from '../components/utils/einsumStringParser.jsx';
+
+describe('Einsum String Parsing', () => {
+    test('parses single-letter operands', () => {
+        const { inputs, output } = parseEinsumString('abc,cd,de->abe');
+        expect(inputs).toEqual([['a', 'b', 'c'], ['c', 'd'], ['d', 'e']]);
+        expect(output).toEqual(['a', 'b', 'e']);
+    });
+
+    test('parses comma-separated operands', () => {
+        const { inputs, output } = parseEinsumString('[i,j10],[j10,k] -> [i,k]');
+        expect(inputs).toEqual([['i', 'j10'], ['j10', 'k']]);
+        expect(output).toEqual(['i', 'k']);
+    });
+
+    test('parses named labels in bracketed operands', () => {
+        const { inputs, output } = parseEinsumString('[batch,seq,d_model],[d_model,head]->[batch,seq,head]');
+        expect(inputs).toEqual([['batch', 'seq', 'd_model'], ['d_model', 'head']]);
+        expect(output).toEqual(['batch', 'seq', 'head']);
+        expect(() => parseEinsumString('a_b,bc->ac')).toThrow(/Invalid character/);
+    });
+
+    test('derives implicit output like numpy', () => {
+        const { output } = parseEinsumString('cb,ba');
+        expect(output).toEqual(['a', 'c']);
+    });
+
+    test('accepts scalar output', () => {
+        const { output } = parseEinsumString('ab,ab->');
+        expect(output).toEqual([]);
+    });
+
+    test('accepts repeated and broadcast indices', () => {
+        expect(parseEinsumString('ii->i')).toEqual({ inputs: [['i', 'i']], output: ['i'] });
+        expect(parseEinsumString('ii').output).toEqual([]);
+        expect(parseEinsumString('[i,j],[j,k]->[b,i,k]').output).toEqual(['b', 'i', 'k']);
+    });
+
+    test('rejects malformed strings', () => {
+        expect(() => parseEinsumString('ab,,bc->ac')).toThrow();
+        expect(() => parseEinsumString('ab,bc->aa')).toThrow(/Repeated index/);
+        expect(() => parseEinsumString('[a,b],[b,c]->[a,c')).toThrow();
+    });
+});
+
+describe('Default Contraction Tree', () => {
+    test('contracts operands from left to right', () => {
+        const { inputs, output } = parseEinsumString('abc,cd,de->abe');
+        const tree = buildContractionTree(inputs, output);
+        expect(tree.treeToString()).toBe('[[a,b,c],[c,d]->[d,a,b]],[d,e]->[a,b,e]');
+    });
+
+    test('wraps a single transposed operand in a permutation node', () => {
+        const tree = einsumStringToTree('ab->ba');
+        expect(tree.getRoot().value).toEqual(['b', 'a']);
+        expect(tree.getRoot().left.value).toEqual(['a', 'b']);
+        expect(tree.getRoot().deleteAble).toBe(true);
+    });
+
+    test('keeps diagonals and broadcasts in the tree', () => {
+        expect(einsumStringToTree('ii->i').treeToString()).toBe('[i,i]->[i]');
+        expect(einsumStringToTree('aab,bc,cd->ad').treeToString()).toBe('[[a,a,b],[b,c]->[c,a]],[c,d]->[a,d]');
+        expect(einsumStringToTree('ab,bc->xac').getRoot().value).toEqual(['x', 'a', 'c']);
+    });
+
+    test('returns null for invalid input', () => {
+        expect(einsumStringToTree('ab->cc')).toBeNull();
+    });
+});
@@ -0,0 +1,24 @@
+import { formatDuration, tailIndices } from '../components/utils/formatting.jsx';
+
+describe('Formatting', () => {
+    test('formats durations with a fitting unit', () => {
+        expect(formatDuration(2)).toBe('2.00 s');
+        expect(formatDuration(0.0015)).toBe('1.50 ms');
+        expect(formatDuration(3e-9)).toBe('3.00 ns');
+    });
+
+    test('keeps short index lists unchanged', () => {
+        expect(tailIndices(['i', 'j', 'k'], 10)).toEqual({ indices: ['i', 'j', 'k'], truncated: false });
+    });
+
+    test('drops leading indices without cutting labels', () => {
+        expect(tailIndices(['batch', 'seq', 'head', 'd_model'], 16)).toEqual({
+            indices: ['head', 'd_model'],
+            truncated: true
+        });
+        expect(tailIndices(['batch', 'sequence_length'], 8)).toEqual({
+            indices: ['sequence_length'],
+            truncated: true
+        });
+    });
+});
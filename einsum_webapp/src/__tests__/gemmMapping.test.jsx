@@ -0,0 +1,80 @@
+import { dimensionTypes } from '../components/utils/dimensionClassifier.jsx';
+import { ClassifierType } from '../components/utils/constants.jsx';
+import { gemmParameters, gemmSnippet, GemmLibrary } from '../components/utils/gemmMapping.jsx';
+
+describe('GEMM Mapping', () => {
+    const indexSizes = { b: 5, m: 2, k: 3, n: 4, x: 6, y: 7 };
+
+    const map = (node, left, right, classifierType = ClassifierType.Simplified) =>
+        gemmParameters(node, left, right, dimensionTypes(node, left, right, classifierType), indexSizes);
+
+    test('maps a plain matrix multiplication', () => {
+        const params = map(['m', 'n'], ['m', 'k'], ['k', 'n'], ClassifierType.Standard);
+        expect(params).toMatchObject({
+            mappable: true,
+            a: 'left', b: 'right',
+            m: 2, n: 4, k: 3, batchCount: 1,
+            transA: false, transB: false,
+            lda: 3, ldb: 4, ldc: 4
+        });
+    });
+
+    test('transposes operands whose rows are contiguous', () => {
+        const params = map(['m', 'n'], ['k', 'm'], ['n', 'k']);
+        expect(params).toMatchObject({ mappable: true, transA: true, transB: true, lda: 2, ldb: 3, ldc: 4 });
+    });
+
+    test('swaps the operands if M is contiguous in the output', () => {
+        const params = map(['n', 'm'], ['m', 'k'], ['k', 'n']);
+        expect(params).toMatchObject({
+            mappable: true,
+            a: 'right', b: 'left',
+            m: 4, n: 2, k: 3,
+            transA: true, transB: true,
+            lda: 4, ldb: 3, ldc: 2
+        });
+    });
+
+    test('collapses grouped indices and derives batch strides', () => {
+        const params = map(['b', 'm', 'x', 'n'], ['b', 'm', 'x', 'k', 'y'], ['b', 'k', 'y', 'n']);
+        expect(params).toMatchObject({
+            mappable: true,
+            m: 12, n: 4, k: 21, batchCount: 5,
+            lda: 21, ldb: 4, ldc: 4,
+            strideA: 252, strideB: 84, strideC: 48
+        });
+    });
+
+    test('explains why a contraction cannot be mapped', () => {
+        expect(map(['m', 'n', 'b'], ['m', 'k', 'b'], ['k', 'n', 'b'])).toMatchObject({
+            mappable: false,
+            reason: expect.stringMatching(/batch index b has unit stride/)
+        });
+        expect(map(['m', 'n'], ['k', 'm', 'y'], ['k', 'y', 'n']).reason).toMatch(/not adjacent in the left operand/);
+        expect(map(['m', 'n'], ['m', 'k', 'y'], ['y', 'k', 'n']).reason).toMatch(/ordered k,y in the left operand/);
+        expect(gemmParameters(['m'], ['m'], ['n'], null, indexSizes).mappable).toBe(false);
+    });
+
+    test('creates cuBLAS and OpenBLAS calls', () => {
+        const indices = { node: ['b', 'm', 'n'], left: ['b', 'm', 'k'], right: ['b', 'k', 'n'] };
+        const params = map(indices.node, indices.left, indices.right);
+
+        const cublas = gemmSnippet(params, GemmLibrary.CuBLAS, 4, indices);
+        expect(cublas).toContain('cublasSgemmStridedBatched(handle,');
+        expect(cublas).toContain('    4, 2, 3,');
+        expect(cublas).toContain('    right, 4, 12,');
+        expect(cublas).toContain('    left, 3, 6,');
+        expect(cublas).toContain('    out, 4, 8,');
+        expect(cublas).toContain('    5);');
+
+        const openblas = gemmSnippet(params, GemmLibrary.OpenBLAS, 8, indices);
+        expect(openblas).toContain('for (int batch = 0; batch < 5; ++batch) {');
+        expect(openblas).toContain('cblas_dgemm(CblasRowMajor, CblasNoTrans, CblasNoTrans,');
+        expect(openblas).toContain('1.0, left + batch * 6, 3,');
+
+        const single = map(['m', 'n'], ['m', 'k'], ['k', 'n']);
+        const plain = gemmSnippet(single, GemmLibrary.CuBLAS, 4, { node: ['m', 'n'], left: ['m', 'k'], right: ['k', 'n'] });
+        expect(plain).toContain('cublasSgemm(handle,');
+        expect(plain).toContain('    out, 4);');
+    });
+});
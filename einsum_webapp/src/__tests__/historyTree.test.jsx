@@ -0,0 +1,99 @@
+import {
+    addHistoryEntry,
+    updateHistoryEntry,
+    normalizeHistory,
+    flattenHistoryTree,
+    listHistory
+} from '../components/utils/historyTree.jsx';
+import { HistorySortType } from '../components/utils/constants.jsx';
+
+describe('History Tree', () => {
+    const entry = (expression, label = null) => ({ label, expression, indexSizes: { i: 2 }, nodes: [], edges: [] });
+
+    const rowsOf = (history) => flattenHistoryTree(history).map(({ entry, depth }) => `${depth}:${entry.expression}`);
+
+    test('records variants below the tree they were derived from', () => {
+        let history = addHistoryEntry([], entry('A', 'Parse expression'));
+        history = addHistoryEntry(history, entry('B', 'Swap'), 'A');
+        history = addHistoryEntry(history, entry('C', 'Rotate'), 'A');
+        history = addHistoryEntry(history, entry('D', 'Binarize'), 'B');
+        history = addHistoryEntry(history, entry('E'), null);
+
+        expect(history.find(item => item.expression === 'D').parentId)
+            .toBe(history.find(item => item.expression === 'B').id);
+        expect(rowsOf(history)).toEqual(['0:A', '1:B', '2:D', '1:C', '0:E']);
+    });
+
+    test('keeps the place of a tree that is reached again', () => {
+        let history = addHistoryEntry([], entry('A'));
+        history = addHistoryEntry(history, entry('B', 'Swap'), 'A');
+        history = addHistoryEntry(history, { ...entry('A', 'Swap'), totalOperations: 8 }, 'B');
+
+        expect(history).toHaveLength(2);
+        expect(history[0]).toMatchObject({ expression: 'A', parentId: null, label: null, totalOperations: 8 });
+    });
+
+    test('attaches the variants of dropped entries to their parent', () => {
+        let history = addHistoryEntry([], entry('A'));
+        history = addHistoryEntry(history, entry('B'), 'A');
+        history = addHistoryEntry(history, entry('C'), 'B', 2);
+
+        expect(history.map(item => item.expression)).toEqual(['B', 'C']);
+        expect(rowsOf(history)).toEqual(['0:B', '1:C']);
+    });
+
+    test('updates the entry of an expression', () => {
+        const history = addHistoryEntry([], entry('A'));
+        expect(updateHistoryEntry(history, 'A', { totalOperations: 4 })[0].totalOperations).toBe(4);
+        expect(updateHistoryEntry(history, 'B', { totalOperations: 4 })).toBe(history);
+    });
+
+    test('converts the former flat history', () => {
+        const history = normalizeHistory([entry('new'), entry('old')]);
+        expect(history.map(item => [item.id, item.parentId, item.expression])).toEqual([[1, null, 'old'], [2, null, 'new']]);
+        expect(normalizeHistory(history)).toBe(history);
+    });
+
+    test('keeps pinned entries when dropping old ones', () => {
+        let history = addHistoryEntry([], entry('A'));
+        history = updateHistoryEntry(history, 'A', { pinned: true });
+        history = addHistoryEntry(history, entry('B'), 'A', 2);
+        history = addHistoryEntry(history, entry('C'), 'B', 2);
+
+        expect(history.map(item => item.expression)).toEqual(['A', 'C']);
+        expect(rowsOf(history)).toEqual(['0:A', '1:C']);
+    });
+});
+
+describe('History Search', () => {
+    const history = [
+        { id: 1, parentId: null, label: 'Parse expression', expression: 'A[i,j],B[j,k]->[i,k]', indexSizes: { i: 2, j: 2, k: 2 }, totalOperations: 16, peakMemory: 64 },
+        { id: 2, parentId: 1, label: 'Swap operands of [i,k]', name: 'Swapped', notes: 'faster on GPU', expression: 'B[j,k],A[i,j]->[i,k]', indexSizes: { i: 2, j: 2, k: 2 }, totalOperations: 8, peakMemory: 128, pinned: true },
+        { id: 3, parentId: null, label: 'Parse expression', expression: 'C[a],D[a]->[]', indexSizes: { a: 4 } }
+    ];
+
+    const expressionsOf = (query, sortType = HistorySortType.Tree) =>
+        listHistory(history, query, sortType).map(({ entry }) => entry.expression);
+
+    test('shows the variant tree below the pinned entries', () => {
+        const rows = listHistory(history, '', HistorySortType.Tree);
+        expect(rows.map(({ entry, depth, isPinnedCopy }) => [entry.id, depth, Boolean(isPinnedCopy)]))
+            .toEqual([[2, 0, true], [1, 0, false], [2, 1, false], [3, 0, false]]);
+    });
+
+    test('filters by name, notes, index and metric', () => {
+        expect(expressionsOf('swapped')).toEqual(['B[j,k],A[i,j]->[i,k]']);
+        expect(expressionsOf('GPU')).toEqual(['B[j,k],A[i,j]->[i,k]']);
+        expect(expressionsOf('index:a')).toEqual(['C[a],D[a]->[]']);
+        expect(expressionsOf('ops<10')).toEqual(['B[j,k],A[i,j]->[i,k]']);
+        expect(expressionsOf('peak<=64 index:i')).toEqual(['A[i,j],B[j,k]->[i,k]']);
+        expect(expressionsOf('ops>1e9')).toEqual([]);
+    });
+
+    test('sorts by metric with pinned entries first', () => {
+        expect(expressionsOf('', HistorySortType.PeakMemory).map(e => e[0])).toEqual(['B', 'A', 'C']);
+        expect(expressionsOf('index:i', HistorySortType.Operations).map(e => e[0])).toEqual(['B', 'A']);
+        const unpinned = history.map(item => ({ ...item, pinned: false }));
+        expect(listHistory(unpinned, '', HistorySortType.PeakMemory).map(({ entry }) => entry.id)).toEqual([1, 2, 3]);
+    });
+});
@@ -0,0 +1,78 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import {
+    DEFAULT_MACHINE_MODEL,
+    estimateRuntime,
+    estimateTreeRuntime,
+    loadMachineModel,
+    saveMachineModel
+} from '../components/utils/machineModel.jsx';
+
+describe('Roofline Machine Model', () => {
+    const model = {
+        name: 'Test CPU',
+        peakGflops: 100,
+        memoryBandwidth: 10,
+        caches: [
+            { name: 'L2', size: 1024, bandwidth: 50 },
+            { name: 'L1', size: 32, bandwidth: 200 }
+        ]
+    };
+
+    test('classifies compute and memory bound operations', () => {
+        const compute = estimateRuntime(1e9, 1e6, 1e9, model);
+        expect(compute.bound).toBe('compute');
+        expect(compute.time).toBeCloseTo(0.01);
+
+        const memory = estimateRuntime(1e6, 1e9, 1e9, model);
+        expect(memory.bound).toBe('memory');
+        expect(memory.level).toBe('Memory');
+        expect(memory.time).toBeCloseTo(0.1);
+    });
+
+    test('streams from the smallest cache holding the working set', () => {
+        expect(estimateRuntime(0, 1e6, 16 * 1024, model).level).toBe('L1');
+        expect(estimateRuntime(0, 1e6, 512 * 1024, model).level).toBe('L2');
+        expect(estimateRuntime(0, 1e6, 512 * 1024, model).memoryTime).toBeCloseTo(1e6 / 50e9);
+    });
+
+    test('sums the estimates of all contractions', () => {
+        const indexSizes = { a: 100, b: 2, c: 100, d: 2 };
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        calculateNodeMetrics(indexSizes, tree.getRoot(), 4);
+
+        const { totalTime, nodes } = estimateTreeRuntime(tree.getRoot(), indexSizes, 4, model);
+        const root = tree.getRoot();
+
+        expect(Object.keys(nodes)).toEqual([root.left.id, root.id]);
+        expect(totalTime).toBeCloseTo(nodes[root.left.id].time + nodes[root.id].time);
+    });
+
+    test('counts the operations of reductions but not of permutations', () => {
+        const indexSizes = { i: 100, j: 50 };
+        const tree = new Tree('[[i,j]->[i]],[i,j]->[j]');
+        tree.addPermutationNode(tree.getRoot().right.id);
+        calculateNodeMetrics(indexSizes, tree.getRoot(), 4);
+
+        const { nodes } = estimateTreeRuntime(tree.getRoot(), indexSizes, 4, model);
+        const reduction = tree.getRoot().left;
+        const permutation = tree.getRoot().right;
+
+        expect(reduction.operations).toBeGreaterThan(0);
+        expect(nodes[reduction.id].computeTime).toBe(reduction.operations / (model.peakGflops * 1e9));
+        expect(permutation.right).toBeNull();
+        expect(nodes[permutation.id].computeTime).toBe(0);
+    });
+
+    test('persists the machine model', () => {
+        localStorage.clear();
+        expect(loadMachineModel()).toEqual(DEFAULT_MACHINE_MODEL);
+
+        saveMachineModel(model);
+        expect(loadMachineModel()).toEqual(model);
+
+        localStorage.setItem('einsumMachineModel', JSON.stringify({ ...model, peakGflops: -1 }));
+        expect(loadMachineModel()).toEqual(DEFAULT_MACHINE_MODEL);
+        localStorage.clear();
+    });
+});
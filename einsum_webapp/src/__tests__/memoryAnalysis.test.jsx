@@ -0,0 +1,109 @@
+import { Node, Tree } from '../components/utils/einsumContractionTree.jsx';
+import {
+    analyzeMemoryLiveness,
+    calculatePeakMemory,
+    calculateMemorySchedule,
+    combinePeakMemory,
+    combineSequencePeakMemory
+} from '../components/utils/memoryAnalysis.jsx';
+
+describe('Memory Liveness Analysis', () => {
+    const indexSizes = { a: 100, b: 2, c: 100, d: 2 };
+
+    test('records creation and release of every tensor', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const root = tree.getRoot();
+        const intermediate = root.left;
+        const { steps, lifetimes, totalTensorSize } = analyzeMemoryLiveness(root, indexSizes, 1);
+
+        expect(steps.map(step => step.nodeId)).toEqual([intermediate.id, root.id]);
+        expect(steps.map(step => step.residentBytes)).toEqual([10600, 10400]);
+        expect(steps[0].freed).toEqual([intermediate.left.id, intermediate.right.id]);
+        expect(steps[1].freedBytes).toBe(10200);
+
+        expect(lifetimes[intermediate.left.id]).toEqual({ created: 0, freed: 1 });
+        expect(lifetimes[intermediate.id]).toEqual({ created: 1, freed: 2 });
+        expect(lifetimes[root.right.id]).toEqual({ created: 0, freed: 2 });
+        expect(lifetimes[root.id]).toEqual({ created: 2, freed: null });
+        expect(totalTensorSize).toBe(10800);
+    });
+
+    test('reports the peak step and the tensors resident at it', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const root = tree.getRoot();
+        const { peakMemory, peakStep, peakNodeIds } = analyzeMemoryLiveness(root, indexSizes, 1);
+
+        expect(peakMemory).toBe(10600);
+        expect(peakStep).toBe(1);
+        expect([...peakNodeIds].sort()).toEqual(
+            [root.left.left.id, root.left.right.id, root.right.id, root.left.id].sort()
+        );
+    });
+
+    test('matches the closed form peak for permutations and deep trees', () => {
+        const sizes = { a: 3, b: 5, c: 7, d: 2, e: 4 };
+        const expressions = [
+            '[[a,b]->[b,a]],[[b,c],[c,d]->[d,b]]->[a,d]',
+            '[[[a,b],[b,c]->[a,c]],[c,d]->[a,d]],[d,e]->[e,a]'
+        ];
+        expressions.forEach(expression => {
+            const root = new Tree(expression).getRoot();
+            expect(analyzeMemoryLiveness(root, sizes, 4).peakMemory)
+                .toBe(calculatePeakMemory(root, sizes, 4));
+        });
+    });
+
+    test('handles single leaves and empty trees', () => {
+        const leaf = new Tree().setRoot(new Node(['a', 'b'])).getRoot();
+        const single = analyzeMemoryLiveness(leaf, indexSizes, 4);
+        expect(single.steps).toEqual([]);
+        expect(single.peakMemory).toBe(800);
+        expect(single.peakNodeIds).toEqual([leaf.id]);
+
+        expect(analyzeMemoryLiveness(null, indexSizes, 4).peakMemory).toBe(0);
+    });
+});
+
+describe('Memory Schedule', () => {
+    const indexSizes = { a: 10, b: 10, c: 10, d: 100 };
+    const expression = '[[a],[b]->[a,b]],[[c,d],[d]->[c]]->[a,c]';
+
+    test('evaluates the subtree with the larger peak first', () => {
+        const root = new Tree(expression).getRoot();
+        const { order, peakMemory } = calculateMemorySchedule(root, indexSizes, 1);
+
+        expect(order).toEqual([root.right.id, root.left.id, root.id]);
+        expect(peakMemory).toBe(1130);
+        expect(calculatePeakMemory(root, indexSizes, 1)).toBe(1220);
+    });
+
+    test('replays a schedule in the liveness analysis', () => {
+        const root = new Tree(expression).getRoot();
+        const { order, peakMemory } = calculateMemorySchedule(root, indexSizes, 1);
+        const liveness = analyzeMemoryLiveness(root, indexSizes, 1, order);
+
+        expect(liveness.steps.map(step => step.nodeId)).toEqual(order);
+        expect(liveness.peakMemory).toBe(peakMemory);
+        expect(liveness.peakStep).toBe(1);
+    });
+
+    test('schedules the operands of n-ary nodes', () => {
+        const first = { peak: 50, base: 10, size: 5 };
+        const second = { peak: 20, base: 2, size: 1 };
+        expect(combineSequencePeakMemory([first, second], 3)).toBe(combinePeakMemory(first, second, 3));
+
+        const root = new Tree('[[a],[b]->[a,b]],[c],[[c,d],[d]->[c]]->[a,c]').getRoot();
+        const { order, peakMemory } = calculateMemorySchedule(root, indexSizes, 1);
+        expect(order).toEqual([root.extraChildren[0].id, root.left.id, root.id]);
+        expect(peakMemory).toBe(analyzeMemoryLiveness(root, indexSizes, 1, order).peakMemory);
+        expect(peakMemory).toBeLessThan(calculatePeakMemory(root, indexSizes, 1));
+    });
+
+    test('never exceeds the left-first peak', () => {
+        const sizes = { a: 3, b: 5, c: 7, d: 2, e: 4 };
+        const root = new Tree('[[a,b]->[b,a]],[[[b,c],[c,d]->[d,b]],[d,e]->[b,e]]->[a,e]').getRoot();
+        expect(calculateMemorySchedule(root, sizes, 4).peakMemory)
+            .toBeLessThanOrEqual(calculatePeakMemory(root, sizes, 4));
+        expect(calculateMemorySchedule(null, sizes, 4)).toEqual({ order: [], peakMemory: 0 });
+    });
+});
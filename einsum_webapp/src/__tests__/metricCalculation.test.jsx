@@ -0,0 +1,151 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics, calculatePermutationCost, calculateNaryCost, calculateRotationDelta } from '../components/utils/metricCalculation.jsx';
+
+describe('Permutation Cost', () => {
+    test('penalizes strided reads up to one cache line per element', () => {
+        const cost = calculatePermutationCost(['a', 'b'], ['b', 'a'], { a: 100, b: 50 }, 4);
+        expect(cost.stridePenalty).toBe(16);
+        expect(cost.operations).toBe(80000);
+        expect(cost.byteAccesses).toBe(85000);
+        expect(cost.bytesRead).toBe(320000);
+        expect(cost.bytesWritten).toBe(20000);
+
+        expect(calculatePermutationCost(['a', 'b'], ['b', 'a'], { a: 100, b: 3 }, 8).stridePenalty).toBe(3);
+    });
+
+    test('keeps contiguous permutations at one read per element', () => {
+        const cost = calculatePermutationCost(['a', 'b', 'c'], ['b', 'a', 'c'], { a: 4, b: 5, c: 6 }, 4);
+        expect(cost.stridePenalty).toBe(1);
+        expect(cost.operations).toBe(120);
+        expect(cost.bytesRead).toBe(cost.bytesWritten);
+    });
+
+    test('includes permutations in totals and percentages', () => {
+        const indexSizes = { a: 100, b: 2, c: 100 };
+        const tree = new Tree('[[b,a]->[a,b]],[b,c]->[a,c]');
+        const root = tree.getRoot();
+        const permutation = root.left;
+
+        const { totalOperations, faultyNodes } = calculateNodeMetrics(indexSizes, root, 4);
+
+        expect(faultyNodes).toEqual([]);
+        expect(permutation.operations).toBe(200 * 16);
+        expect(totalOperations).toBe(root.operations + permutation.operations);
+        expect(root.operationsPercentage + permutation.operationsPercentage).toBeCloseTo(100);
+        expect(permutation.normalizedPercentage).toBe(0);
+        expect(root.normalizedPercentage).toBe(100);
+    });
+});
+
+describe('N-ary Cost', () => {
+    test('matches the binary operation count for two operands', () => {
+        const cost = calculateNaryCost([['a', 'b'], ['b', 'c']], ['a', 'c'], { a: 3, b: 4, c: 5 });
+        expect(cost.operations).toBe(2 * 15 * 4 - 15);
+        expect(cost.byteAccesses).toBe(12 + 20 + 15);
+    });
+
+    test('costs fused contractions in the tree', () => {
+        const indexSizes = { a: 2, b: 3, c: 4, d: 5 };
+        const root = new Tree('[a,b],[b,c],[c,d]->[a,d]').getRoot();
+
+        const { totalOperations, faultyNodes } = calculateNodeMetrics(indexSizes, root, 4);
+        expect(faultyNodes).toEqual([]);
+        expect(totalOperations).toBe(3 * 120 - 10);
+        expect(root.byteAccesses).toBe(6 + 12 + 20 + 10);
+    });
+
+    test('broadcasts output indices missing in all operands', () => {
+        const indexSizes = { a: 2, b: 3, c: 4, d: 5, e: 6 };
+        const root = new Tree('[a,b],[b,c],[c,d]->[a,e]').getRoot();
+        const { totalOperations, diagnostics } = calculateNodeMetrics(indexSizes, root, 4);
+        expect(diagnostics).toEqual([]);
+        expect(totalOperations).toBe(calculateNaryCost([['a', 'b'], ['b', 'c'], ['c', 'd']], ['a', 'e'], indexSizes).operations);
+        expect(root.specialIndices).toEqual([
+            { type: 'reduction', index: 'd', operand: 'operand 3' },
+            { type: 'broadcast', index: 'e', operand: 'output' }
+        ]);
+    });
+
+    test('warns about broadcasts without failing the tree', () => {
+        const root = new Tree('[[a,b],[b,c]->[a,c,x]],[c,d]->[a,d,x]').getRoot();
+        const { totalOperations, faultyNodes, diagnostics, warnings } = calculateNodeMetrics({}, root, 4);
+        expect(totalOperations).toBeGreaterThan(0);
+        expect(faultyNodes).toEqual([]);
+        expect(diagnostics).toEqual([]);
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toMatchObject({ nodeId: root.left.id, index: 'x', severity: 'warning', left: ['a', 'b'], right: ['b', 'c'] });
+    });
+
+    test('reports repeated output indices', () => {
+        const root = new Tree('[a,b],[b,c],[c,d]->[a,a]').getRoot();
+        const { totalOperations, diagnostics } = calculateNodeMetrics({}, root, 4);
+        expect(totalOperations).toBe(0);
+        expect(diagnostics).toHaveLength(1);
+        expect(diagnostics[0]).toMatchObject({ nodeId: root.id, index: 'a', extra: [['c', 'd']] });
+    });
+});
+
+describe('Classifier Selection', () => {
+    test('sums indices of a single operand before the contraction', () => {
+        const indexSizes = { a: 3, b: 4, c: 5 };
+        const tree = new Tree('[a,b],[c]->[a,c]');
+
+        ['standard', 'simplified'].forEach(type => {
+            const metrics = calculateNodeMetrics(indexSizes, tree.getRoot(), 4, type);
+            expect(metrics.faultyNodes).toEqual([]);
+            expect(metrics.diagnostics).toEqual([]);
+            // Reduce [a,b] to [a], then the outer product of [a] and [c]
+            expect(metrics.totalOperations).toBe((12 - 3) + (2 * 15 - 15));
+        });
+        expect(tree.getRoot().specialIndices).toEqual([{ type: 'reduction', index: 'b', operand: 'left' }]);
+    });
+});
+
+describe('Unary Nodes', () => {
+    test('costs reductions and traces by the elements they sum', () => {
+        const indexSizes = { i: 4, j: 5 };
+        const reduction = new Tree('[i,j]->[i]').getRoot();
+        calculateNodeMetrics(indexSizes, reduction, 4);
+        expect(reduction.operations).toBe(20 - 4);
+        expect(reduction.byteAccesses).toBe(20 + 4);
+
+        const trace = new Tree('[i,i]->[]').getRoot();
+        expect(calculateNodeMetrics(indexSizes, trace, 4).totalOperations).toBe(4 - 1);
+        expect(trace.specialIndices).toEqual([{ type: 'trace', index: 'i', operand: 'left' }]);
+    });
+
+    test('costs diagonals and broadcasts like permutations', () => {
+        const indexSizes = { i: 4, j: 5 };
+        const diagonal = new Tree('[i,i]->[i]').getRoot();
+        calculateNodeMetrics(indexSizes, diagonal, 4);
+        expect(diagonal.operations).toBe(calculatePermutationCost(['i', 'i'], ['i'], indexSizes, 4).operations);
+        expect(diagonal.specialIndices).toEqual([{ type: 'diagonal', index: 'i', operand: 'left' }]);
+
+        const broadcast = new Tree('[i]->[i,j]').getRoot();
+        calculateNodeMetrics(indexSizes, broadcast, 4);
+        expect(broadcast.operations).toBe(20);
+        expect(broadcast.specialIndices).toEqual([{ type: 'broadcast', index: 'j', operand: 'output' }]);
+    });
+});
+
+describe('Rotation Preview', () => {
+    const indexSizes = { i: 10, j: 100, k: 5, l: 50 };
+
+    test('compares the operations before and after a rotation', () => {
+        const tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const expression = tree.treeToString();
+        const preview = calculateRotationDelta(tree, tree.getRoot().id, 'right', indexSizes, 4);
+
+        // (2*10*5*100 - 50) + (2*10*50*5 - 500) before the rotation
+        expect(preview.before).toBe(9950 + 4500);
+        // (2*100*50*5 - 5000) + (2*10*50*100 - 500) after the rotation
+        expect(preview.after).toBe(45000 + 99500);
+        expect(preview.delta).toBe(preview.after - preview.before);
+        expect(tree.treeToString()).toBe(expression);
+    });
+
+    test('returns null for nodes that cannot be rotated', () => {
+        const tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        expect(calculateRotationDelta(tree, tree.getRoot().id, 'left', indexSizes, 4)).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import {
+    contractTensors,
+    verificationSizes,
+    findInconsistentNodes,
+    verifyTree,
+    VerificationIssueCode,
+    MAX_VERIFICATION_SIZE,
+    MAX_DIRECT_ITERATIONS
+} from '../components/utils/tensorExecutor.jsx';
+
+describe('Tensor Executor', () => {
+    const tensor = (indices, values) => ({ indices, data: Float64Array.from(values) });
+
+    test('contracts, transposes and reduces tensors', () => {
+        const sizes = { a: 2, b: 2, c: 2 };
+        const a = tensor(['a', 'b'], [1, 2, 3, 4]);
+        const b = tensor(['b', 'c'], [5, 6, 7, 8]);
+
+        expect([...contractTensors([a, b], ['a', 'c'], sizes).data]).toEqual([19, 22, 43, 50]);
+        expect([...contractTensors([a], ['b', 'a'], sizes).data]).toEqual([1, 3, 2, 4]);
+        expect([...contractTensors([a], [], sizes).data]).toEqual([10]);
+        expect([...contractTensors([tensor(['a', 'a'], [1, 2, 3, 4])], ['a'], sizes).data]).toEqual([1, 4]);
+    });
+
+    test('caps the index sizes for the direct evaluation', () => {
+        expect(verificationSizes(['a', 'b'], { a: 100, b: 3 })).toEqual({ a: MAX_VERIFICATION_SIZE, b: 3 });
+
+        const indices = Array.from({ length: 15 }, (_, i) => `i${i}`);
+        const sizes = verificationSizes(indices, Object.fromEntries(indices.map(index => [index, 64])));
+        const product = Object.values(sizes).reduce((p, size) => p * size, 1);
+        expect(product).toBeLessThanOrEqual(MAX_DIRECT_ITERATIONS);
+    });
+
+    test('verifies a consistent tree', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[[c,d]->[d,c]]->[a,d]');
+        const result = verifyTree(tree.getRoot(), { a: 8, b: 3, c: 5, d: 2 });
+
+        expect(result.passed).toBe(true);
+        expect(result.issues).toEqual([]);
+        expect(result.maxAbsError).toBeLessThan(1e-12);
+        expect(result.sizes).toEqual({ a: 4, b: 3, c: 4, d: 2 });
+        expect(verifyTree(null, {})).toBeNull();
+    });
+
+    test('verifies fused n-ary contractions', () => {
+        const tree = new Tree('[[a,b],[b,c],[c,d]->[a,d]],[d,e]->[a,e]');
+        const result = verifyTree(tree.getRoot(), { a: 3, b: 2, c: 4, d: 2, e: 3 });
+
+        expect(result.passed).toBe(true);
+        expect(result.issues).toEqual([]);
+    });
+
+    test('flags nodes with inconsistent output indices', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a]],[c,d]->[a,d]');
+        const result = verifyTree(tree.getRoot(), { a: 2, b: 3, c: 4, d: 5 });
+
+        expect(result.passed).toBe(false);
+        expect(result.issues).toHaveLength(1);
+        expect(result.issues[0]).toMatchObject({
+            code: VerificationIssueCode.PREMATURE_SUMMATION,
+            nodeId: tree.getRoot().left.id,
+            index: 'c'
+        });
+
+        const unknown = findInconsistentNodes(new Tree('[[a,b],[b,c]->[a,c,e]],[c,d]->[a,d]').getRoot());
+        expect(unknown.map(issue => [issue.code, issue.index])).toEqual([[VerificationIssueCode.UNKNOWN_OUTPUT_INDEX, 'e']]);
+
+        const duplicate = findInconsistentNodes(new Tree('[a,b],[b,c]->[a,c,c]').getRoot());
+        expect(duplicate.map(issue => issue.code)).toEqual([VerificationIssueCode.DUPLICATE_OUTPUT_INDEX]);
+    });
+
+    test('verifies trees that broadcast their result', () => {
+        const sizes = { a: 2, b: 3, c: 4, d: 2, e: 3 };
+        ['[[a,b],[b,c]->[a,c,e]],[c,d]->[a,d,e]', '[[a,b],[b,c]->[a,c]],[c,d]->[e,a,d]'].forEach(expression => {
+            const result = verifyTree(new Tree(expression).getRoot(), sizes);
+            expect(result.issues).toEqual([]);
+            expect(result.passed).toBe(true);
+        });
+    });
+});
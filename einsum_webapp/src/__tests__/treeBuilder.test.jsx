@@ -0,0 +1,44 @@
+import { parseIndexList, proposeContractionIndices, buildTree } from '../components/utils/treeBuilder.jsx';
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+
+describe('Index Lists', () => {
+    test('splits labels at commas and spaces', () => {
+        expect(parseIndexList('i, j k')).toEqual(['i', 'j', 'k']);
+        expect(parseIndexList('d_model,head')).toEqual(['d_model', 'head']);
+        expect(parseIndexList('')).toEqual([]);
+    });
+
+    test('rejects invalid and repeated labels', () => {
+        expect(() => parseIndexList('i,j-k')).toThrow(/Invalid index/);
+        expect(() => parseIndexList('i,j,i', true)).toThrow(/more than once/);
+    });
+
+    test('allows repeated labels in leaf lists', () => {
+        expect(parseIndexList('i, i')).toEqual(['i', 'i']);
+    });
+});
+
+describe('Contraction Proposal', () => {
+    test('contracts shared indices and keeps the rest', () => {
+        expect(proposeContractionIndices(['i', 'j'], ['j', 'k'])).toEqual(['k', 'i']);
+    });
+
+    test('keeps shared indices that other operands need', () => {
+        expect(proposeContractionIndices(['b', 'i', 'j'], ['b', 'j', 'k'], [['b', 'l']])).toEqual(['b', 'k', 'i']);
+    });
+});
+
+describe('Tree Building', () => {
+    test('builds a tree that serializes like a parsed one', () => {
+        const a = { id: 'a', name: 'A', indices: ['i', 'j'], children: null };
+        const b = { id: 'b', name: 'B', indices: ['j', 'k'], children: null };
+        const c = { id: 'c', name: null, indices: ['k', 'l'], children: null };
+        const ab = { id: 'ab', name: null, indices: ['i', 'k'], children: [a, b] };
+        const root = { id: 'root', name: null, indices: ['i', 'l'], children: [ab, c] };
+
+        const tree = buildTree(root);
+        expect(tree).toBeInstanceOf(Tree);
+        expect(tree.treeToString()).toBe('[A[i,j],B[j,k]->[i,k]],[k,l]->[i,l]');
+        expect(new Tree(tree.treeToString()).getLeaves().map(leaf => leaf.name)).toEqual(['A', 'B', null]);
+    });
+});
@@ -0,0 +1,68 @@
+import {
+    EMPTY_UNDO_STACK,
+    MAX_UNDO_STEPS,
+    pushUndoStep,
+    undoStep,
+    redoStep,
+    describeIndexSizeChange,
+    isValidUndoStack
+} from '../components/utils/undoStack.jsx';
+
+describe('Undo Stack', () => {
+    const step = (label, expression, indexSizes = { i: 2 }) => ({ label, expression, indexSizes });
+
+    const stackOf = (...steps) => steps.reduce(pushUndoStep, EMPTY_UNDO_STACK);
+
+    test('records edits and discards undone steps', () => {
+        let stack = stackOf(step('Parse expression', 'A'), step('Swap operands of [i]', 'B'));
+        expect(stack.past.map(s => s.label)).toEqual(['Parse expression']);
+        expect(stack.present.expression).toBe('B');
+
+        stack = undoStep(stack);
+        expect(stack.present.expression).toBe('A');
+        expect(stack.future.map(s => s.label)).toEqual(['Swap operands of [i]']);
+
+        stack = pushUndoStep(stack, step('Binarize [i]', 'C'));
+        expect(stack.past.map(s => s.expression)).toEqual(['A']);
+        expect(stack.future).toEqual([]);
+    });
+
+    test('undo and redo restore the same steps', () => {
+        const stack = stackOf(step('a', 'A'), step('b', 'B'), step('c', 'C'));
+        const undone = undoStep(undoStep(stack));
+        expect(undone.present.expression).toBe('A');
+        expect(redoStep(redoStep(undone))).toEqual(stack);
+    });
+
+    test('ignores undo and redo without steps', () => {
+        const stack = stackOf(step('a', 'A'));
+        expect(undoStep(stack)).toBe(stack);
+        expect(redoStep(stack)).toBe(stack);
+    });
+
+    test('skips edits that change nothing', () => {
+        const stack = stackOf(step('a', 'A', { i: 2, j: 3 }));
+        expect(pushUndoStep(stack, step('b', 'A', { j: 3, i: 2 }))).toBe(stack);
+        expect(pushUndoStep(stack, step('b', 'A', { i: 4, j: 3 })).past).toHaveLength(1);
+    });
+
+    test('keeps a limited number of steps', () => {
+        const steps = Array.from({ length: MAX_UNDO_STEPS + 5 }, (_, i) => step(`${i}`, `E${i}`));
+        const stack = stackOf(...steps);
+        expect(stack.past).toHaveLength(MAX_UNDO_STEPS);
+        expect(stack.past[0].label).toBe('4');
+    });
+
+    test('describes index size changes', () => {
+        expect(describeIndexSizeChange({ i: 2, j: 2 }, { i: 8, j: 2 })).toBe('Set size of i to 8');
+        expect(describeIndexSizeChange({ i: 2, j: 2 }, { i: 8, j: 4 })).toBe('Set size of i to 8, j to 4');
+        expect(describeIndexSizeChange({ i: 2 }, { i: 2 })).toBe('Set index sizes');
+    });
+
+    test('validates stored stacks', () => {
+        expect(isValidUndoStack(EMPTY_UNDO_STACK)).toBe(true);
+        expect(isValidUndoStack(undoStep(stackOf(step('a', 'A'), step('b', 'B'))))).toBe(true);
+        expect(isValidUndoStack({ past: [{ label: 'a' }], present: null, future: [] })).toBe(false);
+        expect(isValidUndoStack(undefined)).toBe(false);
+    });
+});
@@ -0,0 +1,71 @@
+import {
+    WORKSPACE_FILE_FORMAT,
+    DEFAULT_WORKSPACE_NAME,
+    createWorkspace,
+    isValidWorkspace,
+    workspaceFromLegacyHistory,
+    serializeWorkspace,
+    parseWorkspaceFile,
+    initializeWorkspaces,
+    fallbackWorkspace
+} from '../components/utils/workspaceStorage.jsx';
+import { EMPTY_UNDO_STACK } from '../components/utils/undoStack.jsx';
+
+describe('Workspaces', () => {
+    const history = [
+        { id: 1, parentId: null, label: 'Parse expression', name: 'Baseline', expression: 'A[i,j],B[j,k]->[i,k]', indexSizes: { i: 2, j: 2, k: 2 }, nodes: [], edges: [] },
+        { id: 2, parentId: 1, label: 'Swap operands of [i,k]', expression: 'B[j,k],A[i,j]->[i,k]', indexSizes: { i: 2, j: 2, k: 2 }, nodes: [], edges: [] }
+    ];
+
+    test('creates workspaces with distinct ids', () => {
+        const first = createWorkspace('Project', { dataType: '8' });
+        const second = createWorkspace('Project');
+        expect(first).toMatchObject({ name: 'Project', notes: '', dataType: '8', history: [], undoStack: EMPTY_UNDO_STACK });
+        expect(first.id).not.toBe(second.id);
+        expect(isValidWorkspace(first)).toBe(true);
+        expect(isValidWorkspace({ ...first, name: ' ' })).toBe(false);
+        expect(isValidWorkspace({ ...first, history: [{ expression: 'A[i]->[i]' }] })).toBe(false);
+    });
+
+    test('moves the former history into the default workspace', () => {
+        const legacy = [{ expression: 'new', indexSizes: {} }, { expression: 'old', indexSizes: {} }];
+        const workspace = workspaceFromLegacyHistory(JSON.stringify(legacy));
+        expect(workspace.name).toBe(DEFAULT_WORKSPACE_NAME);
+        expect(workspace.history.map(entry => [entry.id, entry.expression])).toEqual([[1, 'old'], [2, 'new']]);
+
+        expect(workspaceFromLegacyHistory(null).history).toEqual([]);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(workspaceFromLegacyHistory('{').history).toEqual([]);
+        console.warn.mockRestore();
+    });
+
+    test('imports an exported workspace as a new workspace', () => {
+        const undoStack = { past: [], present: { label: 'Parse expression', expression: history[0].expression, indexSizes: {} }, future: [] };
+        const workspace = createWorkspace('Project', { notes: 'attention heads', dataType: '8', history, undoStack });
+        expect(JSON.parse(serializeWorkspace(workspace)).workspace).not.toHaveProperty('undoStack');
+
+        const imported = parseWorkspaceFile(serializeWorkspace(workspace), ['Default', 'Project', 'Project (2)']);
+
+        expect(imported.id).not.toBe(workspace.id);
+        expect(imported).toMatchObject({ name: 'Project (3)', notes: 'attention heads', dataType: '8', history, undoStack: EMPTY_UNDO_STACK });
+        expect(parseWorkspaceFile(serializeWorkspace(workspace)).name).toBe('Project');
+    });
+
+    test('rejects files that are no exported workspace', () => {
+        const workspace = createWorkspace('Project');
+        expect(() => parseWorkspaceFile('not json')).toThrow('not valid JSON');
+        expect(() => parseWorkspaceFile(JSON.stringify(workspace))).toThrow('no exported workspace');
+        expect(() => parseWorkspaceFile(JSON.stringify({ format: WORKSPACE_FILE_FORMAT, version: 99, workspace })))
+            .toThrow('version 99');
+        expect(() => parseWorkspaceFile(JSON.stringify({ format: WORKSPACE_FILE_FORMAT, version: 1, workspace: { name: 'x' } })))
+            .toThrow('incomplete');
+    });
+
+    test('keeps the former history if IndexedDB is not available', async () => {
+        localStorage.setItem('einsumHistory', JSON.stringify([{ expression: 'A[i]->[i]', indexSizes: { i: 2 } }]));
+        await expect(initializeWorkspaces()).rejects.toThrow('IndexedDB is not available');
+        expect(fallbackWorkspace().history.map(entry => entry.expression)).toEqual(['A[i]->[i]']);
+        expect(localStorage.getItem('einsumHistory')).not.toBeNull();
+        localStorage.clear();
+    });
+});
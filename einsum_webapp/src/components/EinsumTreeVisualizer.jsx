@@ -1,5 +1,5 @@
 // React and core imports
-import React, { useState, useCallback, useRef, useEffect } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 
 // Third-party component imports
 import { Panel, PanelGroup } from 'react-resizable-panels';
@@ -12,27 +12,57 @@ import {
 import 'reactflow/dist/style.css';
 
 // Local component imports
-import { Tree } from './utils/einsumContractionTree.jsx';
+import { Tree, assignTensorNames, getChildren } from './utils/einsumContractionTree.jsx';
+import { einsumStringToTree } from './utils/einsumStringParser.jsx';
 import Flow from './visual/Flow.jsx';
 import HistoryPanel from './visual/HistoryPanel.jsx';
 import IndexSizeInput from './visual/IndexSizeInput.jsx';
+import MachineModelPanel from './visual/MachineModelPanel.jsx';
+import ExportPanel from './visual/ExportPanel.jsx';
+import DiagnosticList from './visual/DiagnosticList.jsx';
+import VerificationPanel from './visual/VerificationPanel.jsx';
+import TreeEditor from './visual/TreeEditor.jsx';
+import WorkspacePanel from './visual/WorkspacePanel.jsx';
+import UndoPanel from './visual/UndoPanel.jsx';
 import CollapsiblePanel from './common/CollapsiblePanel.jsx';
 import CustomPanelResizeHandle from './common/CustomPanelResizeHandle.jsx';
 import { Toast } from './common/Toast.jsx';
 
 // Utility imports
 import buildVisualizationTree from './utils/layout.jsx';
-import { LayoutOptionType } from './utils/constants.jsx';
-import { calculateNodeMetrics } from './utils/metricCalculation.jsx';
+import { LayoutOptionType, InputModeType, OptimizationObjectiveType, ScheduleType, ClassifierType, ExportFormatType, RotationDirectionType } from './utils/constants.jsx';
+import { calculateNodeMetrics, calculateStrides } from './utils/metricCalculation.jsx';
+import { DiagnosticSeverity } from './utils/dimensionClassifier.jsx';
+import { greedyContractionTree, optimalContractionTree, contractionOperations, MAX_OPTIMAL_LEAVES } from './utils/contractionOptimizer.jsx';
+import { calculatePeakMemory, analyzeMemoryLiveness, calculateMemorySchedule } from './utils/memoryAnalysis.jsx';
+import { loadMachineModel, saveMachineModel, estimateTreeRuntime } from './utils/machineModel.jsx';
 import { createShareableUrl } from './utils/compression.jsx';
-import { formatNumber } from './utils/formatting.jsx';
+import { codeSnippet } from './utils/codeExport.jsx';
+import { addHistoryEntry, updateHistoryEntry } from './utils/historyTree.jsx';
+import { EMPTY_UNDO_STACK, pushUndoStep, undoStep, redoStep, describeIndexSizeChange, isValidUndoStack } from './utils/undoStack.jsx';
+import { formatNumber, formatDuration } from './utils/formatting.jsx';
 import { useContainerDimensions } from './common/useContainerDimensions.jsx';
+import { useWorkspaces } from './common/useWorkspaces.jsx';
 
 // Constants
 const DEFAULT_DATA_TYPE = '4';
 const DEFAULT_SIZE_UNIT = 'KiB';
 const DEFAULT_EXPRESSION = "[[[8,0,9,4],[[2,8,6,9]->[8,2,6,9]]->[0,8,2,6,4]]->[6,2,0,4,8]],[[[3,7],[[[3,2,1,0]->[2,0,1,3]],[[1,5]->[5,1]]->[2,0,5,3]]->[2,0,5,7]]->[7,5,2,0]]->[7,6,5,4,8]";
 
+/**
+ * Formats the indices of a node for edit step labels
+ * @param {Array} indices - Indices of the node
+ * @returns {string} The indices in brackets, e.g. [i,k]
+ */
+const nodeLabel = (indices) => `[${(indices || []).join(',')}]`;
+
+/**
+ * Returns true if a keyboard event targets a text field, which keeps its own
+ * undo and redo
+ */
+const isTextInput = (target) =>
+  Boolean(target) && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+
 /**
  * Main component for visualizing Einsum contraction trees
  * @param {Object} props - Component props
@@ -79,71 +109,194 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
   /**
    * UI State - Controls interface elements
    */
-  const [history, setHistory] = useState([]);
-  const [dataType, setDataType] = useState(DEFAULT_DATA_TYPE);
+  const { workspaces, workspace, updateWorkspace, selectWorkspace, addWorkspace, removeWorkspace, importWorkspace } = useWorkspaces();
+  const history = useMemo(() => workspace?.history || [], [workspace]);
+  const undoStack = useMemo(
+    () => isValidUndoStack(workspace?.undoStack) ? workspace.undoStack : EMPTY_UNDO_STACK,
+    [workspace]
+  );
+  const dataType = workspace?.dataType || DEFAULT_DATA_TYPE;
   const [sizeUnit, setSizeUnit] = useState(DEFAULT_SIZE_UNIT);
   const [layoutOption, setLayoutOption] = useState(LayoutOptionType.Tree);
-  const [initStep, setInitStep] = useState(0);
+  const [inputMode, setInputMode] = useState(InputModeType.Tree);
+  const [showPeakMemory, setShowPeakMemory] = useState(false);
+  const [showExecutionOrder, setShowExecutionOrder] = useState(false);
+  const [scheduleType, setScheduleType] = useState(ScheduleType.LeftFirst);
+  const [machineModel, setMachineModel] = useState(loadMachineModel);
+  const [classifierType, setClassifierType] = useState(ClassifierType.Standard);
+  const [exportFormat, setExportFormat] = useState(ExportFormatType.NumPy);
+  const [shownWorkspaceId, setShownWorkspaceId] = useState(null);
+  // Names of the subtrees seen since the expression was parsed, see assignTensorNames
+  const [tensorNameRegistry, setTensorNameRegistry] = useState({});
 
   /**
    * Calculation State - Stores computation results
    */
   const [totalOperations, setTotalOperations] = useState(0);
   const [selectedNodeOperations, setSelectedNodeOperations] = useState(0);
+  // Errors of the faulty contractions, followed by the warnings
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [optimizationObjective, setOptimizationObjective] = useState(OptimizationObjectiveType.Flops);
+  const [optimalResult, setOptimalResult] = useState(null);
 
   // ============= History Management =============
   /**
-    * updating and deleting history
-    */
-  useEffect(() => {
-    const savedHistory = localStorage.getItem('einsumHistory');
-    if (savedHistory) {
-      try {
-        const parsedHistory = JSON.parse(savedHistory);
-        if (Array.isArray(parsedHistory)) {
-          setHistory(parsedHistory);
-        }
-      } catch (e) {
-        console.warn('Failed to parse saved history, starting fresh');
-        localStorage.removeItem('einsumHistory');
-      }
-    }
-  }, []);
-
+   * Updates the history of the active workspace
+   * @param {Array|Function} newHistory - The new entries, or a function
+   * receiving the current entries and returning them
+   */
   const updateHistory = useCallback((newHistory) => {
-    const historyToSave = typeof newHistory === 'function'
-      ? newHistory(history)
-      : newHistory;
+    updateWorkspace(current => ({
+      history: typeof newHistory === 'function' ? newHistory(current.history) : newHistory
+    }));
+  }, [updateWorkspace]);
 
-    setHistory(historyToSave);
-    try {
-      const serializableHistory = historyToSave.map(item => ({
-        expression: item.expression,
-        nodes: item.nodes,
-        edges: item.edges,
-        indexSizes: item.indexSizes
-        // Note: we don't save the tree instance as it's not serializable
-      }));
-
-      localStorage.setItem('einsumHistory', JSON.stringify(serializableHistory));
-    } catch (e) {
-      console.error('Failed to save history to local storage:', e);
+  /**
+   * Clears the history except for the pinned entries
+   */
+  const handleClearHistory = useCallback(() => {
+    updateHistory(prevHistory => prevHistory.filter(entry => entry.pinned));
+  }, [updateHistory]);
+
+  /**
+   * Renames, annotates or pins a history entry
+   * @param {string} expression - Expression of the entry
+   * @param {Object} changes - Changed properties of the entry
+   */
+  const handleUpdateHistoryEntry = useCallback((expression, changes) => {
+    updateHistory(prevHistory => updateHistoryEntry(prevHistory, expression, changes));
+  }, [updateHistory]);
+
+  // ============= Undo Management =============
+  /**
+   * Records an edit of the tree or the index sizes as an undo step of the
+   * active workspace
+   * @param {string} label - Description of the edit
+   * @param {string} expression - Tree expression after the edit
+   * @param {Object} sizes - Index sizes after the edit
+   */
+  const recordStep = useCallback((label, expression, sizes) => {
+    updateWorkspace(current => ({
+      undoStack: pushUndoStep(
+        isValidUndoStack(current.undoStack) ? current.undoStack : EMPTY_UNDO_STACK,
+        { label, expression, indexSizes: sizes }
+      )
+    }));
+  }, [updateWorkspace]);
+
+  /**
+   * Shows the tree and index sizes of an undo step without recording it.
+   * Tensor names continue from the history entry of the shown tree.
+   * @param {Object|null} step - The step to show, null for an empty view
+   */
+  const restoreStep = useCallback((step) => {
+    const entry = step && history.find(item => item.expression === step.expression);
+    setTensorNameRegistry(entry?.tensorNameRegistry || {});
+
+    if (!step) {
+      setTree(null);
+      setIndexSizes({});
+      setEinsumExpression('');
+      setTotalOperations(0);
+      setDiagnostics([]);
+      setNodes1([]);
+      setEdges1([]);
+      setSelectedNode(null);
+      setSelectedNodeOperations(null);
+      return;
     }
-  }, [history]);
 
-  const handleClearHistory = useCallback(() => {
-    setHistory([]);
-    localStorage.removeItem('einsumHistory');
-  }, []);
+    const newTree = new Tree(step.expression);
+    if (!newTree.getRoot()) return;
+    newTree.updateIndexSizes(step.indexSizes);
+
+    setTree(newTree);
+    setIndexSizes(step.indexSizes);
+    setEinsumExpression(step.expression);
+
+    const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(step.indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
+    setTotalOperations(newTotalOps);
+    setDiagnostics([...diagnostics, ...warnings]);
+
+    const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes, layoutOption);
+    setNodes1(nodes);
+    setEdges1(edges);
+
+    setSelectedNode(null);
+    setSelectedNodeOperations(null);
+    setTimeout(() => fitView('tree1'), 0);
+  }, [history, dataType, classifierType, layoutOption, setNodes1, setEdges1]);
+
+  const handleUndo = useCallback(() => {
+    if (undoStack.past.length === 0) return;
+    const newStack = undoStep(undoStack);
+    restoreStep(newStack.present);
+    updateWorkspace({ undoStack: newStack });
+  }, [undoStack, restoreStep, updateWorkspace]);
+
+  const handleRedo = useCallback(() => {
+    if (undoStack.future.length === 0) return;
+    const newStack = redoStep(undoStack);
+    restoreStep(newStack.present);
+    updateWorkspace({ undoStack: newStack });
+  }, [undoStack, restoreStep, updateWorkspace]);
+
+  /**
+   * Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo, Cmd instead of Ctrl on macOS
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextInput(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  /**
+   * Records an edited or parsed tree as history entry and as undo step
+   * @param {string} label - Description of the edit
+   * @param {Tree} editedTree - The tree after the edit
+   * @param {Object} visualization - Nodes, edges and total operations of the tree
+   * @param {Object} sizes - Index sizes of the tree
+   * @param {string|null} parentExpression - Expression of the tree before the
+   * edit, null for a parsed tree, which starts with fresh tensor names
+   */
+  const recordEdit = useCallback((label, editedTree, { nodes, edges, totalOperations }, sizes, parentExpression) => {
+    const expression = editedTree.treeToString();
+    const { registry } = assignTensorNames(editedTree.getRoot(), parentExpression === null ? {} : tensorNameRegistry);
+    updateHistory(prevHistory => addHistoryEntry(prevHistory, {
+      label,
+      expression,
+      nodes,
+      edges,
+      indexSizes: { ...sizes },
+      totalOperations,
+      peakMemory: calculatePeakMemory(editedTree.getRoot(), sizes, parseInt(dataType, 10)),
+      tensorNameRegistry: registry
+    }, parentExpression));
+    recordStep(label, expression, sizes);
+  }, [updateHistory, recordStep, dataType, tensorNameRegistry]);
 
   // ============= Core Tree Operations =============
 
   /**
    * Parses an einsum expression and initializes the tree
    * @param {string} einsumExpression - The expression to parse
+   * @param {Object} [providedIndexSizes] - Index sizes taking precedence over the current ones
+   * @param {string} [stepLabel] - Label of the undo step and history entry
+   * @param {string|null} [parentExpression] - Expression of the tree the new
+   * one was derived from, null to start a new branch of the history
    * @returns {Promise<Tree>} The initialized tree
    */
-  const parseInput = useCallback(async (einsumExpression, providedIndexSizes = null) => {
+  const parseInput = useCallback(async (einsumExpression, providedIndexSizes = null, stepLabel = 'Parse expression', parentExpression = null) => {
     return new Promise((resolve) => {
       const input = einsumExpression || DEFAULT_EXPRESSION;
       const tree = new Tree(input);
@@ -156,6 +309,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       }
 
       setTree(tree);
+      if (parentExpression === null) setTensorNameRegistry({});
 
       let newIndexSizes = {};
       const traverseTree = (node) => {
@@ -172,8 +326,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
             }
           }
         }
-        traverseTree(node.left);
-        traverseTree(node.right);
+        getChildren(node).forEach(traverseTree);
       };
 
       traverseTree(unorderedTree);
@@ -181,8 +334,9 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setIndexSizes(newIndexSizes);
       tree.updateIndexSizes(newIndexSizes);
 
-      const { totalOperations, faultyNodes } = calculateNodeMetrics(newIndexSizes, unorderedTree, parseInt(dataType, 10));
+      const { totalOperations, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(newIndexSizes, unorderedTree, parseInt(dataType, 10), classifierType);
       setTotalOperations(totalOperations);
+      setDiagnostics([...diagnostics, ...warnings]);
 
       const { nodes, edges } = buildVisualizationTree(unorderedTree, faultyNodes, layoutOption);
 
@@ -192,37 +346,15 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setSelectedNode(null);
       setSelectedNodeOperations(null);
 
-      // Update history
-      updateHistory(prevHistory => {
-        const newItem = {
-          expression: input,
-          nodes,
-          edges,
-          indexSizes: { ...newIndexSizes },
-          tree: tree
-        };
-        const existingIndex = prevHistory.findIndex(item => item.expression === input);
-
-        let updatedHistory;
-        if (existingIndex !== -1) {
-          updatedHistory = [
-            newItem,
-            ...prevHistory.slice(0, existingIndex),
-            ...prevHistory.slice(existingIndex + 1)
-          ];
-        } else {
-          updatedHistory = [newItem, ...prevHistory];
-        }
-
-        return updatedHistory.slice(0, 5);
-      });
+      // Record the tree in the history and as undo step
+      recordEdit(stepLabel, tree, { nodes, edges, totalOperations }, newIndexSizes, parentExpression);
 
       setTimeout(() => {
         fitView('tree1');
         resolve(tree);
       }, 0);
     });
-  }, [setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, layoutOption, indexSizes, dataType]);
+  }, [setNodes1, setEdges1, recordEdit, setTree, setTotalOperations, layoutOption, indexSizes, dataType, classifierType]);
 
   /**
    * Updates tree structure and recalculates operations after changes
@@ -249,8 +381,9 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setEinsumExpression(treeString);
 
       // Recalculate operations with the new root
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, updatedRoot, parseInt(dataType, 10));
+      const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, updatedRoot, parseInt(dataType, 10), classifierType);
       setTotalOperations(newTotalOps);
+      setDiagnostics([...diagnostics, ...warnings]);
 
       // Build visualization with the new root
       const { nodes, edges } = buildVisualizationTree(updatedRoot, faultyNodes, layoutOption);
@@ -269,23 +402,14 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
         }
       }
 
-      // Update history with the new tree
-      updateHistory(prevHistory => {
-        const newItem = {
-          expression: treeString,
-          nodes,
-          edges,
-          indexSizes,
-          tree: newTree
-        };
-        return [newItem, ...prevHistory.slice(0, 4)];
-      });
+      // Record the variant in the history and as undo step
+      recordEdit(`Reorder indices of ${nodeLabel(tree.findNode(updatedConnectedNodes.id)?.value)}`, newTree, { nodes, edges, totalOperations: newTotalOps }, indexSizes, tree.treeToString());
 
     } catch (error) {
       console.error('Error updating tree:', error);
       Toast.show('Error updating indices');
     }
-  }, [tree, indexSizes, layoutOption, setNodes1, setEdges1, selectedNode, updateHistory, dataType]);
+  }, [tree, indexSizes, layoutOption, setNodes1, setEdges1, selectedNode, recordEdit, dataType, classifierType]);
 
   // ============= Tree Manipulation =============
 
@@ -298,9 +422,11 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
   const findNodeInTree = useCallback((treeNode, id) => {
     if (!treeNode) return null;
     if (treeNode.id === id) return treeNode;
-    const leftResult = findNodeInTree(treeNode.left, id);
-    if (leftResult) return leftResult;
-    return findNodeInTree(treeNode.right, id);
+    for (const child of getChildren(treeNode)) {
+      const found = findNodeInTree(child, id);
+      if (found) return found;
+    }
+    return null;
   }, []);
 
   /**
@@ -329,8 +455,9 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setEinsumExpression(treeString);
 
       // Calculate new operations
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10));
+      const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
       setTotalOperations(newTotalOps);
+      setDiagnostics([...diagnostics, ...warnings]);
 
       // Rebuild visualization with new tree structure
       const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes);
@@ -339,30 +466,13 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setNodes1(nodes);
       setEdges1(edges);
 
-      // Update history
-      updateHistory(prevHistory => {
-        const newItem = { expression: treeString, nodes, edges, indexSizes: indexSizes, tree: newTree };
-        const existingIndex = prevHistory.findIndex(item => item.expression === treeString);
-
-        let updatedHistory;
-        if (existingIndex !== -1) {
-          updatedHistory = [
-            newItem,
-            ...prevHistory.slice(0, existingIndex),
-            ...prevHistory.slice(existingIndex + 1)
-          ];
-        } else {
-          updatedHistory = [newItem, ...prevHistory];
-        }
-
-        return updatedHistory.slice(0, 5);
-      });
-
+      // Record the variant in the history and as undo step
+      recordEdit(`Swap operands of ${nodeLabel(nodeToSwap.data.label)}`, newTree, { nodes, edges, totalOperations: newTotalOps }, indexSizes, tree.treeToString());
 
       // Resolve with the updated tree
       resolve(newTree);
     });
-  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, dataType]);
+  }, [indexSizes, tree, setNodes1, setEdges1, recordEdit, setTree, setTotalOperations, dataType, classifierType]);
 
   /**
    * Adds a permutation node to the tree
@@ -389,8 +499,9 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       const treeString = newTree.treeToString();
       setEinsumExpression(treeString);
 
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10));
+      const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
       setTotalOperations(newTotalOps);
+      setDiagnostics([...diagnostics, ...warnings]);
 
       // Rebuild visualization with new tree structure
       const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes);
@@ -399,16 +510,13 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setNodes1(nodes);
       setEdges1(edges);
 
-      // Update history
-      updateHistory(prevHistory => {
-        const newItem = { expression: treeString, nodes, edges, indexSizes: indexSizes, tree: newTree };
-        return [newItem, ...prevHistory.slice(0, 4)];
-      });
+      // Record the variant in the history and as undo step
+      recordEdit(`Add permutation above ${nodeLabel(nodeToAddPerm.data.label)}`, newTree, { nodes, edges, totalOperations: newTotalOps }, indexSizes, tree.treeToString());
 
       // Resolve with the updated tree
       resolve(newTree);
     });
-  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, dataType]);
+  }, [indexSizes, tree, setNodes1, setEdges1, recordEdit, setTree, setTotalOperations, dataType, classifierType]);
 
   /**
    * Removes a permutation node from the tree
@@ -435,8 +543,9 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       const treeString = newTree.treeToString();
       setEinsumExpression(treeString);
 
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10));
+      const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
       setTotalOperations(newTotalOps);
+      setDiagnostics([...diagnostics, ...warnings]);
 
       // Rebuild visualization with new tree structure
       const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes);
@@ -445,19 +554,230 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setNodes1(nodes);
       setEdges1(edges);
 
-      // Update history
-      updateHistory(prevHistory => {
-        const newItem = { expression: treeString, nodes, edges, indexSizes: indexSizes, tree: newTree };
-        return [newItem, ...prevHistory.slice(0, 4)];
-      });
+      // Record the variant in the history and as undo step
+      recordEdit(`Remove permutation ${nodeLabel(nodeToRemovePerm.data.label)}`, newTree, { nodes, edges, totalOperations: newTotalOps }, indexSizes, tree.treeToString());
 
       // Resolve with the updated tree
       resolve(newTree);
     });
-  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, dataType]);
+  }, [indexSizes, tree, setNodes1, setEdges1, recordEdit, setTree, setTotalOperations, dataType, classifierType]);
+
+  /**
+   * Splits an n-ary node into a chain of binary contractions
+   * @param {Object} nodeToBinarize - The n-ary node
+   * @param {number[]} order - Positions of the operands in contraction order
+   * @returns {Promise<Tree>} Updated tree
+   */
+  const binarizeNode = useCallback(async (nodeToBinarize, order) => {
+    return new Promise((resolve) => {
+      if (!nodeToBinarize || !tree) {
+        resolve(null);
+        return;
+      }
+
+      // Create a new tree instance using the clone method
+      const newTree = tree.clone();
+
+      if (!newTree.binarizeNode(nodeToBinarize.id, order)) {
+        Toast.show('The node could not be binarized');
+        resolve(null);
+        return;
+      }
+
+      // Update the tree state
+      setTree(newTree);
+
+      // Get updated tree representation
+      const treeString = newTree.treeToString();
+      setEinsumExpression(treeString);
+
+      const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
+      setTotalOperations(newTotalOps);
+      setDiagnostics([...diagnostics, ...warnings]);
+
+      // Rebuild visualization with new tree structure
+      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes, layoutOption);
+
+      // Update nodes and edges
+      setNodes1(nodes);
+      setEdges1(edges);
+
+      // Record the variant in the history and as undo step
+      recordEdit(`Binarize ${nodeLabel(nodeToBinarize.data.label)}`, newTree, { nodes, edges, totalOperations: newTotalOps }, indexSizes, tree.treeToString());
+
+      // Resolve with the updated tree
+      resolve(newTree);
+    });
+  }, [indexSizes, tree, setNodes1, setEdges1, recordEdit, setTree, setTotalOperations, dataType, classifierType, layoutOption]);
+
+  /**
+   * Re-associates a contraction with one of its operands
+   * @param {Object} nodeToRotate - The node to rotate at
+   * @param {string} direction - One of RotationDirectionType
+   * @returns {Promise<Tree>} Updated tree
+   */
+  const rotateNode = useCallback(async (nodeToRotate, direction) => {
+    return new Promise((resolve) => {
+      if (!nodeToRotate || !tree) {
+        resolve(null);
+        return;
+      }
+
+      // Create a new tree instance using the clone method
+      const newTree = tree.clone();
+
+      const isRotated = direction === RotationDirectionType.Left
+        ? newTree.rotateLeft(nodeToRotate.id)
+        : newTree.rotateRight(nodeToRotate.id);
+      if (!isRotated) {
+        Toast.show('The node could not be rotated');
+        resolve(null);
+        return;
+      }
+
+      // Update the tree state
+      setTree(newTree);
+
+      // Get updated tree representation
+      const treeString = newTree.treeToString();
+      setEinsumExpression(treeString);
+
+      const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
+      setTotalOperations(newTotalOps);
+      setDiagnostics([...diagnostics, ...warnings]);
+
+      // Rebuild visualization with new tree structure
+      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes, layoutOption);
+
+      // Update nodes and edges
+      setNodes1(nodes);
+      setEdges1(edges);
+
+      // Record the variant in the history and as undo step
+      recordEdit(`Rotate ${nodeLabel(nodeToRotate.data.label)} ${direction}`, newTree, { nodes, edges, totalOperations: newTotalOps }, indexSizes, tree.treeToString());
+
+      // Resolve with the updated tree
+      resolve(newTree);
+    });
+  }, [indexSizes, tree, setNodes1, setEdges1, recordEdit, setTree, setTotalOperations, dataType, classifierType, layoutOption]);
+
+  /**
+   * Re-attaches a subtree by contracting it with a target node
+   * @param {string} nodeId - ID of the root of the subtree
+   * @param {string} targetId - ID of the target node
+   * @returns {Promise<Tree|null>} Updated tree, or null if the move was refused
+   */
+  const moveSubtree = useCallback(async (nodeId, targetId) => {
+    return new Promise((resolve) => {
+      if (!tree) {
+        resolve(null);
+        return;
+      }
+
+      // Create a new tree instance using the clone method
+      const newTree = tree.clone();
+
+      const reason = newTree.validateSubtreeMove(nodeId, targetId);
+      if (reason) {
+        Toast.show(reason);
+        resolve(null);
+        return;
+      }
+
+      newTree.moveSubtree(nodeId, targetId);
+
+      // Update the tree state
+      setTree(newTree);
+
+      // Get updated tree representation
+      const treeString = newTree.treeToString();
+      setEinsumExpression(treeString);
+
+      const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
+      setTotalOperations(newTotalOps);
+      setDiagnostics([...diagnostics, ...warnings]);
+
+      // Rebuild visualization with new tree structure
+      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes, layoutOption);
+
+      // Update nodes and edges
+      setNodes1(nodes);
+      setEdges1(edges);
+
+      // Record the variant in the history and as undo step
+      recordEdit(`Move ${nodeLabel(tree.findNode(nodeId)?.value)} to ${nodeLabel(tree.findNode(targetId)?.value)}`, newTree, { nodes, edges, totalOperations: newTotalOps }, indexSizes, tree.treeToString());
+
+      // Resolve with the updated tree
+      resolve(newTree);
+    });
+  }, [indexSizes, tree, setNodes1, setEdges1, recordEdit, setTree, setTotalOperations, dataType, classifierType, layoutOption]);
 
   // ============= Calculations =============
 
+  /**
+   * Peak memory of the left-first order and of the memory-optimal schedule
+   */
+  const memorySchedule = useMemo(() => {
+    if (!tree?.getRoot()) return null;
+    const dataTypeSize = parseInt(dataType, 10);
+    return {
+      leftFirstPeak: calculatePeakMemory(tree.getRoot(), indexSizes, dataTypeSize),
+      ...calculateMemorySchedule(tree.getRoot(), indexSizes, dataTypeSize)
+    };
+  }, [tree, indexSizes, dataType]);
+
+  /**
+   * Tensor lifetimes and peak memory of the selected evaluation schedule
+   */
+  const memoryLiveness = useMemo(() => {
+    if (!memorySchedule) return null;
+    const order = scheduleType === ScheduleType.MemoryOptimal ? memorySchedule.order : null;
+    return analyzeMemoryLiveness(tree.getRoot(), indexSizes, parseInt(dataType, 10), order);
+  }, [tree, indexSizes, dataType, scheduleType, memorySchedule]);
+
+  /**
+   * IDs of the inner nodes in the order of the selected schedule
+   */
+  const executionOrder = useMemo(() =>
+    memoryLiveness ? memoryLiveness.steps.map(step => step.nodeId) : null,
+  [memoryLiveness]);
+
+  /**
+   * Roofline runtime estimate of every contraction on the machine model
+   */
+  const runtimeEstimate = useMemo(() => {
+    if (!tree?.getRoot() || totalOperations === 0) return null;
+    return estimateTreeRuntime(tree.getRoot(), indexSizes, parseInt(dataType, 10), machineModel);
+  }, [tree, indexSizes, dataType, machineModel, totalOperations]);
+
+  /**
+   * Execution step of every inner node under the selected schedule
+   */
+  const executionSteps = useMemo(() => {
+    if (!showExecutionOrder || !memoryLiveness) return null;
+    return Object.fromEntries(memoryLiveness.steps.map(step => [step.nodeId, step.step]));
+  }, [showExecutionOrder, memoryLiveness]);
+
+  /**
+   * Expression of the shown tree, marks its entry in the history
+   */
+  const currentExpression = useMemo(() => tree?.getRoot() ? tree.treeToString() : null, [tree]);
+
+  /**
+   * Names of the leaves and auto-generated names of the intermediates. The
+   * registry outlives the tree so that intermediates keep their names when
+   * the tree is edited, it is extended by every shown tree.
+   */
+  useEffect(() => {
+    if (!tree?.getRoot()) return;
+    setTensorNameRegistry(prev => assignTensorNames(tree.getRoot(), prev).registry);
+  }, [tree]);
+
+  const tensorNames = useMemo(
+    () => tree?.getRoot() ? assignTensorNames(tree.getRoot(), tensorNameRegistry).names : null,
+    [tree, tensorNameRegistry]
+  );
+
   /**
    * Calculates the size of tensors based on their indices
    * @param {Array} indices - Array of indices
@@ -482,35 +802,17 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     return size * bytes;
   };
 
-  /**
-   * Calculates strides for given indices
-   * @param {Array} indices - Array of indices
-   * @returns {Array} Array of calculated strides
-   */
-  const calculateStrides = (indices) => {
-    if (!Array.isArray(indices)) return [];
-
-    let stride = 1;
-    const strides = new Array(indices.length).fill(0);
-
-    for (let i = indices.length - 1; i >= 0; i--) {
-      strides[i] = stride;
-      stride *= Math.max(1, Math.floor(indexSizes[indices[i]] || 1));
-    }
-
-    return strides;
-  };
-
   /**
    * Recalculates operations after index size changes
-   * @param {Object} indexSizes - Updated index sizes
+   * @param {Object} newIndexSizes - Updated index sizes
    */
-  const recalculateOperations = useCallback((indexSizes) => {
-    setIndexSizes(indexSizes);
-    tree.updateIndexSizes(indexSizes);
+  const recalculateOperations = useCallback((newIndexSizes) => {
+    setIndexSizes(newIndexSizes);
+    tree.updateIndexSizes(newIndexSizes);
 
-    const { totalOperations, faultyNodes } = calculateNodeMetrics(indexSizes, tree.getRoot(), parseInt(dataType, 10));
+    const { totalOperations, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(newIndexSizes, tree.getRoot(), parseInt(dataType, 10), classifierType);
     setTotalOperations(totalOperations);
+    setDiagnostics([...diagnostics, ...warnings]);
 
     const updatedNodes = nodes1.map(node => {
       const isFaulty = faultyNodes.some(faultyNode => faultyNode.id === node.id);
@@ -540,25 +842,16 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
 
     setNodes1(updatedNodes);
 
-    // Update history by modifying the existing entry
-    updateHistory(prevHistory => {
-      const currentExpression = tree.treeToString();
-      const existingIndex = prevHistory.findIndex(item => item.expression === currentExpression);
-
-      if (existingIndex !== -1) {
-        // Update existing entry
-        const updatedHistory = [...prevHistory];
-        updatedHistory[existingIndex] = {
-          ...updatedHistory[existingIndex],
-          indexSizes: indexSizes,
-          nodes: updatedNodes,
-          edges: edges1
-        };
-        return updatedHistory;
-      }
-      return prevHistory;
-    });
-  }, [nodes1, selectedNode, tree, setNodes1, edges1, findNodeInTree, updateHistory, dataType]);
+    // Update the history entry of the tree with the new sizes and totals
+    updateHistory(prevHistory => updateHistoryEntry(prevHistory, tree.treeToString(), {
+      indexSizes: newIndexSizes,
+      nodes: updatedNodes,
+      edges: edges1,
+      totalOperations,
+      peakMemory: calculatePeakMemory(tree.getRoot(), newIndexSizes, parseInt(dataType, 10))
+    }));
+    recordStep(describeIndexSizeChange(indexSizes, newIndexSizes), tree.treeToString(), newIndexSizes);
+  }, [nodes1, selectedNode, tree, indexSizes, setNodes1, edges1, findNodeInTree, updateHistory, recordStep, dataType, classifierType]);
 
   // ============= Event Handlers =============
 
@@ -573,13 +866,21 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
    */
   const onNodeClick = (_, node) => {
     setSelectedNode(node);
-    if (node.data && node.data.left && node.data.right) {
+    if (node.data && node.data.left) {
       setSelectedNodeOperations(node.data.operations);
     } else {
       setSelectedNodeOperations(0);
     }
   };
 
+  /**
+   * Selects the node a validation diagnostic belongs to
+   */
+  const handleSelectDiagnostic = (diagnostic) => {
+    const node = nodes1.find(n => n.id === diagnostic.nodeId);
+    if (node) onNodeClick(null, node);
+  };
+
   /**
    * Handles changes to the einsum expression input
    */
@@ -587,11 +888,42 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     setEinsumExpression(event.target.value);
   };
 
+  /**
+   * Handles input mode selection changes
+   */
+  const handleInputModeChange = (event) => {
+    setInputMode(event.target.value);
+  };
+
+  /**
+   * Handles parse button clicks. Flat einsum strings are first converted
+   * into a tree with the default pairwise contraction order.
+   */
+  const handleParse = () => {
+    if (inputMode === InputModeType.Einsum) {
+      const einsumTree = einsumStringToTree(einsumExpression);
+      if (!einsumTree) return;
+      setInputMode(InputModeType.Tree);
+      parseInput(einsumTree.treeToString());
+      return;
+    }
+    parseInput(einsumExpression);
+  };
+
+  /**
+   * Shows a tree built in the editor like a parsed expression
+   * @param {Tree} builtTree - Tree from the editor
+   */
+  const handleEditorBuild = (builtTree) => {
+    setInputMode(InputModeType.Tree);
+    parseInput(builtTree.treeToString(), null, 'Build tree in editor');
+  };
+
   /**
    * Handles data type selection changes
    */
   const handleDataTypeChange = (event) => {
-    setDataType(event.target.value);
+    updateWorkspace({ dataType: event.target.value });
   };
 
   /**
@@ -601,6 +933,62 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     setSizeUnit(event.target.value);
   };
 
+  /**
+   * Toggles highlighting of the tensors resident at the memory peak
+   */
+  const handleShowPeakMemoryChange = (event) => {
+    setShowPeakMemory(event.target.checked);
+  };
+
+  /**
+   * Toggles the execution step numbers on the graph nodes
+   */
+  const handleShowExecutionOrderChange = (event) => {
+    setShowExecutionOrder(event.target.checked);
+  };
+
+  /**
+   * Handles evaluation schedule selection changes
+   */
+  const handleScheduleTypeChange = (event) => {
+    setScheduleType(event.target.value);
+  };
+
+  /**
+   * Stores an edited machine model
+   */
+  const handleMachineModelSave = (model) => {
+    setMachineModel(model);
+    saveMachineModel(model);
+    Toast.show('Machine model saved');
+  };
+
+  /**
+   * Switches between the standard and the simplified dimension classification
+   * and recalculates the metrics of the current tree
+   */
+  const handleToggleClassifier = useCallback(() => {
+    const newClassifierType = classifierType === ClassifierType.Standard
+      ? ClassifierType.Simplified
+      : ClassifierType.Standard;
+    setClassifierType(newClassifierType);
+    if (!tree) return;
+
+    const { totalOperations: newTotalOps, faultyNodes, diagnostics, warnings } = calculateNodeMetrics(indexSizes, tree.getRoot(), parseInt(dataType, 10), newClassifierType);
+    setTotalOperations(newTotalOps);
+    setDiagnostics([...diagnostics, ...warnings]);
+
+    const { nodes, edges } = buildVisualizationTree(tree.getRoot(), faultyNodes, layoutOption);
+    setNodes1(nodes);
+    setEdges1(edges);
+
+    if (selectedNode) {
+      const updatedNode = nodes.find(node => node.id === selectedNode.id);
+      setSelectedNode(updatedNode || null);
+      setSelectedNodeOperations(updatedNode?.data.left ? updatedNode.data.operations : 0);
+    }
+  }, [classifierType, tree, indexSizes, dataType, layoutOption, selectedNode, setNodes1, setEdges1]);
+
   /**
    * Handles layout option changes
    */
@@ -611,7 +999,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setLayoutOption(option);
       if (!tree) return;
 
-      const { faultyNodes } = calculateNodeMetrics(indexSizes, tree.getRoot(), parseInt(dataType, 10));
+      const { faultyNodes } = calculateNodeMetrics(indexSizes, tree.getRoot(), parseInt(dataType, 10), classifierType);
       const { nodes, edges } = buildVisualizationTree(tree.getRoot(), faultyNodes, option);
 
       setNodes1(nodes);
@@ -643,6 +1031,91 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       });
   }, [einsumExpression, indexSizes]);
 
+  /**
+   * Copies the statements that evaluate the tree in the selected export
+   * format to the clipboard
+   */
+  const handleCopySnippet = useCallback(() => {
+    if (!tree?.getRoot()) {
+      Toast.show("No tree to export");
+      return;
+    }
+
+    let snippet;
+    try {
+      snippet = codeSnippet(tree.getRoot(), exportFormat, indexSizes, executionOrder);
+    } catch (error) {
+      Toast.show(`Export failed: ${error.message}`);
+      return;
+    }
+
+    navigator.clipboard.writeText(snippet)
+      .then(() => Toast.show('Snippet copied to clipboard!'))
+      .catch(err => {
+        console.error('Failed to copy snippet:', err);
+        Toast.show('Failed to copy snippet to clipboard');
+      });
+  }, [tree, exportFormat, indexSizes, executionOrder]);
+
+  /**
+   * Handles optimize button clicks by loading a greedily reordered tree
+   * as a new history entry
+   */
+  const handleOptimize = useCallback(() => {
+    if (!tree) {
+      Toast.show("No tree to optimize");
+      return;
+    }
+
+    const optimizedTree = greedyContractionTree(tree, indexSizes);
+    if (!optimizedTree) {
+      Toast.show("Failed to optimize tree");
+      return;
+    }
+
+    parseInput(optimizedTree.treeToString(), indexSizes, 'Optimize greedily', tree.treeToString());
+  }, [tree, indexSizes, parseInput]);
+
+  /**
+   * Handles optimization objective selection changes
+   */
+  const handleOptimizationObjectiveChange = (event) => {
+    setOptimizationObjective(event.target.value);
+  };
+
+  /**
+   * Runs the exact contraction order search and stores its cost next to the
+   * cost of the current tree
+   */
+  const handleComputeOptimal = useCallback(() => {
+    if (!tree) return;
+
+    const leafCount = tree.getLeaves().length;
+    if (leafCount > MAX_OPTIMAL_LEAVES) {
+      Toast.show(`Exact optimization supports at most ${MAX_OPTIMAL_LEAVES} leaves, the tree has ${leafCount}`);
+      return;
+    }
+
+    const dataTypeSize = parseInt(dataType, 10);
+    const result = optimalContractionTree(tree, indexSizes, optimizationObjective, dataTypeSize);
+    if (!result) {
+      Toast.show("Failed to compute optimal contraction order");
+      return;
+    }
+
+    // The optimal tree has no permutation nodes, compare the contractions only
+    const currentCost = optimizationObjective === OptimizationObjectiveType.Flops
+      ? contractionOperations(tree, indexSizes)
+      : calculatePeakMemory(tree.getRoot(), indexSizes, dataTypeSize);
+
+    setOptimalResult({
+      objective: optimizationObjective,
+      cost: result.cost,
+      currentCost,
+      expression: result.tree.treeToString()
+    });
+  }, [tree, indexSizes, dataType, optimizationObjective]);
+
   // ============= UI Helpers =============
 
   /**
@@ -658,13 +1131,27 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     }
   };
 
+  /**
+   * Formats operation counts without fractional digits
+   */
+  const formatOperations = (operations) => {
+    return formatNumber(operations, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  };
+
+  /**
+   * Formats a cost of the given optimization objective
+   */
+  const formatObjectiveCost = (objective, cost) => {
+    return objective === OptimizationObjectiveType.Flops ? formatOperations(cost) : formatSize(cost);
+  };
+
   /**
    * Renders indices with their strides
    */
   const renderIndices = (indices) => {
     if (!Array.isArray(indices)) return null;
 
-    const strides = calculateStrides(indices);
+    const strides = calculateStrides(indices, indexSizes);
 
     return indices.map((index, i) => (
       <div key={i} className="flex  mr-4 ">
@@ -696,13 +1183,16 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     setIndexSizes(item.indexSizes);
     setEinsumExpression(item.expression);
     setTree(newTree);
+    if (item.tensorNameRegistry) setTensorNameRegistry(item.tensorNameRegistry);
 
     // Update the tree with the stored index sizes
     newTree.updateIndexSizes(item.indexSizes);
 
     // Calculate operations for the new tree
-    const { totalOperations: newTotalOps } = calculateNodeMetrics(item.indexSizes, newTree.getRoot(), parseInt(dataType, 10));
+    const { totalOperations: newTotalOps, diagnostics, warnings } = calculateNodeMetrics(item.indexSizes, newTree.getRoot(), parseInt(dataType, 10), classifierType);
     setTotalOperations(newTotalOps);
+    setDiagnostics([...diagnostics, ...warnings]);
+    recordStep('Load from history', item.expression, item.indexSizes);
 
     setTimeout(() => fitView('tree1'), 10);
   };
@@ -710,23 +1200,28 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
   // ============= Effects =============
 
   /**
-   * Initializes the component with initial expression and sizes
+   * Discards the optimal contraction result once it no longer matches the tree
    */
   useEffect(() => {
-    const initialize = async () => {
-      if (initStep === 0 && initialExpression && initialSizes) {
-        setIndexSizes(initialSizes);
-        setInitStep(1);
-      } else if (initStep === 1) {
-        setEinsumExpression(initialExpression);
-        // Pass initialSizes to parseInput
-        await parseInput(initialExpression, initialSizes);
-        setInitStep(2);
-      }
-    };
+    setOptimalResult(null);
+  }, [tree, indexSizes, dataType, optimizationObjective]);
 
-    initialize();
-  }, [initStep, initialExpression, initialSizes]);
+  /**
+   * Shows the last undo step of the active workspace whenever another
+   * workspace is activated, an empty view if it has none. On the first load a
+   * shared expression takes precedence and is recorded in the workspace.
+   */
+  useEffect(() => {
+    if (!workspace || workspace.id === shownWorkspaceId) return;
+    const isFirstLoad = shownWorkspaceId === null;
+    setShownWorkspaceId(workspace.id);
+    if (isFirstLoad && initialExpression && initialSizes) {
+      setEinsumExpression(initialExpression);
+      parseInput(initialExpression, initialSizes, 'Open shared expression');
+    } else {
+      restoreStep(undoStack.present);
+    }
+  }, [workspace, shownWorkspaceId, undoStack.present, initialExpression, initialSizes, parseInput, restoreStep]);
 
   // ============= Render =============
   return (
@@ -747,13 +1242,22 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                       onNodeClick={onNodeClick}
                       tree={tree}
                       indexSizes={indexSizes}
+                      dataTypeSize={parseInt(dataType, 10)}
                       totalOperations={totalOperations}
+                      peakNodeIds={showPeakMemory ? memoryLiveness?.peakNodeIds : null}
+                      executionSteps={executionSteps}
+                      tensorNames={tensorNames}
+                      classifierType={classifierType}
+                      onToggleClassifier={handleToggleClassifier}
                       fitViewFunction={(fn) => (fitViewFunctions.current.tree1 = fn)}
                       handleOptionClick={handleOptionClick}
                       swapChildren={swapChildren}
                       recalculateTreeAndOperations={recalculateTreeAndOperations}
                       addPermutationNode={addPermutationNode}
                       removePermutationNode={removePermutationNode}
+                      binarizeNode={binarizeNode}
+                      rotateNode={rotateNode}
+                      moveSubtree={moveSubtree}
                     />
                   </ReactFlowProvider>
                 </div>
@@ -790,6 +1294,163 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                       </div>
                     </div>
                   </div>
+                  {tree && (
+                    <CollapsiblePanel title="Tree Metrics">
+                      <div className="text-lg mb-2">
+                        <span className="font-medium">Total Operations:&nbsp;</span>
+                        {formatOperations(totalOperations)}
+                      </div>
+                      {runtimeEstimate && (
+                        <div className="text-lg mb-2">
+                          <span className="font-medium">Estimated Runtime:&nbsp;</span>
+                          {formatDuration(runtimeEstimate.totalTime)}
+                          <span className="text-gray-600">&nbsp;on {machineModel.name}</span>
+                        </div>
+                      )}
+                      {memoryLiveness && (
+                        <div className="text-lg mb-2">
+                          <span className="font-medium">Peak Memory:&nbsp;</span>
+                          {formatSize(memoryLiveness.peakMemory)}
+                          <span className="text-gray-600">
+                            &nbsp;(sum of all tensors: {formatSize(memoryLiveness.totalTensorSize)})
+                          </span>
+                        </div>
+                      )}
+                      <div className="flex items-center gap-2 mb-2">
+                        <span className="text-lg font-medium">Optimal Order:</span>
+                        <select
+                          value={optimizationObjective}
+                          onChange={handleOptimizationObjectiveChange}
+                          className="p-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value={OptimizationObjectiveType.Flops}>Min. Operations</option>
+                          <option value={OptimizationObjectiveType.Memory}>Min. Peak Memory</option>
+                        </select>
+                        <button
+                          onClick={handleComputeOptimal}
+                          className="px-3 py-1 bg-[#1e3a5f] text-white rounded-md shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb]"
+                        >
+                          Compute
+                        </button>
+                      </div>
+                      {optimalResult && (
+                        <div className="text-lg mb-2 flex flex-wrap items-center gap-x-2">
+                          <span className="font-medium">
+                            {optimalResult.objective === OptimizationObjectiveType.Flops ? 'Optimal Operations:' : 'Optimal Peak Memory:'}
+                          </span>
+                          <span>{formatObjectiveCost(optimalResult.objective, optimalResult.cost)}</span>
+                          <span className="text-gray-600">
+                            (current: {formatObjectiveCost(optimalResult.objective, optimalResult.currentCost)}
+                            {optimalResult.cost > 0 && `, ${formatNumber(optimalResult.currentCost / optimalResult.cost)}x`})
+                          </span>
+                          <button
+                            onClick={() => parseInput(optimalResult.expression, indexSizes, 'Load optimal order', tree.treeToString())}
+                            className="px-3 py-1 bg-[#282c34] text-white text-sm rounded-md shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb]"
+                          >
+                            Load
+                          </button>
+                        </div>
+                      )}
+                    </CollapsiblePanel>
+                  )}
+                  {tree && (
+                    <CollapsiblePanel
+                      title="Validation"
+                      headerContent={diagnostics.length > 0 && (
+                        <span className={`mr-2 px-2 text-sm text-white rounded-full ${diagnostics.some(diagnostic => diagnostic.severity === DiagnosticSeverity.Error) ? 'bg-red-600' : 'bg-amber-500'}`}>
+                          {diagnostics.length}
+                        </span>
+                      )}
+                    >
+                      {diagnostics.length === 0 ? (
+                        <div className="text-lg text-gray-600">All contractions are valid.</div>
+                      ) : (
+                        <DiagnosticList diagnostics={diagnostics} showNode onSelect={handleSelectDiagnostic} />
+                      )}
+                    </CollapsiblePanel>
+                  )}
+                  {tree && (
+                    <VerificationPanel
+                      root={tree.getRoot()}
+                      indexSizes={indexSizes}
+                      onSelectIssue={handleSelectDiagnostic}
+                    />
+                  )}
+                  {memoryLiveness && (
+                    <CollapsiblePanel title="Memory Liveness">
+                      <div className="flex items-center gap-2 mb-2">
+                        <span className="text-lg font-medium">Schedule:</span>
+                        <select
+                          value={scheduleType}
+                          onChange={handleScheduleTypeChange}
+                          className="p-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value={ScheduleType.LeftFirst}>Left-First</option>
+                          <option value={ScheduleType.MemoryOptimal}>Memory-Optimal</option>
+                        </select>
+                      </div>
+                      <div className="text-lg mb-2">
+                        <span className="font-medium">Left-First Peak:&nbsp;</span>
+                        {formatSize(memorySchedule.leftFirstPeak)}
+                        <span className="font-medium">&nbsp;| Memory-Optimal Peak:&nbsp;</span>
+                        {formatSize(memorySchedule.peakMemory)}
+                        {memorySchedule.peakMemory < memorySchedule.leftFirstPeak && (
+                          <span className="text-gray-600">
+                            &nbsp;(-{formatNumber((1 - memorySchedule.peakMemory / memorySchedule.leftFirstPeak) * 100)} %)
+                          </span>
+                        )}
+                      </div>
+                      <div className="text-lg mb-2">
+                        <span className="font-medium">Peak Step:&nbsp;</span>
+                        {memoryLiveness.peakStep === 0
+                          ? 'inputs only'
+                          : `${memoryLiveness.peakStep} of ${memoryLiveness.steps.length}`}
+                      </div>
+                      <label className="flex items-center gap-2 text-lg mb-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={showPeakMemory}
+                          onChange={handleShowPeakMemoryChange}
+                        />
+                        Highlight tensors resident at the peak
+                      </label>
+                      <label className="flex items-center gap-2 text-lg mb-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={showExecutionOrder}
+                          onChange={handleShowExecutionOrderChange}
+                        />
+                        Show execution order in the graph
+                      </label>
+                      {memoryLiveness.steps.length > 0 && (
+                        <table className="w-full border-collapse text-sm">
+                          <thead>
+                            <tr className="bg-gray-50">
+                              <th className="py-1 px-2 text-left font-semibold text-gray-700 border-b border-gray-200">Step</th>
+                              <th className="py-1 px-2 text-left font-semibold text-gray-700 border-b border-gray-200">Computes</th>
+                              <th className="py-1 px-2 text-right font-semibold text-gray-700 border-b border-gray-200">Allocated</th>
+                              <th className="py-1 px-2 text-right font-semibold text-gray-700 border-b border-gray-200">Freed</th>
+                              <th className="py-1 px-2 text-right font-semibold text-gray-700 border-b border-gray-200">Resident</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {memoryLiveness.steps.map(step => (
+                              <tr
+                                key={step.nodeId}
+                                className={step.step === memoryLiveness.peakStep ? 'bg-purple-50 font-semibold' : 'bg-white'}
+                              >
+                                <td className="py-1 px-2 border-b border-gray-100">{step.step}</td>
+                                <td className="py-1 px-2 border-b border-gray-100">[{step.label.join(',')}]</td>
+                                <td className="py-1 px-2 border-b border-gray-100 text-right">{formatSize(step.size)}</td>
+                                <td className="py-1 px-2 border-b border-gray-100 text-right">{formatSize(step.freedBytes)}</td>
+                                <td className="py-1 px-2 border-b border-gray-100 text-right">{formatSize(step.residentBytes)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </CollapsiblePanel>
+                  )}
                   {selectedNode && (
                     <CollapsiblePanel title="Selected Node Data">
                       <div className="text-lg mb-2 flex flex-wrap">
@@ -814,7 +1475,16 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                           {formatNumber(selectedNodeOperations * 100 / totalOperations)} %
                         </div>
                       )}
-                      {selectedNodeOperations > 0 && selectedNode?.data?.label && (
+                      {selectedNode.data.stridePenalty != null && (
+                        <div className="text-lg mb-2">
+                          <span className="font-medium">Bytes Read/Written:&nbsp;</span>
+                          {formatSize(selectedNode.data.bytesRead)} / {formatSize(selectedNode.data.bytesWritten)}
+                          <span className="text-gray-600">
+                            &nbsp;(stride penalty: {formatNumber(selectedNode.data.stridePenalty)}x)
+                          </span>
+                        </div>
+                      )}
+                      {selectedNodeOperations > 0 && selectedNode?.data?.right && (
                         <div className="text-lg mb-2">
                           <span className="font-medium">Arithemtic Intensity:&nbsp;</span>
                           {(() => {
@@ -822,6 +1492,15 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                           })()}
                         </div>
                       )}
+                      {runtimeEstimate?.nodes[selectedNode.id] && (
+                        <div className="text-lg mb-2">
+                          <span className="font-medium">Estimated Runtime:&nbsp;</span>
+                          {formatDuration(runtimeEstimate.nodes[selectedNode.id].time)}
+                          <span className="text-gray-600">
+                            &nbsp;({runtimeEstimate.nodes[selectedNode.id].bound}-bound, {runtimeEstimate.nodes[selectedNode.id].level})
+                          </span>
+                        </div>
+                      )}
                     </CollapsiblePanel>
                   )}
                 </div>
@@ -834,37 +1513,96 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
           <div className="h-full overflow-hidden flex flex-col bg-white shadow-lg">
             <div className="p-6 flex-shrink-0">
               <div className="flex items-center gap-2 mb-6">
-                <input
-                  type="text"
-                  placeholder="Enter einsum tree"
-                  value={einsumExpression}
-                  onChange={handleEinsumInputChange}
-                  className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-                <button
-                  onClick={() => parseInput(einsumExpression)}
-                  className="px-5 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb] focus:ring-offset-2"
+                <select
+                  value={inputMode}
+                  onChange={handleInputModeChange}
+                  title="Input format"
+                  className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  Parse
-                </button>
+                  <option value={InputModeType.Tree}>Tree</option>
+                  <option value={InputModeType.Einsum}>Einsum</option>
+                  <option value={InputModeType.Editor}>Editor</option>
+                </select>
+                {inputMode === InputModeType.Editor ? (
+                  <span className="flex-grow text-sm text-gray-500">
+                    Build the tree in the editor below
+                  </span>
+                ) : (
+                  <>
+                    <input
+                      type="text"
+                      placeholder={inputMode === InputModeType.Einsum ? "Enter einsum string, e.g. abc,cd,de->abe" : "Enter einsum tree, e.g. A[i,j],B[j,k]->[i,k]"}
+                      value={einsumExpression}
+                      onChange={handleEinsumInputChange}
+                      className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      onClick={handleParse}
+                      className="px-5 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb] focus:ring-offset-2"
+                    >
+                      Parse
+                    </button>
+                  </>
+                )}
                 <button
                   onClick={handleShare}
                   className="px-5 py-2 bg-[#282c34] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb] focus:ring-offset-2"
                 >
                   Share
                 </button>
+                <button
+                  onClick={handleCopySnippet}
+                  title="Copy the contractions as code in the export format"
+                  className="px-5 py-2 bg-[#282c34] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb] focus:ring-offset-2"
+                >
+                  Snippet
+                </button>
+                <button
+                  onClick={handleOptimize}
+                  title="Reorder the contractions greedily to minimize operations"
+                  className="px-5 py-2 bg-[#282c34] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb] focus:ring-offset-2"
+                >
+                  Optimize
+                </button>
               </div>
             </div>
             <div
               className="flex-grow overflow-auto p-6 pt-0"
               style={{ touchAction: 'pan-y', overscrollBehavior: 'contain' }}
             >
+              {/* Kept mounted so the editor keeps its operands across mode switches */}
+              <div className={inputMode === InputModeType.Editor ? '' : 'hidden'}>
+                <TreeEditor onBuild={handleEditorBuild} />
+              </div>
+              <UndoPanel undoStack={undoStack} onUndo={handleUndo} onRedo={handleRedo} />
+              <WorkspacePanel
+                workspaces={workspaces}
+                workspace={workspace}
+                onSelect={selectWorkspace}
+                onCreate={(name) => addWorkspace(name, { dataType })}
+                onUpdate={updateWorkspace}
+                onDelete={removeWorkspace}
+                onImport={importWorkspace}
+              />
               <HistoryPanel
                 history={history}
+                currentExpression={currentExpression}
                 onSelectTree={selectTreeFromHistory}
+                onUpdateEntry={handleUpdateHistoryEntry}
                 onClear={handleClearHistory}
+                formatOperations={formatOperations}
+                formatSize={formatSize}
               />
               <IndexSizeInput indexSizes={indexSizes} setIndexSizes={setIndexSizes} onUpdate={recalculateOperations} />
+              <MachineModelPanel machineModel={machineModel} onSave={handleMachineModelSave} />
+              <ExportPanel
+                root={tree?.getRoot()}
+                indexSizes={indexSizes}
+                dataTypeSize={parseInt(dataType, 10)}
+                order={executionOrder}
+                format={exportFormat}
+                onFormatChange={setExportFormat}
+              />
             </div>
           </div>
         </Panel>
@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Toast } from './Toast.jsx';
+import {
+    DEFAULT_WORKSPACE_NAME,
+    createWorkspace,
+    parseWorkspaceFile,
+    initializeWorkspaces,
+    fallbackWorkspace,
+    saveWorkspace,
+    deleteWorkspace,
+    saveActiveWorkspaceId
+} from '../utils/workspaceStorage.jsx';
+
+/**
+ * Loads the workspaces from IndexedDB and stores every change of the active
+ * workspace. Without IndexedDB the workspaces only live until the page is
+ * reloaded.
+ * @returns {Object} The workspaces, the active workspace (null while
+ * loading) and functions to change them
+ */
+export const useWorkspaces = () => {
+    const [workspaces, setWorkspaces] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const isPersistent = useRef(false);
+
+    useEffect(() => {
+        initializeWorkspaces()
+            .then(({ workspaces: loaded, active }) => {
+                isPersistent.current = true;
+                setWorkspaces(loaded);
+                setActiveId(active.id);
+            })
+            .catch(error => {
+                console.warn('Workspaces cannot be stored, they are kept until the page is reloaded:', error);
+                const workspace = fallbackWorkspace();
+                setWorkspaces([workspace]);
+                setActiveId(workspace.id);
+            });
+    }, []);
+
+    const workspace = useMemo(
+        () => workspaces.find(item => item.id === activeId) || null,
+        [workspaces, activeId]
+    );
+
+    useEffect(() => {
+        if (!workspace || !isPersistent.current) return;
+        saveWorkspace(workspace).catch(error => {
+            console.error('Failed to save workspace:', error);
+            Toast.show('Failed to save the workspace');
+        });
+    }, [workspace]);
+
+    useEffect(() => {
+        if (activeId && isPersistent.current) saveActiveWorkspaceId(activeId);
+    }, [activeId]);
+
+    /**
+     * Changes the active workspace
+     * @param {Object|Function} changes - Changed properties, or a function
+     * receiving the workspace and returning them
+     */
+    const updateWorkspace = useCallback((changes) => {
+        setWorkspaces(prev => prev.map(item => item.id === activeId
+            ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes), updatedAt: Date.now() }
+            : item));
+    }, [activeId]);
+
+    const selectWorkspace = useCallback((id) => {
+        if (workspaces.some(item => item.id === id)) setActiveId(id);
+    }, [workspaces]);
+
+    /**
+     * Creates an empty workspace and activates it
+     * @param {string} name - Name of the workspace
+     * @param {Object} [properties] - Properties to take over, e.g. the data type
+     */
+    const addWorkspace = useCallback((name, properties = {}) => {
+        const created = createWorkspace(name, properties);
+        setWorkspaces(prev => [...prev, created]);
+        setActiveId(created.id);
+    }, []);
+
+    /**
+     * Deletes the active workspace and activates another one, a new empty
+     * workspace if it was the last
+     */
+    const removeWorkspace = useCallback(() => {
+        if (!workspace) return;
+        if (isPersistent.current) {
+            deleteWorkspace(workspace.id).catch(error => {
+                console.error('Failed to delete workspace:', error);
+                Toast.show('Failed to delete the workspace');
+            });
+        }
+        const remaining = workspaces.filter(item => item.id !== workspace.id);
+        const next = remaining.length > 0 ? remaining[0] : createWorkspace(DEFAULT_WORKSPACE_NAME);
+        setWorkspaces(remaining.length > 0 ? remaining : [next]);
+        setActiveId(next.id);
+    }, [workspace, workspaces]);
+
+    /**
+     * Adds a workspace from an exported file and activates it
+     * @param {string} text - JSON content of the file
+     * @returns {Object} The imported workspace
+     * @throws {Error} If the file is no valid workspace
+     */
+    const importWorkspace = useCallback((text) => {
+        const imported = parseWorkspaceFile(text, workspaces.map(item => item.name));
+        setWorkspaces(prev => [...prev, imported]);
+        setActiveId(imported.id);
+        return imported;
+    }, [workspaces]);
+
+    return { workspaces, workspace, updateWorkspace, selectWorkspace, addWorkspace, removeWorkspace, importWorkspace };
+};
@@ -0,0 +1,573 @@
+import { ExportFormatType, ClassifierType, SpecialIndexType } from './constants.jsx';
+import { dimensionTypes } from './dimensionClassifier.jsx';
+import { calculateStrides, calculateTensorSize } from './metricCalculation.jsx';
+import { getChildren, analyzeSpecialIndices } from './einsumContractionTree.jsx';
+
+const SUBSCRIPT_LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Assigns a single letter subscript to every index, as required by einsum
+ * implementations. Indices that already are a single letter keep it.
+ * @param {string[]} indices - All indices of the tree
+ * @returns {Object<string, string>} Subscript letter per index
+ * @throws {Error} If the tree has more indices than available letters
+ */
+export const assignSubscripts = (indices) => {
+    const unique = [...new Set(indices)];
+    if (unique.length > SUBSCRIPT_LETTERS.length) {
+        throw new Error(`einsum supports at most ${SUBSCRIPT_LETTERS.length} distinct indices, the tree has ${unique.length}`);
+    }
+
+    const subscripts = {};
+    const used = new Set();
+    unique.forEach(index => {
+        if (SUBSCRIPT_LETTERS.includes(index) && index.length === 1) {
+            subscripts[index] = index;
+            used.add(index);
+        }
+    });
+
+    const free = [...SUBSCRIPT_LETTERS].filter(letter => !used.has(letter));
+    unique.forEach(index => {
+        if (!subscripts[index]) subscripts[index] = free.shift();
+    });
+
+    return subscripts;
+};
+
+/**
+ * A tensor computed by one step of an evaluation plan
+ * @typedef {Object} PlanStep
+ * @property {Object} node - Tree node computed in this step
+ * @property {string} name - Variable name of the result
+ * @property {string[]} operands - Variable names of the operands
+ */
+
+/**
+ * Lists the inputs and contractions of a tree in evaluation order. Inputs are
+ * named in0, in1, ... from left to right, intermediates step1, step2, ...
+ * @param {Object} root - Root node of the tree
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @returns {{leaves: {node: Object, name: string}[], steps: PlanStep[], result: string}}
+ * Inputs, steps and the variable holding the root
+ */
+export const evaluationPlan = (root, order = null) => {
+    const leaves = [];
+    const inner = [];
+
+    const visit = (node) => {
+        if (!node) return;
+        getChildren(node).forEach(visit);
+        if (!node.left && !node.right) {
+            leaves.push({ node, name: `in${leaves.length}` });
+        } else {
+            inner.push(node);
+        }
+    };
+    visit(root);
+
+    const names = new Map(leaves.map(leaf => [leaf.node.id, leaf.name]));
+    const byId = new Map(inner.map(node => [node.id, node]));
+    const nodes = order ? order.map(id => byId.get(id)) : inner;
+
+    const steps = nodes.map((node, i) => {
+        const name = `step${i + 1}`;
+        const operands = getChildren(node).map(child => names.get(child.id));
+        names.set(node.id, name);
+        return { node, name, operands };
+    });
+
+    return { leaves, steps, result: root ? names.get(root.id) : null };
+};
+
+/**
+ * Collects every index occurring in a tree
+ * @param {Object} root - Root node of the tree
+ * @returns {string[]} Indices in order of first occurrence, leaves first
+ */
+const treeIndices = (root) => {
+    const indices = [];
+    const visit = (node) => {
+        if (!node) return;
+        getChildren(node).forEach(visit);
+        indices.push(...node.value);
+    };
+    visit(root);
+    return [...new Set(indices)];
+};
+
+/**
+ * Formats the shape of a tensor as a Python tuple
+ * @param {string[]} indices - Indices of the tensor
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {string} Python tuple literal
+ */
+const pythonShape = (indices, indexSizes) => {
+    const sizes = indices.map(index => indexSizes[index] || 1);
+    return sizes.length === 1 ? `(${sizes[0]},)` : `(${sizes.join(', ')})`;
+};
+
+/**
+ * Creates an einsum equation such as 'ab,bc->ac'
+ * @param {string[][]} operands - Indices of the operands
+ * @param {string[]} output - Indices of the result
+ * @param {Object<string, string>} subscripts - Subscript letter per index
+ * @returns {string} The equation
+ */
+const einsumEquation = (operands, output, subscripts) => {
+    const term = (indices) => indices.map(index => subscripts[index]).join('');
+    return `${operands.map(term).join(',')}->${term(output)}`;
+};
+
+/**
+ * Finds the output indices that occur in no operand. einsum rejects them, so
+ * the result is broadcast by an extra operand of ones spanning these indices.
+ * @param {string[]} output - Indices of the result
+ * @param {string[][]} operands - Indices of the operands
+ * @returns {string[]} The broadcast indices
+ */
+const broadcastIndices = (output, operands) => analyzeSpecialIndices(output, operands).indices
+    .filter(({ type }) => type === SpecialIndexType.Broadcast)
+    .map(({ index }) => index);
+
+/**
+ * Formats the indices of a tree node for comments
+ * @param {Object} node - Tree node
+ * @returns {string} Indices in brackets
+ */
+const tensorLabel = (node) => `[${node.value.join(',')}]`;
+
+/**
+ * Einsum, transpose and ones calls of the supported Python frameworks.
+ * Frameworks without a permute call express permutation nodes as einsum as
+ * well. The ones take the data type of an operand.
+ */
+const PYTHON_FRAMEWORKS = {
+    [ExportFormatType.NumPy]: {
+        einsum: 'np.einsum',
+        ones: (shape, like) => `np.ones(${shape}, dtype=${like}.dtype)`
+    },
+    [ExportFormatType.PyTorch]: {
+        einsum: 'torch.einsum',
+        permute: (operand, axes) => `${operand}.permute(${axes.join(', ')})`,
+        ones: (shape, like) => `torch.ones(${shape}, dtype=${like}.dtype, device=${like}.device)`
+    },
+    [ExportFormatType.JAX]: {
+        einsum: 'jnp.einsum',
+        permute: (operand, axes) => `jnp.transpose(${operand}, (${axes.join(', ')}${axes.length === 1 ? ',' : ''}))`,
+        ones: (shape, like) => `jnp.ones(${shape}, dtype=${like}.dtype)`
+    }
+};
+
+/**
+ * Returns the axes that permute a unary node's child into the node, or null if
+ * the node does more than reorder the indices
+ * @param {Object} node - Unary tree node
+ * @returns {number[]|null} Position of each output index in the child
+ */
+const permutationAxes = (node) => {
+    const child = node.left || node.right;
+    const input = child.value;
+    if (input.length !== node.value.length || new Set(input).size !== input.length) return null;
+    const axes = node.value.map(index => input.indexOf(index));
+    return axes.includes(-1) ? null : axes;
+};
+
+/**
+ * Creates the Python statements that evaluate the tree, one per node
+ * @param {Object} root - Root node of the tree
+ * @param {string} framework - NumPy, PyTorch or JAX export format
+ * @param {string[]|null} order - IDs of the inner nodes in execution order
+ * @param {Object} indexSizes - Index sizes mapping, sizes the broadcasts
+ * @returns {{plan: Object, indices: string[], subscripts: Object<string, string>, statements: string[]}}
+ * The evaluation plan, all indices with their subscripts and the statements
+ */
+const pythonStatements = (root, framework, order, indexSizes) => {
+    if (!root) throw new Error('The tree is empty');
+
+    const { einsum, permute, ones } = PYTHON_FRAMEWORKS[framework];
+    const indices = treeIndices(root);
+    const subscripts = assignSubscripts(indices);
+    const plan = evaluationPlan(root, order);
+
+    const statements = plan.steps.map(({ node, name, operands }) => {
+        const children = getChildren(node);
+        const comment = `${children.map(tensorLabel).join(', ')} -> ${tensorLabel(node)}`;
+        const axes = permute && children.length === 1 ? permutationAxes(node) : null;
+        if (axes) {
+            return `${name} = ${permute(operands[0], axes)}  # ${comment}`;
+        }
+        const inputs = children.map(child => child.value);
+        const args = [...operands];
+        const broadcast = broadcastIndices(node.value, inputs);
+        if (broadcast.length > 0) {
+            inputs.push(broadcast);
+            args.push(ones(pythonShape(broadcast, indexSizes), operands[0]));
+        }
+        const equation = einsumEquation(inputs, node.value, subscripts);
+        return `${name} = ${einsum}('${equation}', ${args.join(', ')})  # ${comment}`;
+    });
+
+    return { plan, indices, subscripts, statements };
+};
+
+/**
+ * Creates a comment line that maps every subscript to its index and size
+ * @param {string[]} indices - All indices of the tree
+ * @param {Object<string, string>} subscripts - Subscript letter per index
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {string} The comment
+ */
+const subscriptComment = (indices, subscripts, indexSizes) =>
+    '# Subscripts: ' + indices.map(index => `${subscripts[index]}=${index} (${indexSizes[index] || 1})`).join(', ');
+
+/**
+ * Creates a self-contained Python script that evaluates the tree with one
+ * np.einsum call per node and checks the result against a single np.einsum
+ * over all inputs
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes, 4 or 8
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @returns {string} The script
+ * @throws {Error} If the tree is empty or has more than 52 distinct indices
+ */
+export const numpyScript = (root, indexSizes, dataTypeSize, order = null) => {
+    const { plan, indices, subscripts, statements } = pythonStatements(root, ExportFormatType.NumPy, order, indexSizes);
+    const { leaves, result } = plan;
+    const isDouble = dataTypeSize === 8;
+
+    const inputs = leaves.map(({ node }) => node.value);
+    const args = leaves.map(({ name }) => name);
+    const broadcast = broadcastIndices(root.value, inputs);
+    if (broadcast.length > 0) {
+        inputs.push(broadcast);
+        args.push(`np.ones(${pythonShape(broadcast, indexSizes)}, dtype=dtype)`);
+    }
+
+    const lines = [
+        'import numpy as np',
+        '',
+        subscriptComment(indices, subscripts, indexSizes),
+        `dtype = np.${isDouble ? 'float64' : 'float32'}`,
+        `tolerance = ${isDouble ? '1e-10' : '1e-4'}`,
+        'rng = np.random.default_rng(0)',
+        '',
+        '# Inputs',
+        ...leaves.map(({ node, name }) =>
+            `${name} = rng.standard_normal(${pythonShape(node.value, indexSizes)}, dtype=dtype)  # ${tensorLabel(node)}`),
+        '',
+        '# Contractions in evaluation order',
+        ...statements,
+        `result = ${result}`,
+        '',
+        '# Check against a single contraction over all inputs',
+        `reference = np.einsum('${einsumEquation(inputs, root.value, subscripts)}', ${args.join(', ')}, optimize=True)`,
+        'error = np.max(np.abs(result - reference), initial=0) / max(np.max(np.abs(reference), initial=0), 1)',
+        'assert error < tolerance, f"relative error {error:.3e} exceeds {tolerance:.0e}"',
+        'print(f"OK, relative error {error:.3e}")',
+        ''
+    ];
+
+    return lines.join('\n');
+};
+
+/**
+ * Creates the function definition shared by the PyTorch and JAX modules
+ * @param {Object} plan - Evaluation plan of the tree
+ * @param {string[]} statements - Statements evaluating the tree
+ * @param {Object} root - Root node of the tree
+ * @returns {string[]} Lines of the function
+ */
+const pythonFunction = (plan, statements, root) => [
+    `def einsum_tree(${plan.leaves.map(({ name }) => name).join(', ')}):`,
+    `    """Evaluates the contraction tree, inputs ${plan.leaves.map(({ node }) => tensorLabel(node)).join(', ')}, ` +
+    `result ${tensorLabel(root)}"""`,
+    ...statements.map(statement => `    ${statement}`),
+    `    return ${plan.result}`
+];
+
+/**
+ * Creates a Python module with an einsum_tree function that evaluates the tree
+ * with torch.einsum calls and explicit permute calls for permutation nodes
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes, 4 or 8
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @returns {string} The module
+ * @throws {Error} If the tree is empty or has more than 52 distinct indices
+ */
+export const torchModule = (root, indexSizes, dataTypeSize, order = null) => {
+    const { plan, indices, subscripts, statements } = pythonStatements(root, ExportFormatType.PyTorch, order, indexSizes);
+
+    const lines = [
+        'import torch',
+        '',
+        subscriptComment(indices, subscripts, indexSizes),
+        `DTYPE = torch.${dataTypeSize === 8 ? 'float64' : 'float32'}`,
+        '',
+        '',
+        ...pythonFunction(plan, statements, root),
+        '',
+        '',
+        "if __name__ == '__main__':",
+        '    torch.manual_seed(0)',
+        ...plan.leaves.map(({ node, name }) =>
+            `    ${name} = torch.randn(${pythonShape(node.value, indexSizes)}, dtype=DTYPE)`),
+        `    result = einsum_tree(${plan.leaves.map(({ name }) => name).join(', ')})`,
+        '    print(result.shape, result.dtype)',
+        ''
+    ];
+
+    return lines.join('\n');
+};
+
+/**
+ * Creates a Python module with an einsum_tree function that evaluates the tree
+ * with jax.numpy.einsum calls and explicit transposes for permutation nodes
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes, 4 or 8
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @returns {string} The module
+ * @throws {Error} If the tree is empty or has more than 52 distinct indices
+ */
+export const jaxModule = (root, indexSizes, dataTypeSize, order = null) => {
+    const { plan, indices, subscripts, statements } = pythonStatements(root, ExportFormatType.JAX, order, indexSizes);
+    const isDouble = dataTypeSize === 8;
+
+    const lines = [
+        'import jax',
+        ...(isDouble ? ['', '# Double precision is disabled by default', 'jax.config.update("jax_enable_x64", True)', ''] : []),
+        'import jax.numpy as jnp',
+        '',
+        subscriptComment(indices, subscripts, indexSizes),
+        `DTYPE = jnp.${isDouble ? 'float64' : 'float32'}`,
+        '',
+        '',
+        '@jax.jit',
+        ...pythonFunction(plan, statements, root),
+        '',
+        '',
+        "if __name__ == '__main__':",
+        `    keys = jax.random.split(jax.random.PRNGKey(0), ${plan.leaves.length})`,
+        ...plan.leaves.map(({ node, name }, i) =>
+            `    ${name} = jax.random.normal(keys[${i}], ${pythonShape(node.value, indexSizes)}, dtype=DTYPE)`),
+        `    result = einsum_tree(${plan.leaves.map(({ name }) => name).join(', ')})`,
+        '    print(result.shape, result.dtype)',
+        ''
+    ];
+
+    return lines.join('\n');
+};
+
+/**
+ * Creates a short snippet with only the statements that evaluate the tree,
+ * for pasting into existing code where the inputs are already defined
+ * @param {Object} root - Root node of the tree
+ * @param {string} framework - NumPy, PyTorch or JAX export format
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @param {Object} [indexSizes={}] - Index sizes mapping, sizes the broadcasts
+ * @returns {string} The snippet
+ * @throws {Error} If the tree is empty or has more than 52 distinct indices
+ */
+export const pythonSnippet = (root, framework, order = null, indexSizes = {}) => {
+    const { plan, statements } = pythonStatements(root, framework, order, indexSizes);
+
+    return [
+        `# Inputs: ${plan.leaves.map(({ node, name }) => `${name} ${tensorLabel(node)}`).join(', ')}`,
+        ...statements,
+        `result = ${plan.result}`
+    ].join('\n');
+};
+
+/**
+ * Order of the dimension types in a loop nest from outermost to innermost:
+ * the loop dimensions enclose the primitive, both follow the processing
+ * order of the dimension classifier
+ */
+const LOOP_NEST_ORDER = [
+    ['loop', 'bc'], ['loop', 'bm'], ['loop', 'bk'], ['loop', 'bn'],
+    ['primitive', 'cb'], ['primitive', 'mb'], ['primitive', 'kb'], ['primitive', 'nb']
+];
+
+/**
+ * Orders the loops of a node. Binary nodes follow their dimension types, the
+ * remaining indices follow as they occur in the output and the operands.
+ * @param {Object} node - Tree node
+ * @returns {string[]} Indices from outermost to innermost loop
+ */
+const loopOrder = (node) => {
+    const children = getChildren(node);
+    const ordered = [];
+
+    if (children.length === 2) {
+        const dimTypes = dimensionTypes(node.value, node.left.value, node.right.value, ClassifierType.Standard) ||
+            dimensionTypes(node.value, node.left.value, node.right.value, ClassifierType.Simplified);
+        if (dimTypes) {
+            LOOP_NEST_ORDER.forEach(([category, type]) => ordered.push(...(dimTypes[category][type] || [])));
+        }
+    }
+
+    return [...new Set([...ordered, ...node.value, ...children.flatMap(child => child.value)])];
+};
+
+/**
+ * Turns an index into a C identifier
+ * @param {string} index - Index label
+ * @returns {string} Loop variable name
+ */
+const loopVariable = (index) => `i_${index.replace(/[^A-Za-z0-9_]/g, '_')}`;
+
+/**
+ * Creates the offset expression of a row-major tensor element
+ * @param {string[]} indices - Indices of the tensor
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {string} C expression, 0 for scalars
+ */
+const offsetExpression = (indices, indexSizes) => {
+    const strides = calculateStrides(indices, indexSizes);
+    const terms = indices.map((index, i) =>
+        strides[i] === 1 ? loopVariable(index) : `${loopVariable(index)} * ${strides[i]}`);
+    return terms.length > 0 ? terms.join(' + ') : '0';
+};
+
+/**
+ * Creates one C function per step that evaluates the node with a loop nest
+ * @param {PlanStep[]} steps - Steps of the evaluation plan
+ * @param {Object} sizes - Size of every index of the tree
+ * @returns {string[]} Lines of the functions
+ */
+const loopNestFunctions = (steps, sizes) =>
+    steps.flatMap(({ node, name }) => {
+        const children = getChildren(node);
+        const operands = children.length === 1 ? ['in'] :
+            children.length === 2 ? ['left', 'right'] : children.map((_, i) => `in${i}`);
+        const loops = loopOrder(node);
+        const depth = loops.length;
+        const indent = (level) => '    '.repeat(level + 1);
+        const product = children
+            .map((child, i) => `${operands[i]}[${offsetExpression(child.value, sizes)}]`)
+            .join(' * ');
+
+        return [
+            `/* ${children.map(tensorLabel).join(', ')} -> ${tensorLabel(node)}, loops ${loops.join(', ') || 'none'} */`,
+            `static void compute_${name}(${operands.map(operand => `const real *restrict ${operand}`).join(', ')}, real *restrict out) {`,
+            `    memset(out, 0, ${calculateTensorSize(node.value, sizes, 1)} * sizeof(real));`,
+            ...loops.map((index, level) =>
+                `${indent(level)}for (int64_t ${loopVariable(index)} = 0; ${loopVariable(index)} < ${sizes[index]}; ++${loopVariable(index)})`),
+            `${indent(depth)}out[${offsetExpression(node.value, sizes)}] += ${product};`,
+            '}',
+            ''
+        ];
+    });
+
+/**
+ * Creates a C program with one loop-nest function per node, intermediates
+ * allocated by tensor size and a main that fills the inputs with random
+ * values and times every node
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes, 4 or 8
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @returns {string} The program
+ * @throws {Error} If the tree is empty
+ */
+export const cProgram = (root, indexSizes, dataTypeSize, order = null) => {
+    if (!root) throw new Error('The tree is empty');
+
+    const { leaves, steps, result } = evaluationPlan(root, order);
+    const indices = treeIndices(root);
+    const elements = (node) => calculateTensorSize(node.value, indexSizes, 1);
+    const sizes = Object.fromEntries(indices.map(index => [index, indexSizes[index] || 1]));
+
+    const functions = loopNestFunctions(steps, sizes);
+
+    const lines = [
+        '#define _POSIX_C_SOURCE 199309L',
+        '#include <stdint.h>',
+        '#include <stdio.h>',
+        '#include <stdlib.h>',
+        '#include <string.h>',
+        '#include <time.h>',
+        '',
+        `typedef ${dataTypeSize === 8 ? 'double' : 'float'} real;`,
+        '',
+        '/* Index sizes: ' + indices.map(index => `${index}=${sizes[index]}`).join(', ') + ' */',
+        '',
+        ...functions,
+        'static double seconds(void) {',
+        '    struct timespec time;',
+        '    clock_gettime(CLOCK_MONOTONIC, &time);',
+        '    return time.tv_sec + 1e-9 * time.tv_nsec;',
+        '}',
+        '',
+        'static real *allocate(int64_t elements) {',
+        '    real *tensor = malloc(elements * sizeof(real));',
+        '    if (!tensor) {',
+        '        fprintf(stderr, "Failed to allocate %lld elements\\n", (long long) elements);',
+        '        exit(EXIT_FAILURE);',
+        '    }',
+        '    return tensor;',
+        '}',
+        '',
+        'int main(void) {',
+        '    srand(0);',
+        '',
+        '    /* Inputs */',
+        ...leaves.flatMap(({ node, name }) => [
+            `    real *${name} = allocate(${elements(node)}); /* ${tensorLabel(node)}, ${calculateTensorSize(node.value, sizes, dataTypeSize)} bytes */`,
+            `    for (int64_t i = 0; i < ${elements(node)}; ++i) ${name}[i] = (real) rand() / RAND_MAX - 0.5;`
+        ]),
+        '',
+        '    /* Intermediates */',
+        ...steps.map(({ node, name }) =>
+            `    real *${name} = allocate(${elements(node)}); /* ${tensorLabel(node)}, ${calculateTensorSize(node.value, sizes, dataTypeSize)} bytes */`),
+        '',
+        '    double start, elapsed, total = 0.0;',
+        ...steps.flatMap(({ node, name, operands }) => [
+            '    start = seconds();',
+            `    compute_${name}(${operands.join(', ')}, ${name});`,
+            '    elapsed = seconds() - start;',
+            '    total += elapsed;',
+            `    printf("${name} ${tensorLabel(node)}: %.6f s\\n", elapsed);`
+        ]),
+        '    printf("total: %.6f s\\n", total);',
+        '',
+        '    double checksum = 0.0;',
+        `    for (int64_t i = 0; i < ${elements(root)}; ++i) checksum += ${result}[i];`,
+        '    printf("checksum: %.6e\\n", checksum);',
+        '',
+        ...[...leaves, ...steps].map(({ name }) => `    free(${name});`),
+        '    return 0;',
+        '}',
+        ''
+    ];
+
+    return lines.join('\n');
+};
+
+/**
+ * Creates a short snippet in any export format: the statements of the Python
+ * formats or the loop-nest functions of the C format
+ * @param {Object} root - Root node of the tree
+ * @param {string} format - One of ExportFormatType
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @returns {string} The snippet
+ * @throws {Error} If the tree is empty or has more than 52 distinct indices
+ */
+export const codeSnippet = (root, format, indexSizes, order = null) => {
+    if (format !== ExportFormatType.C) return pythonSnippet(root, format, order, indexSizes);
+    if (!root) throw new Error('The tree is empty');
+
+    const sizes = Object.fromEntries(treeIndices(root).map(index => [index, indexSizes[index] || 1]));
+    return loopNestFunctions(evaluationPlan(root, order).steps, sizes).join('\n').trimEnd();
+};
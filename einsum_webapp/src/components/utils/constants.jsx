@@ -4,4 +4,49 @@ export const LayoutOptionType = {
   Wide: 'wide',
   Hierarchical: 'hierarchical',
   Compact: 'compact',
-};
\ No newline at end of file
+};
+export const InputModeType = {
+  Tree: 'tree',
+  Einsum: 'einsum',
+  Editor: 'editor',
+};
+
+export const OptimizationObjectiveType = {
+  Flops: 'flops',
+  Memory: 'memory',
+};
+
+export const ScheduleType = {
+  LeftFirst: 'left first',
+  MemoryOptimal: 'memory optimal',
+};
+
+export const ClassifierType = {
+  Standard: 'standard',
+  Simplified: 'simplified',
+};
+
+export const ExportFormatType = {
+  NumPy: 'numpy',
+  PyTorch: 'pytorch',
+  JAX: 'jax',
+  C: 'c',
+};
+
+export const SpecialIndexType = {
+  Diagonal: 'diagonal',
+  Trace: 'trace',
+  Reduction: 'reduction',
+  Broadcast: 'broadcast',
+};
+
+export const RotationDirectionType = {
+  Left: 'left',
+  Right: 'right',
+};
+
+export const HistorySortType = {
+  Tree: 'tree',
+  Operations: 'operations',
+  PeakMemory: 'peakMemory',
+};
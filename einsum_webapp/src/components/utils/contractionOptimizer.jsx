@@ -0,0 +1,287 @@
+import { Node, Tree, createContractionNode, getChildren } from './einsumContractionTree.jsx';
+import { calculateOperations, calculateTensorSize, calculateNaryCost } from './metricCalculation.jsx';
+import { calculatePeakMemory, combinePeakMemory } from './memoryAnalysis.jsx';
+import { dimensionTypes } from './dimensionClassifier.jsx';
+import { ClassifierType, OptimizationObjectiveType } from './constants.jsx';
+
+/**
+ * Maximum number of leaves for the exhaustive search, which visits 3^n splits
+ */
+export const MAX_OPTIMAL_LEAVES = 14;
+
+/**
+ * Calculates the operation count of contracting two operands into a result
+ * @param {string[]} left - Left operand indices
+ * @param {string[]} right - Right operand indices
+ * @param {string[]} output - Result indices
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {number} Number of operations
+ */
+export const contractionCost = (left, right, output, indexSizes) =>
+    calculateOperations(dimensionTypes(output, left, right, ClassifierType.Simplified), indexSizes);
+
+/**
+ * Sums the operation counts of the contractions of a tree. Permutation and
+ * other unary nodes are left out, as in the optimized trees, so the sum can
+ * be compared with the cost of optimalContractionTree for the FLOPs objective.
+ * @param {Tree} tree - The tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {number} Number of operations of all contractions
+ */
+export const contractionOperations = (tree, indexSizes) => {
+    const visit = (node) => {
+        if (!node) return 0;
+        const children = getChildren(node);
+        const childOperations = children.reduce((sum, child) => sum + visit(child), 0);
+        if (children.length === 2) {
+            return childOperations + contractionCost(children[0].value, children[1].value, node.value, indexSizes);
+        }
+        if (children.length > 2) {
+            return childOperations + calculateNaryCost(children.map(child => child.value), node.value, indexSizes).operations;
+        }
+        return childOperations;
+    };
+    return visit(tree?.getRoot());
+};
+
+/**
+ * Counts how often each index occurs across a list of index arrays
+ * @param {string[][]} indexLists - Arrays of indices
+ * @returns {Map<string, number>} Occurrence count per index
+ */
+const countIndices = (indexLists) => {
+    const counts = new Map();
+    indexLists.forEach(indices => indices.forEach(index => {
+        counts.set(index, (counts.get(index) || 0) + 1);
+    }));
+    return counts;
+};
+
+/**
+ * Creates an empty tree without resetting the node id counter, like
+ * `Tree.clone()`, so that the ids of the new nodes stay unique among the
+ * nodes added to the tree later
+ * @returns {Tree} The empty tree
+ */
+const emptyTree = () => {
+    const maxIdLastTime = Tree.nodeIdCounter;
+    const tree = new Tree();
+    Tree.nodeIdCounter = maxIdLastTime;
+    return tree;
+};
+
+/**
+ * Copies a leaf with its indices and tensor name
+ * @param {Node} leaf - The leaf to copy
+ * @returns {Node} The new leaf
+ */
+const copyLeaf = (leaf) => {
+    const node = new Node([...leaf.value]);
+    node.name = leaf.name ?? null;
+    return node;
+};
+
+/**
+ * Creates a fresh tree holding a copy of a single leaf, wrapped in a
+ * permutation node if the requested output order differs
+ * @param {Node} leaf - The only leaf of the tree
+ * @param {string[]} output - Result indices
+ * @returns {Tree} The new tree
+ */
+const singleLeafTree = (leaf, output) => {
+    const result = emptyTree();
+    const node = copyLeaf(leaf);
+    if (node.value.join(',') === output.join(',')) {
+        return result.setRoot(node);
+    }
+    node.deleteAble = true;
+    return result.setRoot(new Node([...output], node, null, true));
+};
+
+/**
+ * Rebuilds the binary structure of a tree with a greedy strategy: at every
+ * step the pair of pending tensors that is cheapest to contract is merged,
+ * ties are broken by the smaller result. Permutation nodes are dropped, only
+ * the leaves and the root indices are kept.
+ * @param {Tree} tree - The tree whose leaves should be reordered
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Tree|null} The optimized tree or null if the tree is empty
+ */
+export const greedyContractionTree = (tree, indexSizes) => {
+    const root = tree?.getRoot();
+    if (!root) return null;
+
+    const leaves = tree.getLeaves();
+    const output = root.value;
+    if (leaves.length === 1) {
+        return singleLeafTree(leaves[0], output);
+    }
+
+    const result = emptyTree();
+    const pool = leaves.map(copyLeaf);
+    const counts = countIndices([output, ...pool.map(node => node.value)]);
+
+    while (pool.length > 2) {
+        let best = null;
+
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                const left = pool[i].value;
+                const right = pool[j].value;
+                const pairCounts = countIndices([left, right]);
+                const kept = [...pairCounts.keys()].filter(index =>
+                    counts.get(index) > pairCounts.get(index));
+
+                const cost = contractionCost(left, right, kept, indexSizes);
+                const size = calculateTensorSize(kept, indexSizes, 1);
+
+                if (!best || cost < best.cost || (cost === best.cost && size < best.size)) {
+                    best = { i, j, kept, cost, size };
+                }
+            }
+        }
+
+        const node = createContractionNode(pool[best.i], pool[best.j], best.kept);
+        [pool[best.i], pool[best.j]].forEach(operand => operand.value.forEach(index => {
+            counts.set(index, counts.get(index) - 1);
+        }));
+        node.value.forEach(index => counts.set(index, counts.get(index) + 1));
+
+        pool.splice(best.j, 1);
+        pool.splice(best.i, 1, node);
+    }
+
+    return result.setRoot(new Node([...output], pool[0], pool[1]));
+};
+
+/**
+ * Finds a provably optimal contraction order with a dynamic program over all
+ * subsets of leaves. Each subset is contracted into one intermediate that keeps
+ * the indices still needed outside of it, so the best tree for a subset only
+ * depends on how it is split into two smaller subsets.
+ * For the memory objective the subset evaluated first becomes the left child,
+ * matching a left-first post-order evaluation.
+ * @param {Tree} tree - The tree whose leaves should be reordered
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string} objective - Either minimum operations or minimum peak memory
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @returns {{tree: Tree, cost: number}|null} Optimal tree and its cost, or null
+ * if the tree is empty or has more than MAX_OPTIMAL_LEAVES leaves
+ */
+export const optimalContractionTree = (tree, indexSizes, objective = OptimizationObjectiveType.Flops, dataTypeSize = 4) => {
+    const root = tree?.getRoot();
+    if (!root) return null;
+
+    const leaves = tree.getLeaves();
+    const output = root.value;
+    const n = leaves.length;
+    if (n > MAX_OPTIMAL_LEAVES) return null;
+
+    const minimizeFlops = objective === OptimizationObjectiveType.Flops;
+
+    if (n === 1) {
+        const single = singleLeafTree(leaves[0], output);
+        return {
+            tree: single,
+            cost: minimizeFlops ? 0 : calculatePeakMemory(single.getRoot(), indexSizes, dataTypeSize)
+        };
+    }
+
+    const full = (1 << n) - 1;
+    const counts = countIndices([output, ...leaves.map(leaf => leaf.value)]);
+    const kept = new Array(full + 1);
+    const memory = new Array(full + 1);
+    const best = new Float64Array(full + 1).fill(Infinity);
+    const split = new Int32Array(full + 1);
+
+    for (let mask = 1; mask <= full; mask++) {
+        const members = leaves.filter((_, i) => mask & (1 << i));
+        if (members.length === 1) {
+            kept[mask] = [...members[0].value];
+        } else {
+            const inside = countIndices(members.map(leaf => leaf.value));
+            kept[mask] = [...inside.keys()].filter(index => counts.get(index) > inside.get(index));
+        }
+    }
+
+    // Index sets as bit masks so the cost of a split can be evaluated without
+    // allocating: contractionCost reduces to 2 * |kept(A) u kept(B)| - |kept(S)|
+    // where |.| is the product of the index sizes
+    const labels = [...counts.keys()];
+    const labelSizes = labels.map(label => indexSizes[label] || 1);
+    const words = Math.ceil(labels.length / 32) || 1;
+    const keptBits = new Uint32Array((full + 1) * words);
+    const keptProduct = new Float64Array(full + 1);
+
+    for (let mask = 1; mask <= full; mask++) {
+        keptProduct[mask] = calculateTensorSize(kept[mask], indexSizes, 1);
+        kept[mask].forEach(index => {
+            const position = labels.indexOf(index);
+            keptBits[mask * words + (position >> 5)] |= 1 << (position & 31);
+        });
+    }
+
+    const unionProduct = (a, b) => {
+        let product = keptProduct[a];
+        for (let w = 0; w < words; w++) {
+            let bits = keptBits[b * words + w] & ~keptBits[a * words + w];
+            while (bits) {
+                const bit = bits & -bits;
+                product *= labelSizes[w * 32 + 31 - Math.clz32(bit)];
+                bits ^= bit;
+            }
+        }
+        return product;
+    };
+
+    for (let mask = 1; mask <= full; mask++) {
+        const size = calculateTensorSize(kept[mask], indexSizes, dataTypeSize);
+        const lowest = mask & -mask;
+
+        if (mask === lowest) {
+            best[mask] = minimizeFlops ? 0 : size;
+            memory[mask] = { peak: size, base: size, size };
+            continue;
+        }
+
+        for (let first = (mask - 1) & mask; first > 0; first = (first - 1) & mask) {
+            const second = mask ^ first;
+            let cost;
+
+            if (minimizeFlops) {
+                // Both orders of a split cost the same, visit each pair once
+                if (!(first & lowest)) continue;
+                const lowerBound = best[first] + best[second];
+                if (lowerBound >= best[mask]) continue;
+                cost = lowerBound + 2 * unionProduct(first, second) - keptProduct[mask];
+            } else {
+                cost = combinePeakMemory(memory[first], memory[second], size);
+            }
+
+            if (cost < best[mask]) {
+                best[mask] = cost;
+                split[mask] = first;
+            }
+        }
+
+        memory[mask] = {
+            peak: best[mask],
+            base: memory[lowest].base + memory[mask ^ lowest].base,
+            size
+        };
+    }
+
+    const result = emptyTree();
+    const build = (mask) => {
+        if ((mask & (mask - 1)) === 0) {
+            return copyLeaf(leaves[31 - Math.clz32(mask)]);
+        }
+        const left = build(split[mask]);
+        const right = build(mask ^ split[mask]);
+        return mask === full
+            ? new Node([...output], left, right)
+            : createContractionNode(left, right, kept[mask]);
+    };
+
+    return { tree: result.setRoot(build(full)), cost: best[full] };
+};
@@ -1,5 +1,6 @@
 import { cloneDeep } from "lodash";
-import { Toast } from '../common/Toast.jsx';
+import { analyzeSpecialIndices } from "./einsumContractionTree.jsx";
+import { SpecialIndexType } from "./constants.jsx";
 
 /**
  * Dimension states for classification process
@@ -48,6 +49,72 @@ const DIM_TYPE_RELATIONS = {
     [DimType.KB]: { primitive: DimType.KB, loop: DimType.BK },
 };
 
+/**
+ * Error codes reported by the dimension classifiers
+ */
+export const DiagnosticCode = {
+    INVALID_INDEX: 'INVALID_INDEX',
+    DUPLICATE_INDEX: 'DUPLICATE_INDEX',
+    MISSING_OUTPUT_INDEX: 'MISSING_OUTPUT_INDEX',
+    UNMATCHED_K_INDEX: 'UNMATCHED_K_INDEX',
+    MALFORMED_CONTRACTION: 'MALFORMED_CONTRACTION'
+};
+
+/**
+ * Severity of a diagnostic: errors prevent the classification, warnings
+ * point out indices that are valid but often typos
+ */
+export const DiagnosticSeverity = {
+    Error: 'error',
+    Warning: 'warning'
+};
+
+/**
+ * Structured description of why a contraction could not be classified
+ * @typedef {Object} Diagnostic
+ * @property {string} code - One of DiagnosticCode
+ * @property {string} severity - One of DiagnosticSeverity
+ * @property {string} message - Human-readable explanation
+ * @property {string|null} index - Offending index
+ * @property {string|null} operand - Operand containing the index: 'left', 'right' or 'output'
+ * @property {string} suggestion - Suggested fix
+ */
+
+/**
+ * Error thrown during classification that carries a diagnostic
+ */
+export class ClassificationError extends Error {
+    /**
+     * Creates a classification error
+     * @param {string} code - One of DiagnosticCode
+     * @param {string} message - Human-readable explanation
+     * @param {Object} details - Offending index, operand and suggested fix
+     */
+    constructor(code, message, { index = null, operand = null, suggestion = '' } = {}) {
+        super(message);
+        this.name = 'ClassificationError';
+        this.code = code;
+        this.index = index;
+        this.operand = operand;
+        this.suggestion = suggestion;
+    }
+
+    /**
+     * Converts the error into a plain diagnostic object
+     * @returns {Diagnostic} The diagnostic
+     */
+    toDiagnostic() {
+        return {
+            code: this.code,
+            severity: DiagnosticSeverity.Error,
+            message: this.message,
+            index: this.index,
+            operand: this.operand,
+            suggestion: this.suggestion
+        };
+    }
+}
+
 /**
  * Base class for dimension classifiers that provides common functionality
  */
@@ -66,6 +133,8 @@ class BaseDimensionClassifier {
         this.right = cloneDeep(right) || [];
         this.rightK = cloneDeep(right) || [];
         this.leftK = cloneDeep(left) || [];
+        this.originalLeft = cloneDeep(left) || [];
+        this.originalRight = cloneDeep(right) || [];
 
         // Initialize state tracking
         this.state = DimState.INITIAL;
@@ -138,7 +207,11 @@ class BaseDimensionClassifier {
      */
     validateElement(element) {
         if (!element) {
-            throw new Error(`Contraction element: ${element} is undefined or null`);
+            throw new ClassificationError(
+                DiagnosticCode.INVALID_INDEX,
+                `Contraction element: ${element} is undefined or null`,
+                { suggestion: 'Check the expression for empty indices' }
+            );
         }
     }
 
@@ -149,10 +222,56 @@ class BaseDimensionClassifier {
      */
     validateNotProcessed(element) {
         if (this.processedIndices.has(element)) {
-            throw new Error(`Index ${element} already processed`);
+            const operand = [
+                ['output', this.clonedNode],
+                ['left', this.originalLeft],
+                ['right', this.originalRight]
+            ].find(([, indices]) => indices.filter(e => e === element).length > 1)?.[0] ?? null;
+
+            throw new ClassificationError(
+                DiagnosticCode.DUPLICATE_INDEX,
+                `Index ${element} occurs more than once${operand ? ` in the ${operand}` : ''}`,
+                { index: element, operand, suggestion: `Rename one occurrence of ${element}, repeated indices are not supported` }
+            );
         }
     }
 
+    /**
+     * Create the error for an index that is neither kept nor shared
+     * @param {string} element - The offending index
+     * @param {string} operand - The operand containing the index
+     * @returns {ClassificationError} The error
+     */
+    unmatchedKError(element, operand) {
+        const other = operand === 'left' ? 'right' : 'left';
+        return new ClassificationError(
+            DiagnosticCode.UNMATCHED_K_INDEX,
+            `Node ${this.clonedNode} has invalid K dimension: ${element} only occurs in the ${operand} operand and not in the output`,
+            {
+                index: element,
+                operand,
+                suggestion: `Sum ${element} out in the node that produces the ${operand} operand, add it to the ${other} operand or keep it in the output`
+            }
+        );
+    }
+
+    /**
+     * Create the error for an output index that is missing in both operands
+     * @param {string} element - The offending index
+     * @returns {ClassificationError} The error
+     */
+    missingOutputError(element) {
+        return new ClassificationError(
+            DiagnosticCode.MISSING_OUTPUT_INDEX,
+            `Index ${element} of node ${this.clonedNode} is missing in both operands`,
+            {
+                index: element,
+                operand: 'output',
+                suggestion: `Remove ${element} from the output or add it to one of the operands`
+            }
+        );
+    }
+
     /**
      * Remove an element from all arrays (node, left, right)
      * @param {string} element - The element to remove
@@ -199,17 +318,27 @@ class BaseDimensionClassifier {
     }
 
     /**
-     * Handle classification errors
+     * Handle classification errors by recording them as diagnostics
      * @param {Error} error - The error to handle
      * @returns {null} Returns null to indicate failure
      */
     handleError(error) {
-        const message = `Classification error: ${error.message}`;
-        console.error(message);
-        Toast.show(message);
-        this.errors.push(error);
+        const classificationError = error instanceof ClassificationError
+            ? error
+            : new ClassificationError(DiagnosticCode.MALFORMED_CONTRACTION, error.message, {
+                suggestion: 'Check the indices of the node and its operands'
+            });
+        this.errors.push(classificationError.toDiagnostic());
         return null;
     }
+
+    /**
+     * Get the diagnostics collected during classification
+     * @returns {Diagnostic[]} The diagnostics
+     */
+    getDiagnostics() {
+        return this.errors;
+    }
 }
 
 /**
@@ -293,7 +422,7 @@ class StandardDimensionClassifier extends BaseDimensionClassifier {
             if (this.leftK.includes(element)) {
                 this.handleRightKElement(element, primitive);
             } else {
-                throw new Error(`Node ${this.clonedNode} has invalid K dimension`);
+                throw this.unmatchedKError(element, 'right');
             }
         });
 
@@ -312,7 +441,7 @@ class StandardDimensionClassifier extends BaseDimensionClassifier {
             if (this.rightK.includes(element)) {
                 this.handleLeftKElement(element, primitive);
             } else {
-                throw new Error(`Node ${this.clonedNode} has invalid K dimension`);
+                throw this.unmatchedKError(element, 'left');
             }
         });
     }
@@ -470,8 +599,19 @@ class StandardDimensionClassifier extends BaseDimensionClassifier {
             this.removeFromNodeAndRight(element);
             return 0;
         }
+        else if (!this.originalLeft.includes(element) && !this.originalRight.includes(element)) {
+            throw this.missingOutputError(element);
+        }
         else {
-            throw new Error(`Contraction ${this.clonedNode} is malformed`);
+            throw new ClassificationError(
+                DiagnosticCode.MALFORMED_CONTRACTION,
+                `Contraction ${this.clonedNode} is malformed: ${element} cannot be mapped to a C, M or N dimension`,
+                {
+                    index: element,
+                    operand: 'output',
+                    suggestion: 'Add a permutation so that K is innermost in both operands and the output follows the operand order'
+                }
+            );
         }
     }
 
@@ -527,9 +667,16 @@ class StandardDimensionClassifier extends BaseDimensionClassifier {
 }
 
 /**
- * Simplified dimension classifier implementation
+ * Simplified dimension classifier implementation.
+ * Classifies indices purely by set membership: there is no split into
+ * primitive and loop dimensions and the order of the indices does not matter.
+ * All dimensions are reported as primitive dimensions.
  */
 class SimplifiedDimensionClassifier extends BaseDimensionClassifier {
+    /**
+     * Classify dimensions by set membership
+     * @returns {Object|null} The classified dimensions or null if error
+     */
     classify() {
         try {
             this.processSimpleClassification();
@@ -539,9 +686,31 @@ class SimplifiedDimensionClassifier extends BaseDimensionClassifier {
         }
     }
 
+    /**
+     * Assign C, M and N to the node indices depending on the operands they
+     * occur in and K to every index that is summed away
+     */
     processSimpleClassification() {
-        // Simplified classification logic
-        // Implementation here
+        this.node.forEach(element => {
+            const inLeft = this.left.includes(element);
+            const inRight = this.right.includes(element);
+
+            if (inLeft && inRight) {
+                this.addToPrimitive(DimType.CB, element);
+            } else if (inLeft) {
+                this.addToPrimitive(DimType.MB, element);
+            } else if (inRight) {
+                this.addToPrimitive(DimType.NB, element);
+            } else {
+                throw this.missingOutputError(element);
+            }
+        });
+
+        [...this.left, ...this.right].forEach(element => {
+            if (!this.processedIndices.has(element)) {
+                this.addToPrimitive(DimType.KB, element);
+            }
+        });
     }
 }
 
@@ -564,15 +733,68 @@ export const createDimensionClassifier = (type, node, left, right) => {
     }
 };
 
+/**
+ * Creates warnings for the indices of a contraction that occur in a single
+ * operand only or in no operand at all. Both are valid, as reduction and
+ * broadcast, but are often typos.
+ * @param {Object} special - Result of analyzeSpecialIndices for the node
+ * @returns {Diagnostic[]} One warning per reduction and broadcast index
+ */
+export const specialIndexWarnings = (special) => special.indices.flatMap(({ type, index, operand }) => {
+    if (type === SpecialIndexType.Reduction) {
+        return [{
+            code: DiagnosticCode.UNMATCHED_K_INDEX,
+            severity: DiagnosticSeverity.Warning,
+            message: `Index ${index} only occurs in the ${operand} operand and is summed before the contraction`,
+            index,
+            operand,
+            suggestion: `Check ${index} for a typo, or sum it out in the node that produces the ${operand} operand`
+        }];
+    }
+    if (type === SpecialIndexType.Broadcast) {
+        return [{
+            code: DiagnosticCode.MISSING_OUTPUT_INDEX,
+            severity: DiagnosticSeverity.Warning,
+            message: `Index ${index} occurs in no operand, the result is broadcast along it`,
+            index,
+            operand,
+            suggestion: `Check ${index} for a typo, or remove it from the output and broadcast later`
+        }];
+    }
+    return [];
+});
+
+/**
+ * Utility function to classify dimensions and collect diagnostics. Diagonal,
+ * trace, reduction and broadcast indices are split off first, see
+ * analyzeSpecialIndices, and the remaining core contraction is classified.
+ * Reduction and broadcast indices are reported as warnings.
+ * @param {Array} node - The node indices
+ * @param {Array} left - The left operand indices
+ * @param {Array} right - The right operand indices
+ * @param {string} type - Classification algorithm type
+ * @returns {{dimTypes: Object|null, diagnostics: Diagnostic[], special: Object}}
+ * The classified dimensions of the core contraction or null if error, the
+ * diagnostics explaining the error followed by the warnings, and the special
+ * indices
+ */
+export const classifyDimensions = (node, left, right, type = 'standard') => {
+    const special = analyzeSpecialIndices(node || [], [left || [], right || []]);
+    const [coreLeft, coreRight] = special.operands.map(operand => operand.output);
+    const classifier = createDimensionClassifier(type, special.output, coreLeft, coreRight);
+    const dimTypes = classifier.classify();
+    return { dimTypes, diagnostics: [...classifier.getDiagnostics(), ...specialIndexWarnings(special)], special };
+};
+
 /**
  * Utility function to get dimension types
  * @param {Array} node - The node indices
  * @param {Array} left - The left operand indices
  * @param {Array} right - The right operand indices
  * @param {string} type - Classification algorithm type
- * @returns {Object|null} The classified dimensions or null if error
+ * @returns {Object|null} The classified dimensions of the core contraction or
+ * null if error
  */
 export const dimensionTypes = (node, left, right, type = 'standard') => {
-    const classifier = createDimensionClassifier(type, node, left, right);
-    return classifier.classify();
+    return classifyDimensions(node, left, right, type).dimTypes;
 };
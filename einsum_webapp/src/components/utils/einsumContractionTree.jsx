@@ -1,12 +1,22 @@
 import { Toast } from '../common/Toast.jsx';
+import { SpecialIndexType } from './constants.jsx';
 
 /**
- * Checks if a character is a letter or number
+ * Checks if a character can be part of an index label such as `d_model`
  * @param {string} char - The character to check
- * @returns {boolean} True if the character is alphanumeric
+ * @returns {boolean} True if the character is alphanumeric or an underscore
  */
-function isLetterOrNumber(char) {
-  return /^[a-zA-Z0-9]$/.test(char);
+function isLabelChar(char) {
+  return /^[a-zA-Z0-9_]$/.test(char);
+}
+
+/**
+ * Checks if a string is a valid tensor name such as `Q` or `W_out`
+ * @param {string} name - The name to check
+ * @returns {boolean} True if the name is an identifier
+ */
+export function isTensorName(name) {
+  return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name);
 }
 
 /**
@@ -15,11 +25,14 @@ function isLetterOrNumber(char) {
  * @returns {boolean} True if the character is valid in array context
  */
 function isValidArrayChar(char) {
-  return /^[a-zA-Z0-9,\]]$/.test(char);
+  return /^[a-zA-Z0-9_,\]]$/.test(char);
 }
 
 /**
- * Parses a string representation of a contraction tree
+ * Parses a string representation of a contraction tree. Leaves may carry a
+ * tensor name in front of their indices, e.g. `[Q[b,s,d],K[b,t,d]->[b,s,t]]`.
+ * A node with more than two operands, e.g. `[A[i,j],B[j,k],C[k,l]->[i,l]]`,
+ * contracts them in a single fused kernel.
  * @param {string} str - The string to parse
  * @returns {Node|null} The root node of the parsed tree, or null if parsing fails
  */
@@ -43,7 +56,7 @@ export function parseTree(str) {
       }
 
       let num = '';
-      while (index < str.length && isLetterOrNumber(str[index])) {
+      while (index < str.length && isLabelChar(str[index])) {
         num += str[index++];
       }
 
@@ -64,13 +77,37 @@ export function parseTree(str) {
     return result;
   }
 
-  function parse() {
+  // Checks if an operand, i.e. an optional tensor name and '[', starts at a position
+  function startsOperand(position) {
+    while (position < str.length && isLabelChar(str[position])) {
+      position++;
+    }
+    return str[position] === '[';
+  }
+
+  // Reads the opening of an operand and returns its tensor name, if any
+  function parseOpening() {
+    const start = index;
+    let name = '';
+    while (isLabelChar(str[index])) {
+      name += str[index++];
+    }
+    if (name && !isTensorName(name)) {
+      throw new Error(formatError(`Invalid tensor name '${name}'`, start));
+    }
+    index++;
+    return name || null;
+  }
+
+  function parse(name = null) {
     if (index >= str.length) {
       throw new Error(formatError("Unexpected end of input", str.length));
     }
-    if (str[index] === '[') {
-      index++;
-      const left = parse();
+    if (startsOperand(index)) {
+      if (name) {
+        throw new Error(formatError(`Only leaves can be named but '${name}' names a contraction`, index));
+      }
+      const left = parse(parseOpening());
       if (str.slice(index, index + 3) === '->[') {
         index += 3;
         left.deleteAble = true;
@@ -78,20 +115,28 @@ export function parseTree(str) {
         index++;
         return new Node(head, left, null, true);
       }
-      if (str.slice(index, index + 2) !== '+[' && str.slice(index, index + 2) !== ',[') {
+      if ((str[index] !== '+' && str[index] !== ',') || !startsOperand(index + 1)) {
         throw new Error(formatError(
           `Expected '+[', ',[' or '->[' but found '${str.slice(index, index + 2)}'`,
           index
         ));
       }
-      index += 2;
-      const right = parse();
+      index++;
+      const right = parse(parseOpening());
+
+      const extraChildren = [];
+      while ((str[index] === '+' || str[index] === ',') && startsOperand(index + 1)) {
+        index++;
+        extraChildren.push(parse(parseOpening()));
+      }
 
       if (str.slice(index, index + 3) === '->[') {
         index += 3;
         const head = parseArray();
         index++;
-        return new Node(head, left, right);
+        const node = new Node(head, left, right);
+        node.extraChildren = extraChildren;
+        return node;
       } else {
         throw new Error(formatError(
           `Expected '->' but found '${str.slice(index, index + 2)}'`,
@@ -99,7 +144,9 @@ export function parseTree(str) {
         ));
       }
     } else {
-      return new Node(parseArray());
+      const leaf = new Node(parseArray());
+      leaf.name = name;
+      return leaf;
     }
   }
 
@@ -127,7 +174,9 @@ export function parseTree(str) {
  * @property {(string[]|string)} value - Node value
  * @property {Node|null} left - Left child node
  * @property {Node|null} right - Right child node
+ * @property {Node[]} extraChildren - Operands after the right child of an n-ary node
  * @property {string} string - String representation of value
+ * @property {string|null} name - Tensor name of a leaf, e.g. `Q`
  * @property {number[]|null} sizes - Array of sizes
  * @property {boolean} deleteAble - Whether node can be deleted
  */
@@ -138,6 +187,8 @@ export class Node {
     this.left = left;
     this.right = right;
     this.string = Array.isArray(value) ? value.join('') : value;
+    this.name = null;
+    this.extraChildren = [];
     this.sizes = null;
     this.deleteAble = deleteAble;
   }
@@ -145,6 +196,161 @@ export class Node {
   isLeaf() {
     return this.left === null && this.right === null;
   }
+
+  /**
+   * Checks if the node contracts more than two operands at once
+   * @returns {boolean} True for n-ary nodes
+   */
+  isNary() {
+    return this.extraChildren.length > 0;
+  }
+
+  /**
+   * Lists the diagonal, trace, reduction and broadcast indices of the node
+   * @returns {Object[]} Special indices as found by analyzeSpecialIndices
+   */
+  specialIndices() {
+    if (this.isLeaf()) return [];
+    return analyzeSpecialIndices(this.value, getChildren(this).map(child => child.value)).indices;
+  }
+}
+
+/**
+ * Lists the children of a node, left and right followed by the extra operands
+ * of an n-ary node. Works on plain node objects as well.
+ * @param {Object|null} node - Tree node
+ * @returns {Object[]} The children
+ */
+export function getChildren(node) {
+  if (!node) return [];
+  return [node.left, node.right, ...(node.extraChildren || [])].filter(Boolean);
+}
+
+/**
+ * Checks if a node contracts exactly two operands
+ * @param {Node|null} node - Tree node
+ * @returns {boolean} True for binary contraction nodes
+ */
+function isBinaryContraction(node) {
+  return Boolean(node?.left && node.right && !node.isNary());
+}
+
+/**
+ * Finds the path from the root to a node
+ * @param {Node|null} root - Root of the tree
+ * @param {string} id - ID of the node to find
+ * @returns {Node[]|null} Nodes from the root down to the node, or null if the
+ * node is not in the tree
+ */
+function findPath(root, id) {
+  if (!root) return null;
+  if (root.id === id) return [root];
+  for (const child of getChildren(root)) {
+    const path = findPath(child, id);
+    if (path) return [root, ...path];
+  }
+  return null;
+}
+
+/**
+ * Replaces an operand of a node in place
+ * @param {Node} parent - Node holding the operand
+ * @param {Node} child - Operand to replace
+ * @param {Node} replacement - New operand
+ */
+function replaceChild(parent, child, replacement) {
+  if (parent.left === child) {
+    parent.left = replacement;
+  } else if (parent.right === child) {
+    parent.right = replacement;
+  } else {
+    parent.extraChildren = parent.extraChildren.map(operand => operand === child ? replacement : operand);
+  }
+}
+
+/**
+ * Collects the indices of all leaves below a node
+ * @param {Node|null} node - Root of the subtree
+ * @returns {string[]} Leaf indices in leaf order, with repetitions
+ */
+function leafIndices(node) {
+  if (!node) return [];
+  if (node.isLeaf()) return node.value;
+  return getChildren(node).flatMap(leafIndices);
+}
+
+/**
+ * Finds the indices a subtree has to pass on, those of the output and those
+ * occurring in leaves outside the subtree
+ * @param {Node} root - Root of the tree
+ * @param {Node} subtree - Root of the subtree
+ * @param {string[]} output - Output indices of the tree
+ * @returns {Set<string>} Indices needed outside the subtree
+ */
+function outsideIndices(root, subtree, output) {
+  const counts = new Map();
+  leafIndices(root).forEach(index => counts.set(index, (counts.get(index) || 0) + 1));
+  leafIndices(subtree).forEach(index => counts.set(index, counts.get(index) - 1));
+  return new Set([...output, ...[...counts.keys()].filter(index => counts.get(index) > 0)]);
+}
+
+/**
+ * Names an operand of a node the way diagnostics refer to it
+ * @param {number} position - Position of the operand among the children
+ * @returns {string} 'left', 'right' or 'operand n' for extra operands
+ */
+function operandLabel(position) {
+  if (position === 0) return 'left';
+  if (position === 1) return 'right';
+  return `operand ${position + 1}`;
+}
+
+/**
+ * Finds the indices of a node that do not take part in a plain contraction
+ * and defines their semantics:
+ * - an index repeated within an operand selects its diagonal, if the index is
+ *   not used anywhere else the diagonal is summed as a trace
+ * - an index that occurs in a single operand and not in the output is summed
+ *   in that operand before the contraction (unary reduction)
+ * - an output index that occurs in no operand broadcasts the result
+ * Removing these leaves the core contraction, whose operands are the
+ * operands after diagonal extraction and reduction.
+ * @param {string[]} output - Indices of the node
+ * @param {string[][]} operands - Indices of the children
+ * @returns {{indices: Object[], operands: {input: string[], output: string[]}[], output: string[]}}
+ * The special indices with their type, index and operand, each operand with
+ * repeated indices removed as input and reduced to its core as output, and
+ * the core output without broadcast indices
+ */
+export function analyzeSpecialIndices(output, operands) {
+  const indices = [];
+  const occursElsewhere = (index, position) =>
+    output.includes(index) || operands.some((other, i) => i !== position && other.includes(index));
+
+  const coreOperands = operands.map((operand, position) => {
+    const input = [...new Set(operand)];
+    const summed = new Set();
+    input.forEach(index => {
+      const repeated = operand.indexOf(index) !== operand.lastIndexOf(index);
+      const kept = occursElsewhere(index, position);
+      if (repeated) {
+        indices.push({ type: kept ? SpecialIndexType.Diagonal : SpecialIndexType.Trace, index, operand: operandLabel(position) });
+      } else if (!kept) {
+        indices.push({ type: SpecialIndexType.Reduction, index, operand: operandLabel(position) });
+      }
+      if (!kept) summed.add(index);
+    });
+    return { input, output: input.filter(index => !summed.has(index)) };
+  });
+
+  const broadcast = output.filter(index => !operands.some(operand => operand.includes(index)));
+  broadcast.forEach(index => indices.push({ type: SpecialIndexType.Broadcast, index, operand: 'output' }));
+
+  return {
+    indices,
+    operands: coreOperands,
+    output: output.filter(index => !broadcast.includes(index))
+  };
 }
 
 /**
@@ -161,15 +367,91 @@ export function reconstructNode(nodeData) {
   // Copy over the additional properties
   node.id = nodeData.id;
   node.string = nodeData.string;
+  node.name = nodeData.name ?? null;
   node.sizes = nodeData.sizes;
 
   // Recursively reconstruct child nodes
   node.left = reconstructNode(nodeData.left);
   node.right = reconstructNode(nodeData.right);
+  node.extraChildren = (nodeData.extraChildren || []).map(reconstructNode);
 
   return node;
 }
 
+/**
+ * Creates a binary contraction node from two operands. The kept indices are
+ * ordered [C..., N..., M...] relative to the children, which is the layout the
+ * standard dimension classifier maps onto primitive dimensions.
+ * @param {Node} left - Left operand
+ * @param {Node} right - Right operand
+ * @param {Iterable<string>} keptIndices - Indices that survive the contraction
+ * @returns {Node} The new contraction node
+ */
+export function createContractionNode(left, right, keptIndices) {
+  const kept = new Set(keptIndices);
+  const c = left.value.filter(index => right.value.includes(index) && kept.has(index));
+  const n = right.value.filter(index => !left.value.includes(index) && kept.has(index));
+  const m = left.value.filter(index => !right.value.includes(index) && kept.has(index));
+  // An index repeated within an operand is kept once, as a diagonal
+  return new Node([...new Set([...c, ...n, ...m])], left, right);
+}
+
+/**
+ * Names every tensor of a tree. Leaves keep their own name, inner nodes are
+ * named T1, T2, ... in post-order. The registry maps a subtree, identified by
+ * its leaves and shape independent of the operand order, to its name, so that
+ * passing the returned registry to the next call keeps names stable across
+ * edits that leave a subtree intact.
+ * @param {Node} root - Root node of the tree
+ * @param {Object<string, string>} [registry={}] - Names of previously seen subtrees
+ * @returns {{names: Object<string, string>, registry: Object<string, string>}}
+ * Name per node ID, leaves without a name are omitted, and the updated registry
+ */
+export function assignTensorNames(root, registry = {}) {
+  const names = {};
+  const nextRegistry = { ...registry };
+  const taken = new Set(Object.values(nextRegistry));
+  const occurrences = new Map();
+  let counter = 0;
+
+  const collectLeafNames = (node) => {
+    if (!node) return;
+    if (node.isLeaf() && node.name) taken.add(node.name);
+    getChildren(node).forEach(collectLeafNames);
+  };
+  collectLeafNames(root);
+
+  const nextName = () => {
+    let name;
+    do {
+      name = `T${++counter}`;
+    } while (taken.has(name));
+    taken.add(name);
+    return name;
+  };
+
+  const visit = (node) => {
+    if (node.isLeaf()) {
+      if (node.name) names[node.id] = node.name;
+      return node.name || `[${node.value.join(',')}]`;
+    }
+    const children = getChildren(node).map(visit);
+    const signature = children.length === 1 ? `${children[0]}'` : `(${children.sort().join(',')})`;
+
+    // Identical subtrees occur for repeated unnamed leaves, count them apart
+    const occurrence = (occurrences.get(signature) || 0) + 1;
+    occurrences.set(signature, occurrence);
+    const key = occurrence > 1 ? `${signature}#${occurrence}` : signature;
+
+    if (!nextRegistry[key]) nextRegistry[key] = nextName();
+    names[node.id] = nextRegistry[key];
+    return signature;
+  };
+  if (root) visit(root);
+
+  return { names, registry: nextRegistry };
+}
+
 /**
  * Class representing a contraction tree
  * @class Tree
@@ -219,8 +501,7 @@ export class Tree {
       node.sizes = node.value.map(char => this.indexSizes[char] || 2); // Default to 10 if not specified
     }
 
-    this.updateNodeSizes(node.left);
-    this.updateNodeSizes(node.right);
+    getChildren(node).forEach(child => this.updateNodeSizes(child));
   }
 
   /**
@@ -243,13 +524,14 @@ export class Tree {
 
     // If it's a leaf node, return the array representation
     if (node.isLeaf()) {
-      return `[${node.value.join(',')}]`;
+      return `${node.name || ''}[${node.value.join(',')}]`;
     }
 
     // For nodes with children
     if (node.right) {
-      // Case: node has both children
-      return `[${this._treeToStringHelper(node.left)},${this._treeToStringHelper(node.right)}->[${node.value.join(',')}]]`;
+      // Case: node has two or more children
+      const operands = getChildren(node).map(child => this._treeToStringHelper(child));
+      return `[${operands.join(',')}->[${node.value.join(',')}]]`;
     } else {
       // Case: node has only left child
       return `[${this._treeToStringHelper(node.left)}->[${node.value.join(',')}]]`;
@@ -272,7 +554,7 @@ export class Tree {
         return true;
       }
 
-      return swapNodesInTree(node.left) || swapNodesInTree(node.right);
+      return getChildren(node).some(swapNodesInTree);
     };
 
     swapNodesInTree(this.root);
@@ -347,13 +629,191 @@ export class Tree {
     const search = (node) => {
       if (!node) return null;
       if (node.id === id) return node;
-      const left = search(node.left);
-      if (left) return left;
-      return search(node.right);
+      for (const child of getChildren(node)) {
+        const found = search(child);
+        if (found) return found;
+      }
+      return null;
     };
     return search(this.root);
   }
 
+  /**
+   * Collects the leaf nodes of the tree from left to right
+   * @returns {Node[]} Array of leaf nodes
+   */
+  getLeaves() {
+    const leaves = [];
+    const collect = (node) => {
+      if (!node) return;
+      if (node.isLeaf()) {
+        leaves.push(node);
+        return;
+      }
+      getChildren(node).forEach(collect);
+    };
+    collect(this.root);
+    return leaves;
+  }
+
+  /**
+   * Replaces an n-ary node by a chain of binary contractions. The operands are
+   * contracted one after another in the given order, every intermediate keeps
+   * the indices still needed by the remaining operands or the output. The
+   * last contraction keeps the ID and output of the n-ary node.
+   * @param {string} nodeId - ID of the n-ary node
+   * @param {number[]} [order] - Positions of the operands in contraction order,
+   * defaults to their order in the node
+   * @returns {boolean} True if the node was binarized
+   */
+  binarizeNode(nodeId, order = null) {
+    const node = this.findNode(nodeId);
+    if (!node || !node.isNary()) return false;
+
+    const operands = getChildren(node);
+    const sequence = order || operands.map((_, i) => i);
+    const isPermutation = sequence.length === operands.length &&
+      new Set(sequence).size === sequence.length &&
+      sequence.every(position => Number.isInteger(position) && position >= 0 && position < operands.length);
+    if (!isPermutation) return false;
+
+    const ordered = sequence.map(position => operands[position]);
+    let accumulated = ordered[0];
+    for (let i = 1; i < ordered.length - 1; i++) {
+      const needed = new Set([...node.value, ...ordered.slice(i + 1).flatMap(operand => operand.value)]);
+      accumulated = createContractionNode(accumulated, ordered[i], needed);
+    }
+
+    node.left = accumulated;
+    node.right = ordered[ordered.length - 1];
+    node.extraChildren = [];
+    return true;
+  }
+
+  /**
+   * Re-associates a node with its left operand, ((A,B),C) becomes (A,(B,C)).
+   * The new intermediate keeps the indices of B and C that A or the output
+   * still need, the node keeps its ID and output.
+   * @param {string} nodeId - ID of the node to rotate at
+   * @returns {boolean} True if the node and its left operand are binary
+   * contractions and were rotated
+   */
+  rotateRight(nodeId) {
+    const node = this.findNode(nodeId);
+    if (!isBinaryContraction(node) || !isBinaryContraction(node.left)) return false;
+
+    const { left: a, right: b } = node.left;
+    node.right = createContractionNode(b, node.right, [...a.value, ...node.value]);
+    node.left = a;
+    return true;
+  }
+
+  /**
+   * Re-associates a node with its right operand, (A,(B,C)) becomes ((A,B),C).
+   * The new intermediate keeps the indices of A and B that C or the output
+   * still need, the node keeps its ID and output.
+   * @param {string} nodeId - ID of the node to rotate at
+   * @returns {boolean} True if the node and its right operand are binary
+   * contractions and were rotated
+   */
+  rotateLeft(nodeId) {
+    const node = this.findNode(nodeId);
+    if (!isBinaryContraction(node) || !isBinaryContraction(node.right)) return false;
+
+    const { left: b, right: c } = node.right;
+    node.left = createContractionNode(node.left, b, [...c.value, ...node.value]);
+    node.right = c;
+    return true;
+  }
+
+  /**
+   * Explains why a subtree cannot be re-attached at a target node
+   * @param {string} nodeId - ID of the root of the subtree to move
+   * @param {string} targetId - ID of the node to contract the subtree with
+   * @returns {string|null} The reason, or null if the move is valid
+   */
+  validateSubtreeMove(nodeId, targetId) {
+    const path = findPath(this.root, nodeId);
+    const targetPath = findPath(this.root, targetId);
+    if (!path || !targetPath) return 'The node is not part of the tree';
+    if (path.length === 1) return 'The root cannot be moved, drag one of its operands instead';
+
+    const node = path[path.length - 1];
+    const parent = path[path.length - 2];
+    if (targetPath.includes(node)) return 'A subtree cannot be attached to one of its own nodes';
+    if (!parent.right) return 'The operand of a permutation cannot be moved alone, drag the permutation node instead';
+    if (parent.id === targetId) return 'The subtree is already an operand of this node';
+    if (!parent.isNary() && getChildren(parent).some(child => child.id === targetId)) {
+      return 'The subtree is already contracted with this node';
+    }
+    return null;
+  }
+
+  /**
+   * Moves a subtree next to a target node. The subtree is taken out of its
+   * parent, a parent left with a single operand is replaced by that operand,
+   * and the target is replaced by a new contraction of the target and the
+   * subtree. The intermediates on both changed paths keep the indices the
+   * rest of the tree still needs, the output of the tree does not change.
+   * @param {string} nodeId - ID of the root of the subtree to move
+   * @param {string} targetId - ID of the node to contract the subtree with
+   * @returns {boolean} True if the subtree was moved, see validateSubtreeMove
+   * for the reasons a move is refused
+   */
+  moveSubtree(nodeId, targetId) {
+    if (this.validateSubtreeMove(nodeId, targetId)) return false;
+    const output = this.root.value;
+
+    // Take the subtree out of its parent
+    const path = findPath(this.root, nodeId);
+    const node = path.pop();
+    const parent = path.pop();
+    const [first, second, ...rest] = getChildren(parent).filter(child => child !== node);
+    let remaining = parent;
+    if (second) {
+      parent.left = first;
+      parent.right = second;
+      parent.extraChildren = rest;
+    } else {
+      remaining = first;
+      if (path.length > 0) {
+        replaceChild(path[path.length - 1], parent, first);
+      } else {
+        this.root = first;
+      }
+    }
+
+    // Contract the target with the subtree in place of the target
+    const targetPath = findPath(this.root, targetId);
+    const target = targetPath.pop();
+    const joined = createContractionNode(target, node, outsideIndices(this.root, target, output));
+    if (targetPath.length > 0) {
+      replaceChild(targetPath[targetPath.length - 1], target, joined);
+    } else {
+      this.root = joined;
+    }
+
+    // Recompute the index lists of the changed paths from the bottom up
+    const affected = new Set([...findPath(this.root, joined.id), ...findPath(this.root, remaining.id)]);
+    const update = (current) => {
+      getChildren(current).forEach(update);
+      if (current === this.root || current.isLeaf() || !affected.has(current)) return;
+
+      const outside = outsideIndices(this.root, current, output);
+      const available = [...new Set(getChildren(current).flatMap(child => child.value))];
+      const kept = available.filter(index => outside.has(index));
+      current.value = [
+        ...current.value.filter(index => kept.includes(index)),
+        ...kept.filter(index => !current.value.includes(index))
+      ];
+      current.string = current.value.join('');
+    };
+    update(this.root);
+    this.root.value = output;
+    this.root.string = output.join('');
+    return true;
+  }
+
   /**
    * Adds a permutation node to the tree
    * @param {string} nodeId - ID of the node where to add permutation
@@ -373,6 +833,11 @@ export class Tree {
         );
         // The Node constructor already calls Tree.getNextId()
         newLeftChild.sizes = node.sizes;
+        // A leaf hands its name to the copy that stays a leaf
+        newLeftChild.name = node.name;
+        newLeftChild.extraChildren = node.extraChildren;
+        node.name = null;
+        node.extraChildren = [];
 
 
         // Update the current node
@@ -383,7 +848,7 @@ export class Tree {
         return true;
       }
 
-      return addNewLeftChild(node.left) || addNewLeftChild(node.right);
+      return getChildren(node).some(addNewLeftChild);
     };
 
     return addNewLeftChild(this.root);
@@ -418,6 +883,7 @@ export class Tree {
         if (node.left.left && node.left.right) {
           node.right = leftChild.right;
           node.left = leftChild.left;
+          node.extraChildren = leftChild.extraChildren;
           node.deleteAble = false;
         }
         else if (node.left.left) {
@@ -425,6 +891,7 @@ export class Tree {
           leftChild.left.deleteAble = false;
         } else {
           node.left = null;
+          node.name = leftChild.name;
           node.deleteAble = false;
         }
         return true;
@@ -438,6 +905,7 @@ export class Tree {
         if (node.right.left && node.right.right) {
           node.right = rightChild.right;
           node.left = rightChild.left;
+          node.extraChildren = rightChild.extraChildren;
           node.deleteAble = false;
         } else if (node.right.left) {
           node.right = rightChild.left;
@@ -449,7 +917,19 @@ export class Tree {
         return true;
       }
 
-      return removeNode(node.left) || removeNode(node.right);
+      // Extra operands of n-ary nodes are replaced by the permuted tensor
+      const extraIndex = node.extraChildren.findIndex(child => child.id === nodeId);
+      if (extraIndex !== -1) {
+        const extraChild = node.extraChildren[extraIndex];
+        if (!extraChild.deleteAble || !extraChild.left || extraChild.right) {
+          return false;
+        }
+        node.extraChildren[extraIndex] = extraChild.left;
+        extraChild.left.deleteAble = false;
+        return true;
+      }
+
+      return getChildren(node).some(removeNode);
     };
 
     return removeNode(this.root);
@@ -465,9 +945,11 @@ export class Tree {
     const findFirstSelectedNode = (node) => {
       if (!node) return null;
       if (selectedNodeIds.includes(node.id)) return node;
-      const leftResult = findFirstSelectedNode(node.left);
-      if (leftResult) return leftResult;
-      return findFirstSelectedNode(node.right);
+      for (const child of getChildren(node)) {
+        const found = findFirstSelectedNode(child);
+        if (found) return found;
+      }
+      return null;
     };
 
     const buildString = (node) => {
@@ -476,7 +958,13 @@ export class Tree {
 
       // Base case: leaf node
       if (node.isLeaf()) {
-        return `[${node.value.join(',')}]`;
+        return `${node.name || ''}[${node.value.join(',')}]`;
+      }
+
+      if (node.isNary()) {
+        const operands = getChildren(node).map(buildString).filter(Boolean);
+        if (operands.length === 0) return `[${node.value.join(',')}]`;
+        return `[${operands.join(',')}->[${node.value.join(',')}]]`;
       }
 
       const leftStr = buildString(node.left);
@@ -0,0 +1,199 @@
+import { Toast } from '../common/Toast.jsx';
+import { Node, Tree, createContractionNode } from './einsumContractionTree.jsx';
+
+/**
+ * Checks if a string is a valid single-character index
+ * @param {string} char - The character to check
+ * @returns {boolean} True if the character is alphanumeric
+ */
+function isIndexChar(char) {
+  return /^[a-zA-Z0-9]$/.test(char);
+}
+
+/**
+ * Checks if a character can be part of a bracketed index label such as
+ * `d_model`
+ * @param {string} char - The character to check
+ * @returns {boolean} True if the character is alphanumeric or an underscore
+ */
+function isLabelChar(char) {
+  return /^[a-zA-Z0-9_]$/.test(char);
+}
+
+/**
+ * Parses a flat einsum string such as `abc,cd,de->abe` or
+ * `[a,b,c],[c,d],[d,e]->[a,b,e]` into its operands and output. Only the
+ * bracketed form supports labels longer than one character.
+ * Without `->` the output follows the NumPy convention: every index that
+ * occurs exactly once, in sorted order.
+ * An index may repeat within an operand, e.g. `ii->i` for a diagonal or
+ * `ii->` for a trace, and the output may hold indices of no operand, which
+ * are broadcast. See `analyzeSpecialIndices`.
+ * @param {string} str - The einsum string to parse
+ * @returns {{inputs: string[][], output: string[]}} Operand and output indices
+ * @throws {Error} If the string is malformed
+ */
+export function parseEinsumString(str) {
+  str = (str || '').replace(/\s/g, '');
+  let index = 0;
+
+  function formatError(message, position) {
+    const line1 = "Error: " + message;
+    const line2 = str;
+    const line3 = " ".repeat(position) + "^";
+    return `${line1}\n${line2}\n${line3}`;
+  }
+
+  function parseBracketedOperand() {
+    if (str[index] !== '[') {
+      throw new Error(formatError(`Expected '[' but found '${str[index] ?? ''}'`, index));
+    }
+    index++;
+    const result = [];
+    while (index < str.length && str[index] !== ']') {
+      let label = '';
+      while (index < str.length && isLabelChar(str[index])) {
+        label += str[index++];
+      }
+      if (!label) {
+        throw new Error(formatError(`Invalid character '${str[index] ?? ''}'`, index));
+      }
+      result.push(label);
+      if (str[index] === ',') {
+        index++;
+        if (str[index] === ']') {
+          throw new Error(formatError(`Expected character but found ']'`, index));
+        }
+      } else if (str[index] !== ']') {
+        throw new Error(formatError(`Expected ',' or ']' but found '${str[index] ?? ''}'`, index));
+      }
+    }
+    if (str[index] !== ']') {
+      throw new Error(formatError("Unexpected end of input", str.length));
+    }
+    index++;
+    return result;
+  }
+
+  function parseFlatOperand() {
+    const result = [];
+    while (index < str.length && isIndexChar(str[index])) {
+      result.push(str[index++]);
+    }
+    if (index < str.length && str[index] !== ',' && str.slice(index, index + 2) !== '->') {
+      throw new Error(formatError(`Invalid character '${str[index]}'`, index));
+    }
+    return result;
+  }
+
+  function checkUniqueOutput(indices, position) {
+    const seen = new Set();
+    for (const label of indices) {
+      if (seen.has(label)) {
+        throw new Error(formatError(`Repeated index '${label}' in the output is not supported`, position));
+      }
+      seen.add(label);
+    }
+  }
+
+  if (!str) {
+    throw new Error(formatError("Unexpected end of input", 0));
+  }
+
+  const bracketed = str[0] === '[';
+  const inputs = [];
+
+  while (index < str.length && str.slice(index, index + 2) !== '->') {
+    const start = index;
+    let operand;
+    if (bracketed) {
+      operand = parseBracketedOperand();
+    } else {
+      operand = parseFlatOperand();
+      if (operand.length === 0) {
+        throw new Error(formatError("Empty operand", start));
+      }
+    }
+    inputs.push(operand);
+
+    if (str[index] === ',') {
+      index++;
+      if (index >= str.length || str.slice(index, index + 2) === '->') {
+        throw new Error(formatError("Expected operand after ','", index));
+      }
+    } else if (index < str.length && str.slice(index, index + 2) !== '->') {
+      throw new Error(formatError(`Expected ',' or '->' but found '${str[index]}'`, index));
+    }
+  }
+
+  let output;
+  if (str.slice(index, index + 2) === '->') {
+    index += 2;
+    const start = index;
+    if (bracketed) {
+      output = parseBracketedOperand();
+    } else {
+      output = parseFlatOperand();
+    }
+    if (index < str.length) {
+      throw new Error(formatError(`Parsed einsum but found extra characters '${str.slice(index)}'`, index));
+    }
+    checkUniqueOutput(output, start);
+  } else {
+    const counts = new Map();
+    inputs.flat().forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+    output = [...counts.keys()].filter(label => counts.get(label) === 1).sort();
+  }
+
+  return { inputs, output };
+}
+
+/**
+ * Builds a contraction tree that contracts the operands pairwise from left
+ * to right, i.e. ((A,B),C),... Each intermediate keeps only the indices still
+ * needed by a later operand or by the output.
+ * @param {string[][]} inputs - Indices of each operand
+ * @param {string[]} output - Indices of the result
+ * @returns {Tree} The constructed tree
+ */
+export function buildContractionTree(inputs, output) {
+  const tree = new Tree();
+  let current = new Node([...inputs[0]]);
+
+  if (inputs.length === 1) {
+    if (current.value.join(',') === output.join(',')) {
+      return tree.setRoot(current);
+    }
+    current.deleteAble = true;
+    return tree.setRoot(new Node([...output], current, null, true));
+  }
+
+  for (let i = 1; i < inputs.length; i++) {
+    const right = new Node([...inputs[i]]);
+    if (i === inputs.length - 1) {
+      current = new Node([...output], current, right);
+    } else {
+      const needed = new Set([...output, ...inputs.slice(i + 1).flat()]);
+      current = createContractionNode(current, right, needed);
+    }
+  }
+
+  return tree.setRoot(current);
+}
+
+/**
+ * Converts a flat einsum string into a contraction tree with the default
+ * pairwise order. Errors are reported through a toast.
+ * @param {string} str - The einsum string
+ * @returns {Tree|null} The constructed tree, or null if parsing fails
+ */
+export function einsumStringToTree(str) {
+  try {
+    const { inputs, output } = parseEinsumString(str);
+    return buildContractionTree(inputs, output);
+  } catch (error) {
+    console.error(error.message);
+    Toast.show(error.message);
+    return null;
+  }
+}
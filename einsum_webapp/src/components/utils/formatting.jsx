@@ -18,4 +18,38 @@ export const formatNumber = (number, options = {}) => {
         minimumFractionDigits: finalOptions.minimumFractionDigits,
         maximumFractionDigits: finalOptions.maximumFractionDigits
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Formats a duration with a fitting unit
+ * @param {number} seconds - The duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (seconds) => {
+    const units = [['s', 1], ['ms', 1e-3], ['µs', 1e-6]];
+    const [unit, scale] = units.find(([, threshold]) => seconds >= threshold) || ['ns', 1e-9];
+    return `${formatNumber(seconds / scale)} ${unit}`;
+};
+
+/**
+ * Shortens a list of indices to the trailing indices that fit into a number of
+ * characters, so that long index labels are never cut in the middle
+ * @param {string[]} indices - The indices to shorten
+ * @param {number} maxLength - Maximum length of the comma separated list,
+ * including a leading '...' if indices are dropped
+ * @returns {{indices: string[], truncated: boolean}} The kept indices, at least
+ * the last one, and whether any were dropped
+ */
+export const tailIndices = (indices, maxLength) => {
+    if (indices.join(',').length <= maxLength) return { indices, truncated: false };
+
+    const tail = [];
+    let length = 3;
+    for (let i = indices.length - 1; i >= 0; i--) {
+        const added = indices[i].length + (tail.length > 0 ? 1 : 0);
+        if (tail.length > 0 && length + added > maxLength) break;
+        tail.unshift(indices[i]);
+        length += added;
+    }
+    return { indices: tail, truncated: true };
+};
@@ -0,0 +1,239 @@
+import { calculateStrides } from './metricCalculation.jsx';
+
+/**
+ * BLAS libraries a GEMM call can be generated for
+ */
+export const GemmLibrary = {
+    CuBLAS: 'cuBLAS',
+    OpenBLAS: 'OpenBLAS'
+};
+
+/**
+ * Parameters of a row-major (strided-batched) GEMM that computes a binary
+ * contraction as C = op(A) * op(B). If the M indices are innermost in the
+ * output, the operands swap roles and C^T = op(B)^T * op(A)^T is computed.
+ * @typedef {Object} GemmParameters
+ * @property {boolean} mappable - Whether the node maps to a single call
+ * @property {string} [reason] - Why the node does not map to a single call
+ * @property {string} a - Operand used as A, 'left' or 'right'
+ * @property {string} b - Operand used as B, 'left' or 'right'
+ * @property {number} m - Rows of op(A) and C
+ * @property {number} n - Columns of op(B) and C
+ * @property {number} k - Contracted extent
+ * @property {number} batchCount - Number of independent products
+ * @property {boolean} transA - Whether A is stored transposed
+ * @property {boolean} transB - Whether B is stored transposed
+ * @property {number} lda - Leading dimension of A
+ * @property {number} ldb - Leading dimension of B
+ * @property {number} ldc - Leading dimension of C
+ * @property {number} strideA - Distance between consecutive A matrices
+ * @property {number} strideB - Distance between consecutive B matrices
+ * @property {number} strideC - Distance between consecutive C matrices
+ */
+
+/**
+ * Collects the indices of one dimension type from the primitive and the loop
+ * dimensions of a classification
+ * @param {Object} dimTypes - Dimension types returned by dimensionTypes
+ * @param {string} primitive - Primitive dimension key
+ * @param {string} loop - Loop dimension key
+ * @returns {Set<string>} The indices
+ */
+const dimensionGroup = (dimTypes, primitive, loop) =>
+    new Set([...(dimTypes.primitive[primitive] || []), ...(dimTypes.loop[loop] || [])]);
+
+/**
+ * Checks that a group of indices is adjacent and identically ordered in all
+ * tensors it occurs in, so that it collapses into a single GEMM dimension
+ * @param {string} name - Display name of the group
+ * @param {Set<string>} group - Indices of the group
+ * @param {Object[]} tensors - Tensors containing the group
+ * @returns {{indices: string[]}|{error: string}} Ordered indices or an error
+ */
+const collapseGroup = (name, group, tensors) => {
+    let reference = null;
+
+    for (const tensor of tensors) {
+        const positions = tensor.indices
+            .map((index, i) => (group.has(index) ? i : -1))
+            .filter(i => i !== -1);
+        const indices = positions.map(i => tensor.indices[i]);
+
+        if (positions.some((position, i) => i > 0 && position !== positions[i - 1] + 1)) {
+            return {
+                error: `The ${name} indices ${indices.join(', ')} are not adjacent in the ${tensor.label}, ` +
+                    `so they cannot be collapsed into one dimension. Add a permutation that makes them adjacent.`
+            };
+        }
+        if (reference && reference.indices.join(',') !== indices.join(',')) {
+            return {
+                error: `The ${name} indices are ordered ${reference.indices.join(',')} in the ${reference.label} ` +
+                    `but ${indices.join(',')} in the ${tensor.label}. Add a permutation so both use the same order.`
+            };
+        }
+        reference = { label: tensor.label, indices };
+    }
+
+    return { indices: reference ? reference.indices : [] };
+};
+
+/**
+ * Derives the GEMM or strided-batched GEMM call of a binary node from its
+ * dimension types and the row-major strides of its tensors
+ * @param {string[]} node - Output indices
+ * @param {string[]} left - Left operand indices
+ * @param {string[]} right - Right operand indices
+ * @param {Object|null} dimTypes - Dimension types returned by dimensionTypes
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {GemmParameters} The call parameters or the reason why there is none
+ */
+export const gemmParameters = (node, left, right, dimTypes, indexSizes) => {
+    if (!dimTypes) {
+        return { mappable: false, reason: 'The contraction could not be classified into C, M, N and K dimensions.' };
+    }
+
+    const tensor = (label, indices) => ({ label, indices, strides: calculateStrides(indices, indexSizes) });
+    const tensors = {
+        left: tensor('left operand', left),
+        right: tensor('right operand', right),
+        output: tensor('output', node)
+    };
+
+    const groupSets = {
+        batch: dimensionGroup(dimTypes, 'cb', 'bc'),
+        M: dimensionGroup(dimTypes, 'mb', 'bm'),
+        N: dimensionGroup(dimTypes, 'nb', 'bn'),
+        K: dimensionGroup(dimTypes, 'kb', 'bk')
+    };
+    const groupTensors = {
+        batch: [tensors.left, tensors.right, tensors.output],
+        M: [tensors.left, tensors.output],
+        N: [tensors.right, tensors.output],
+        K: [tensors.left, tensors.right]
+    };
+
+    const groups = {};
+    for (const name of Object.keys(groupSets)) {
+        const result = collapseGroup(name, groupSets[name], groupTensors[name]);
+        if (result.error) return { mappable: false, reason: result.error };
+        groups[name] = result.indices;
+    }
+
+    const extent = (indices) => indices.reduce((product, index) => product * (indexSizes[index] || 1), 1);
+    const strideOf = (t, indices) => t.strides[t.indices.indexOf(indices[indices.length - 1])];
+    const innerGroup = (t) => {
+        const last = t.indices[t.indices.length - 1];
+        return Object.keys(groups).find(name => groups[name].includes(last)) ?? null;
+    };
+
+    for (const t of Object.values(tensors)) {
+        if (innerGroup(t) === 'batch') {
+            return {
+                mappable: false,
+                reason: `The batch index ${t.indices[t.indices.length - 1]} has unit stride in the ${t.label}, ` +
+                    `but GEMM needs a matrix dimension there. Add a permutation that moves the batch indices outward.`
+            };
+        }
+    }
+
+    // C has to be stored row-major, if M is innermost compute the transpose
+    const swapOperands = innerGroup(tensors.output) === 'M';
+    const [a, b] = swapOperands ? ['right', 'left'] : ['left', 'right'];
+    const [rows, cols] = swapOperands ? [groups.N, groups.M] : [groups.M, groups.N];
+
+    /**
+     * Leading dimension and transposition of a matrix with the given row and
+     * column groups, which is transposed if its rows are innermost
+     */
+    const matrix = (t, rowGroup, colGroup) => {
+        const transposed = rowGroup.includes(t.indices[t.indices.length - 1]);
+        const [outer, contiguous] = transposed ? [colGroup, rowGroup] : [rowGroup, colGroup];
+        return {
+            transposed,
+            ld: outer.length > 0 ? strideOf(t, outer) : Math.max(1, extent(contiguous))
+        };
+    };
+
+    const matrixA = matrix(tensors[a], rows, groups.K);
+    const matrixB = matrix(tensors[b], groups.K, cols);
+    const matrixC = matrix(tensors.output, rows, cols);
+    const batchStride = (t) => (groups.batch.length > 0 ? strideOf(t, groups.batch) : 0);
+
+    return {
+        mappable: true,
+        a,
+        b,
+        m: extent(rows),
+        n: extent(cols),
+        k: extent(groups.K),
+        batchCount: extent(groups.batch),
+        transA: matrixA.transposed,
+        transB: matrixB.transposed,
+        lda: matrixA.ld,
+        ldb: matrixB.ld,
+        ldc: matrixC.ld,
+        strideA: batchStride(tensors[a]),
+        strideB: batchStride(tensors[b]),
+        strideC: batchStride(tensors.output)
+    };
+};
+
+/**
+ * Creates a C snippet that performs the GEMM call with cuBLAS or OpenBLAS.
+ * The pointers are named after the operands: left, right and out.
+ * @param {GemmParameters} params - Parameters returned by gemmParameters
+ * @param {string} library - One of GemmLibrary
+ * @param {number} dataTypeSize - Size of data type in bytes, 4 or 8
+ * @param {{node: string[], left: string[], right: string[]}} indices - Indices
+ * of the tensors, used for the leading comment
+ * @returns {string} The snippet
+ */
+export const gemmSnippet = (params, library, dataTypeSize, indices) => {
+    const isDouble = dataTypeSize === 8;
+    const type = isDouble ? 'double' : 'float';
+    const one = isDouble ? '1.0' : '1.0f';
+    const zero = isDouble ? '0.0' : '0.0f';
+    const batched = params.batchCount > 1;
+    const comment = `// out[${indices.node.join(',')}] = left[${indices.left.join(',')}] * right[${indices.right.join(',')}]`;
+
+    if (library === GemmLibrary.CuBLAS) {
+        // cuBLAS is column-major: the row-major C = A * B is C^T = B^T * A^T
+        const op = (transposed) => (transposed ? 'CUBLAS_OP_T' : 'CUBLAS_OP_N');
+        const prefix = isDouble ? 'D' : 'S';
+        const lines = [
+            comment,
+            `// row-major C = op(A) * op(B) with A = ${params.a}, B = ${params.b}, issued as column-major C^T = op(B)^T * op(A)^T`,
+            `const ${type} alpha = ${one}, beta = ${zero};`,
+            `cublas${prefix}gemm${batched ? 'StridedBatched' : ''}(handle,`,
+            `    ${op(params.transB)}, ${op(params.transA)},`,
+            `    ${params.n}, ${params.m}, ${params.k},`,
+            `    &alpha,`,
+            `    ${params.b}, ${params.ldb},${batched ? ` ${params.strideB},` : ''}`,
+            `    ${params.a}, ${params.lda},${batched ? ` ${params.strideA},` : ''}`,
+            `    &beta,`,
+            `    out, ${params.ldc}${batched ? `, ${params.strideC},` : ''}`,
+            batched ? `    ${params.batchCount});` : null
+        ].filter(line => line !== null);
+        if (!batched) lines[lines.length - 1] += ');';
+        return lines.join('\n');
+    }
+
+    const trans = (transposed) => (transposed ? 'CblasTrans' : 'CblasNoTrans');
+    const offset = (stride) => (batched ? ` + batch * ${stride}` : '');
+    const indent = batched ? '    ' : '';
+    const call = [
+        `${indent}cblas_${isDouble ? 'd' : 's'}gemm(CblasRowMajor, ${trans(params.transA)}, ${trans(params.transB)},`,
+        `${indent}            ${params.m}, ${params.n}, ${params.k},`,
+        `${indent}            ${one}, ${params.a}${offset(params.strideA)}, ${params.lda},`,
+        `${indent}            ${params.b}${offset(params.strideB)}, ${params.ldb},`,
+        `${indent}            ${zero}, out${offset(params.strideC)}, ${params.ldc});`
+    ];
+    const lines = [
+        comment,
+        `// C = op(A) * op(B) with A = ${params.a}, B = ${params.b}`,
+        ...(batched
+            ? [`for (int batch = 0; batch < ${params.batchCount}; ++batch) {`, ...call, '}']
+            : call)
+    ];
+    return lines.join('\n');
+};
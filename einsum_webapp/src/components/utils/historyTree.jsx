@@ -0,0 +1,190 @@
+import { HistorySortType } from './constants.jsx';
+
+/**
+ * Number of history entries that are kept, older entries are dropped
+ */
+export const MAX_HISTORY_ENTRIES = 30;
+
+/**
+ * Variant of the tree in the history
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - Key of the entry
+ * @property {number|null} parentId - Entry the tree was derived from, null
+ * for trees parsed from an expression
+ * @property {string|null} label - Edit that produced the tree, e.g.
+ * `Swap operands of [i,k]`
+ * @property {string} expression - Tree expression
+ * @property {Object} indexSizes - Index sizes of the tree
+ * @property {Array} nodes - ReactFlow nodes of the tree
+ * @property {Array} edges - ReactFlow edges of the tree
+ * @property {number} [totalOperations] - Operations of all contractions
+ * @property {number} [peakMemory] - Peak memory of the left-first order in bytes
+ * @property {Object<string, string>} [tensorNameRegistry] - Names of the
+ * intermediates, see assignTensorNames
+ * @property {string} [name] - Name given by the user
+ * @property {string} [notes] - Free-text notes of the user
+ * @property {boolean} [pinned] - Pinned entries are listed first and never dropped
+ */
+
+const nextHistoryId = (history) => history.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+
+/**
+ * Drops the oldest unpinned entries until the limit is met. Children of a
+ * dropped entry are attached to its parent.
+ */
+const pruneHistory = (history, limit) => {
+    let pruned = history;
+    while (pruned.length > limit) {
+        const removed = pruned.find(entry => !entry.pinned);
+        if (!removed) break;
+        pruned = pruned
+            .filter(entry => entry !== removed)
+            .map(entry => entry.parentId === removed.id ? { ...entry, parentId: removed.parentId } : entry);
+    }
+    return pruned;
+};
+
+/**
+ * Converts saved history into history entries. Entries of the former flat
+ * list, newest first and without ids, become unrelated variants.
+ * @param {Object[]} saved - Saved history
+ * @returns {HistoryEntry[]} The entries, oldest first
+ */
+export const normalizeHistory = (saved) => {
+    if (saved.every(entry => Number.isInteger(entry.id))) return saved;
+    return [...saved].reverse().map((entry, i) => ({ label: null, ...entry, id: i + 1, parentId: null }));
+};
+
+/**
+ * Adds a tree to the history as a variant of the tree it was derived from.
+ * A tree with an expression already in the history updates that entry and
+ * keeps its place in the history tree.
+ * @param {HistoryEntry[]} history - Current entries, oldest first
+ * @param {Object} entry - The new entry without id and parentId
+ * @param {string|null} parentExpression - Expression of the tree it was
+ * derived from, null for a new root
+ * @param {number} [limit] - Maximum number of entries
+ * @returns {HistoryEntry[]} The new entries
+ */
+export const addHistoryEntry = (history, entry, parentExpression = null, limit = MAX_HISTORY_ENTRIES) => {
+    const existing = history.find(item => item.expression === entry.expression);
+    if (existing) {
+        return history.map(item => item === existing
+            ? { ...item, ...entry, id: item.id, parentId: item.parentId, label: item.label }
+            : item);
+    }
+
+    const parent = parentExpression === null ? null : history.find(item => item.expression === parentExpression);
+    const added = { ...entry, id: nextHistoryId(history), parentId: parent ? parent.id : null };
+    return pruneHistory([...history, added], limit);
+};
+
+/**
+ * Updates the entry of an expression, e.g. after the index sizes changed
+ * @param {HistoryEntry[]} history - Current entries
+ * @param {string} expression - Expression of the entry
+ * @param {Object} changes - Properties to overwrite
+ * @returns {HistoryEntry[]} The new entries, unchanged if the expression is not in the history
+ */
+export const updateHistoryEntry = (history, expression, changes) => {
+    if (!history.some(entry => entry.expression === expression)) return history;
+    return history.map(entry => entry.expression === expression ? { ...entry, ...changes } : entry);
+};
+
+/**
+ * Lists the entries depth first, every variant below the tree it was
+ * derived from and siblings oldest first
+ * @param {HistoryEntry[]} history - Entries, oldest first
+ * @returns {Array<{entry: HistoryEntry, depth: number}>} The rows of the history tree
+ */
+export const flattenHistoryTree = (history) => {
+    const ids = new Set(history.map(entry => entry.id));
+    const children = new Map();
+    history.forEach(entry => {
+        const parentId = ids.has(entry.parentId) ? entry.parentId : null;
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(entry);
+    });
+
+    const rows = [];
+    const visit = (entry, depth) => {
+        rows.push({ entry, depth });
+        (children.get(entry.id) || []).forEach(child => visit(child, depth + 1));
+    };
+    (children.get(null) || []).forEach(root => visit(root, 0));
+    return rows;
+};
+
+/**
+ * Metrics that can be compared in history filters, e.g. `ops<1e6`
+ */
+const FILTER_METRICS = { ops: 'totalOperations', peak: 'peakMemory' };
+
+const FILTER_COMPARISONS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a === b
+};
+
+/**
+ * Parses a history filter into conditions. Terms separated by spaces must
+ * all hold: `index:k` requires index k, `ops<1e6` and `peak>=1024` compare
+ * the total operations and the peak memory in bytes, any other term must
+ * occur in the name, label, notes or expression.
+ * @param {string} query - The filter
+ * @returns {Function[]} Conditions on history entries
+ */
+export const parseHistoryFilter = (query) => query.trim().split(/\s+/).filter(Boolean).map(term => {
+    const index = term.match(/^index:(.+)$/i);
+    if (index) {
+        return entry => Object.prototype.hasOwnProperty.call(entry.indexSizes || {}, index[1]);
+    }
+
+    const metric = term.match(/^(ops|peak)(<=|>=|<|>|=)(.+)$/i);
+    if (metric && !Number.isNaN(Number(metric[3]))) {
+        const key = FILTER_METRICS[metric[1].toLowerCase()];
+        const compare = FILTER_COMPARISONS[metric[2]];
+        return entry => entry[key] != null && compare(entry[key], Number(metric[3]));
+    }
+
+    const text = term.toLowerCase();
+    return entry => [entry.name, entry.label, entry.notes, entry.expression]
+        .some(field => field && field.toLowerCase().includes(text));
+});
+
+/**
+ * Lists the entries matching a filter in the chosen order, pinned entries
+ * first. Without a filter the tree order shows the history tree below
+ * copies of the pinned entries, otherwise entries are listed flat, newest
+ * first or by ascending metric with unknown metrics last.
+ * @param {HistoryEntry[]} history - Entries, oldest first
+ * @param {string} query - Filter, see parseHistoryFilter
+ * @param {string} sortType - One of HistorySortType
+ * @returns {Array<{entry: HistoryEntry, depth: number, isPinnedCopy?: boolean}>} The rows to show
+ */
+export const listHistory = (history, query, sortType) => {
+    const conditions = parseHistoryFilter(query);
+    const pinned = history.filter(entry => entry.pinned);
+
+    if (sortType === HistorySortType.Tree && conditions.length === 0) {
+        return [
+            ...pinned.map(entry => ({ entry, depth: 0, isPinnedCopy: true })),
+            ...flattenHistoryTree(history)
+        ];
+    }
+
+    const matches = history.filter(entry => conditions.every(condition => condition(entry)));
+    const metric = sortType === HistorySortType.Operations ? 'totalOperations'
+        : sortType === HistorySortType.PeakMemory ? 'peakMemory'
+            : null;
+    const value = (entry) => entry[metric] ?? Infinity;
+    const sorted = metric
+        ? [...matches].sort((a, b) => value(a) - value(b))
+        : [...matches].reverse();
+    return [
+        ...sorted.filter(entry => entry.pinned),
+        ...sorted.filter(entry => !entry.pinned)
+    ].map(entry => ({ entry, depth: 0 }));
+};
@@ -1,4 +1,5 @@
 import { hierarchy, tree } from 'd3-hierarchy';
+import { getChildren } from './einsumContractionTree.jsx';
 
 /**
  * Builds a visualization tree for rendering expression trees using d3 hierarchy
@@ -15,7 +16,7 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
    */
   const countNodes = (node) => {
     if (!node) return 0;
-    return 1 + countNodes(node.left) + countNodes(node.right);
+    return 1 + getChildren(node).reduce((count, child) => count + countNodes(child), 0);
   };
 
   /**
@@ -26,9 +27,9 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
    */
   const findMaxDepth = (node, currentDepth = 0) => {
     if (!node) return currentDepth - 1;
-    const leftDepth = findMaxDepth(node.left, currentDepth + 1);
-    const rightDepth = findMaxDepth(node.right, currentDepth + 1);
-    return Math.max(leftDepth, rightDepth);
+    const children = getChildren(node);
+    if (children.length === 0) return currentDepth;
+    return Math.max(...children.map(child => findMaxDepth(child, currentDepth + 1)));
   };
 
   // Calculate total nodes for sizing
@@ -41,10 +42,9 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
   const width = Math.max(300, totalNodes * 50);
   const height = Math.max(140, maxDepth * 110); // 80 pixels per level gives adequate vertical spacing
 
-  // Create d3 hierarchy structure from the expression tree
-  const hierarchyRoot = hierarchy(root, d => {
-    return [d.left, d.right].filter(child => child !== null && child !== undefined);
-  });
+  // Create d3 hierarchy structure from the expression tree, n-ary nodes fan
+  // out to all of their operands
+  const hierarchyRoot = hierarchy(root, d => getChildren(d));
 
   // Configure layout based on selected option
   let layout;
@@ -88,7 +88,7 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
   // Transform tree data into React Flow compatible format
   const nodes = treeRoot.descendants().map((d, i) => {
     const isFaulty = faultyNodes.some(faultyNode => faultyNode.id === d.data.id);
-    const { left, right, value, ...restData } = d.data;
+    const { left, right, extraChildren = [], value, ...restData } = d.data;
     return {
       id: d.data.id,
       type: 'custom',
@@ -97,6 +97,7 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
         label: value,
         left: left?.value,
         right: right?.value,
+        extra: extraChildren.map(child => child.value),
         depth: d.depth,
         isFaulty
       },
@@ -0,0 +1,146 @@
+import { calculateTensorSize } from './metricCalculation.jsx';
+import { analyzeSpecialIndices, getChildren } from './einsumContractionTree.jsx';
+
+const MACHINE_MODEL_STORAGE_KEY = 'einsumMachineModel';
+
+/**
+ * A cache level that serves a node if the node's working set fits into it
+ * @typedef {Object} CacheLevel
+ * @property {string} name - Display name, e.g. L2
+ * @property {number} size - Capacity in KiB
+ * @property {number} bandwidth - Sustained bandwidth in GB/s
+ */
+
+/**
+ * Roofline description of a machine
+ * @typedef {Object} MachineModel
+ * @property {string} name - Display name of the machine
+ * @property {number} peakGflops - Peak compute throughput in GFLOP/s
+ * @property {number} memoryBandwidth - Main memory bandwidth in GB/s
+ * @property {CacheLevel[]} caches - Optional cache levels
+ */
+
+/**
+ * Machine model used until the user saves their own
+ * @type {MachineModel}
+ */
+export const DEFAULT_MACHINE_MODEL = {
+    name: 'Generic CPU',
+    peakGflops: 1000,
+    memoryBandwidth: 100,
+    caches: []
+};
+
+/**
+ * Checks that a value is a usable machine model
+ * @param {Object} model - Value to check
+ * @returns {boolean} True if all throughputs and cache sizes are positive
+ */
+export const isValidMachineModel = (model) => {
+    const positive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    return Boolean(model) &&
+        positive(model.peakGflops) &&
+        positive(model.memoryBandwidth) &&
+        Array.isArray(model.caches) &&
+        model.caches.every(cache => positive(cache.size) && positive(cache.bandwidth));
+};
+
+/**
+ * Loads the saved machine model from local storage
+ * @returns {MachineModel} Saved model or the default model
+ */
+export const loadMachineModel = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MACHINE_MODEL_STORAGE_KEY));
+        if (isValidMachineModel(saved)) return saved;
+    } catch (e) {
+        console.warn('Failed to parse saved machine model, using default:', e);
+    }
+    return DEFAULT_MACHINE_MODEL;
+};
+
+/**
+ * Saves a machine model to local storage
+ * @param {MachineModel} model - Model to save
+ */
+export const saveMachineModel = (model) => {
+    try {
+        localStorage.setItem(MACHINE_MODEL_STORAGE_KEY, JSON.stringify(model));
+    } catch (e) {
+        console.error('Failed to save machine model to local storage:', e);
+    }
+};
+
+/**
+ * Estimates the runtime of a single operation with the roofline model. Data
+ * is streamed from the smallest cache level that holds the working set, or
+ * from main memory if none does.
+ * @param {number} operations - Floating point operations
+ * @param {number} bytes - Bytes moved
+ * @param {number} workingSet - Bytes of all tensors touched by the operation
+ * @param {MachineModel} model - Machine model
+ * @returns {{time: number, computeTime: number, memoryTime: number, bound: string, level: string}}
+ * Estimated seconds, the compute and memory components, whether the operation
+ * is 'compute' or 'memory' bound and the memory level that serves it
+ */
+export const estimateRuntime = (operations, bytes, workingSet, model) => {
+    const cache = [...model.caches]
+        .sort((a, b) => a.size - b.size)
+        .find(level => level.size * 1024 >= workingSet);
+    const bandwidth = cache ? cache.bandwidth : model.memoryBandwidth;
+
+    const computeTime = operations / (model.peakGflops * 1e9);
+    const memoryTime = bytes / (bandwidth * 1e9);
+
+    return {
+        time: Math.max(computeTime, memoryTime),
+        computeTime,
+        memoryTime,
+        bound: computeTime >= memoryTime ? 'compute' : 'memory',
+        level: cache ? cache.name : 'Memory'
+    };
+};
+
+/**
+ * Checks whether a unary node sums indices of its operand
+ * @param {Object} node - Unary node
+ * @returns {boolean} True if the node is a reduction
+ */
+const sumsIndices = (node) => {
+    const [operand] = analyzeSpecialIndices(node.value, [node.left.value]).operands;
+    return operand.output.length < operand.input.length;
+};
+
+/**
+ * Estimates the runtime of every contraction and permutation in a tree whose
+ * metrics have been calculated with calculateNodeMetrics
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @param {MachineModel} model - Machine model
+ * @returns {{totalTime: number, nodes: Object<string, Object>}} Summed runtime
+ * and the estimate of each node by ID
+ */
+export const estimateTreeRuntime = (root, indexSizes, dataTypeSize, model) => {
+    const nodes = {};
+    let totalTime = 0;
+
+    const visit = (node) => {
+        if (!node) return;
+        const children = getChildren(node);
+        children.forEach(visit);
+        if (!node.left || node.operations == null) return;
+
+        const workingSet = [node, ...children]
+            .reduce((sum, tensor) => sum + calculateTensorSize(tensor.value, indexSizes, dataTypeSize), 0);
+        // Permutations, diagonals and broadcasts only move data, reductions sum
+        const flops = node.right || sumsIndices(node) ? node.operations : 0;
+        const estimate = estimateRuntime(flops, node.byteAccesses * dataTypeSize, workingSet, model);
+
+        nodes[node.id] = estimate;
+        totalTime += estimate.time;
+    };
+    visit(root);
+
+    return { totalTime, nodes };
+};
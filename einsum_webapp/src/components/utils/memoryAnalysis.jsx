@@ -0,0 +1,244 @@
+import { calculateTensorSize } from './metricCalculation.jsx';
+import { getChildren } from './einsumContractionTree.jsx';
+
+/**
+ * Largest number of operands of an n-ary node whose evaluation orders are
+ * all tried by calculateMemorySchedule
+ */
+const MAX_SCHEDULED_OPERANDS = 6;
+
+/**
+ * Memory model: all leaf tensors are resident when evaluation starts, every
+ * tensor is freed as soon as its parent has been computed and the root stays
+ * resident. A subtree is summarized by its peak, the total size of its leaves
+ * (base) and the size of its result.
+ * @typedef {Object} SubtreeMemory
+ * @property {number} peak - Peak resident bytes while evaluating the subtree
+ * @property {number} base - Bytes of the subtree's leaves
+ * @property {number} size - Bytes of the subtree's result
+ */
+
+/**
+ * Combines two sibling subtrees that are evaluated one after the other
+ * @param {SubtreeMemory} first - Subtree evaluated first
+ * @param {SubtreeMemory} second - Subtree evaluated second
+ * @param {number} outputSize - Bytes of the parent's result
+ * @returns {number} Peak resident bytes while evaluating the parent
+ */
+export const combinePeakMemory = (first, second, outputSize) => Math.max(
+    first.peak + second.base,
+    first.size + second.peak,
+    first.size + second.size + outputSize
+);
+
+/**
+ * Combines any number of sibling subtrees that are evaluated one after the
+ * other, for two subtrees this equals combinePeakMemory
+ * @param {SubtreeMemory[]} subtrees - Subtrees in evaluation order
+ * @param {number} outputSize - Bytes of the parent's result
+ * @returns {number} Peak resident bytes while evaluating the parent
+ */
+export const combineSequencePeakMemory = (subtrees, outputSize) => {
+    let done = 0;
+    let pending = subtrees.reduce((sum, subtree) => sum + subtree.base, 0);
+    let peak = 0;
+
+    subtrees.forEach(subtree => {
+        pending -= subtree.base;
+        peak = Math.max(peak, done + subtree.peak + pending);
+        done += subtree.size;
+    });
+
+    return Math.max(peak, done + outputSize);
+};
+
+/**
+ * Lists all orderings of an array
+ * @param {Array} items - Items to order
+ * @returns {Array[]} Every permutation of the items
+ */
+const permutations = (items) => items.length <= 1 ? [items] :
+    items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+
+/**
+ * Calculates the peak resident memory of a left-first post-order evaluation
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @returns {number} Peak resident bytes
+ */
+export const calculatePeakMemory = (root, indexSizes, dataTypeSize) => {
+    const visit = (node) => {
+        const size = calculateTensorSize(node.value, indexSizes, dataTypeSize);
+        const children = getChildren(node);
+
+        if (children.length === 0) {
+            return { peak: size, base: size, size };
+        }
+        if (children.length === 1) {
+            const child = visit(children[0]);
+            return { peak: Math.max(child.peak, child.size + size), base: child.base, size };
+        }
+
+        if (children.length > 2) {
+            const subtrees = children.map(visit);
+            const base = subtrees.reduce((sum, subtree) => sum + subtree.base, 0);
+            return { peak: combineSequencePeakMemory(subtrees, size), base, size };
+        }
+
+        const left = visit(children[0]);
+        const right = visit(children[1]);
+        return { peak: combinePeakMemory(left, right, size), base: left.base + right.base, size };
+    };
+
+    return root ? visit(root).peak : 0;
+};
+
+/**
+ * A single step of a post-order evaluation
+ * @typedef {Object} LivenessStep
+ * @property {number} step - Step number, starting at 1
+ * @property {string} nodeId - ID of the node computed in this step
+ * @property {string[]} label - Indices of the computed tensor
+ * @property {number} size - Bytes allocated for the computed tensor
+ * @property {string[]} freed - IDs of the tensors freed at the end of the step
+ * @property {number} freedBytes - Bytes released at the end of the step
+ * @property {number} residentBytes - Resident bytes while the node is computed
+ */
+
+/**
+ * Simulates the evaluation of a tree and records when each tensor is created
+ * and freed. Step 0 is the initial state in which only the leaves are
+ * resident, step i computes the i-th inner node.
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @param {string[]|null} order - IDs of the inner nodes in execution order,
+ * defaults to a left-first post-order
+ * @returns {{
+ *   steps: LivenessStep[],
+ *   lifetimes: Object<string, {created: number, freed: number|null}>,
+ *   totalTensorSize: number,
+ *   peakMemory: number,
+ *   peakStep: number,
+ *   peakNodeIds: string[]
+ * }} Evaluation steps, tensor lifetimes (freed is null for the root), the sum
+ * of all tensor sizes and the peak together with the tensors resident at it
+ */
+export const analyzeMemoryLiveness = (root, indexSizes, dataTypeSize, order = null) => {
+    const lifetimes = {};
+    const sizes = {};
+    let inner = [];
+
+    const visit = (node) => {
+        const children = getChildren(node);
+        children.forEach(visit);
+        sizes[node.id] = calculateTensorSize(node.value, indexSizes, dataTypeSize);
+        if (children.length === 0) {
+            lifetimes[node.id] = { created: 0, freed: null };
+        } else {
+            inner.push({ node, children });
+        }
+    };
+    if (root) visit(root);
+
+    if (order) {
+        const byId = new Map(inner.map(entry => [entry.node.id, entry]));
+        inner = order.map(id => byId.get(id));
+    }
+
+    const live = new Set(Object.keys(lifetimes));
+    let resident = [...live].reduce((sum, id) => sum + sizes[id], 0);
+    let peak = { memory: resident, step: 0, nodeIds: [...live] };
+
+    const steps = inner.map(({ node, children }, i) => {
+        const step = i + 1;
+        const size = sizes[node.id];
+
+        lifetimes[node.id] = { created: step, freed: null };
+        live.add(node.id);
+        resident += size;
+        const residentBytes = resident;
+        if (residentBytes > peak.memory) {
+            peak = { memory: residentBytes, step, nodeIds: [...live] };
+        }
+
+        const freed = children.map(child => child.id);
+        const freedBytes = freed.reduce((sum, id) => sum + sizes[id], 0);
+        freed.forEach(id => {
+            lifetimes[id].freed = step;
+            live.delete(id);
+        });
+        resident -= freedBytes;
+
+        return { step, nodeId: node.id, label: node.value, size, freed, freedBytes, residentBytes };
+    });
+
+    return {
+        steps,
+        lifetimes,
+        totalTensorSize: Object.values(sizes).reduce((sum, size) => sum + size, 0),
+        peakMemory: peak.memory,
+        peakStep: peak.step,
+        peakNodeIds: peak.nodeIds
+    };
+};
+
+/**
+ * Computes the evaluation order that minimizes peak memory. Subtrees are
+ * evaluated contiguously, so at every binary node it suffices to decide which
+ * child goes first given the optimal schedules of both children
+ * (Sethi-Ullman style). N-ary nodes try every order of up to
+ * MAX_SCHEDULED_OPERANDS operands and keep their order beyond that.
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @returns {{order: string[], peakMemory: number}} IDs of the inner nodes in
+ * execution order and the resulting peak resident bytes
+ */
+export const calculateMemorySchedule = (root, indexSizes, dataTypeSize) => {
+    const visit = (node) => {
+        const size = calculateTensorSize(node.value, indexSizes, dataTypeSize);
+        const children = getChildren(node);
+
+        if (children.length === 0) {
+            return { memory: { peak: size, base: size, size }, order: [] };
+        }
+        if (children.length === 1) {
+            const child = visit(children[0]);
+            return {
+                memory: { peak: Math.max(child.memory.peak, child.memory.size + size), base: child.memory.base, size },
+                order: [...child.order, node.id]
+            };
+        }
+
+        if (children.length > 2) {
+            const subtrees = children.map(visit);
+            const base = subtrees.reduce((sum, subtree) => sum + subtree.memory.base, 0);
+            const candidates = subtrees.length <= MAX_SCHEDULED_OPERANDS ? permutations(subtrees) : [subtrees];
+            const peakOf = (sequence) => combineSequencePeakMemory(sequence.map(subtree => subtree.memory), size);
+            const best = candidates.reduce((a, b) => peakOf(b) < peakOf(a) ? b : a);
+
+            return {
+                memory: { peak: peakOf(best), base, size },
+                order: [...best.flatMap(subtree => subtree.order), node.id]
+            };
+        }
+
+        const left = visit(children[0]);
+        const right = visit(children[1]);
+        const leftFirst = combinePeakMemory(left.memory, right.memory, size);
+        const rightFirst = combinePeakMemory(right.memory, left.memory, size);
+        const [first, second] = rightFirst < leftFirst ? [right, left] : [left, right];
+
+        return {
+            memory: { peak: Math.min(leftFirst, rightFirst), base: left.memory.base + right.memory.base, size },
+            order: [...first.order, ...second.order, node.id]
+        };
+    };
+
+    if (!root) return { order: [], peakMemory: 0 };
+
+    const { memory, order } = visit(root);
+    return { order, peakMemory: memory.peak };
+};
@@ -1,4 +1,6 @@
-import { dimensionTypes } from './dimensionClassifier.jsx';
+import { classifyDimensions, specialIndexWarnings, ClassificationError, DiagnosticCode, DiagnosticSeverity } from './dimensionClassifier.jsx';
+import { ClassifierType, RotationDirectionType } from './constants.jsx';
+import { analyzeSpecialIndices, getChildren } from './einsumContractionTree.jsx';
 
 /**
  * Constants for node attribute names to avoid typos and improve clarity
@@ -14,9 +16,23 @@ const NodeAttributes = {
     OPERATIONS_PERCENTAGE: 'operationsPercentage',
     NORMALIZED_OPERATIONS: 'normalizedPercentage',
     TOTAL_OPERATIONS: 'totalOperations',
-    BYTE_ACCESSES: 'byteAccesses'
+    BYTE_ACCESSES: 'byteAccesses',
+
+    // Validation related
+    DIAGNOSTICS: 'diagnostics',
+    SPECIAL_INDICES: 'specialIndices',
+
+    // Permutation related
+    BYTES_READ: 'bytesRead',
+    BYTES_WRITTEN: 'bytesWritten',
+    STRIDE_PENALTY: 'stridePenalty'
 };
 
+/**
+ * Size of a cache line in bytes, used for the stride penalty of permutations
+ */
+const CACHE_LINE_SIZE = 64;
+
 /**
  * Helper function to safely set attributes on a node
  * @param {Object} node - The node to modify
@@ -71,13 +87,35 @@ const calculateDimProducts = (dimTypes, indexSizes) => {
     return { cDim, mDim, nDim, kDim };
 };
 
+/**
+ * Calculates the cost of the unary reductions that sum trace and reduction
+ * indices out of the operands before the core contraction. Every element of
+ * an operand's diagonal is read once and added to its reduced result.
+ * @param {Object|null} special - Special indices returned by analyzeSpecialIndices
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Object} - Operations and element accesses
+ */
+export const calculateReductionCost = (special, indexSizes) =>
+    (special?.operands || [])
+        .filter(({ input, output }) => output.length < input.length)
+        .reduce((cost, { input, output }) => {
+            const inputElements = calculateDimensionProduct(input, indexSizes);
+            const outputElements = calculateDimensionProduct(output, indexSizes);
+            return {
+                operations: cost.operations + inputElements - outputElements,
+                byteAccesses: cost.byteAccesses + inputElements + outputElements
+            };
+        }, { operations: 0, byteAccesses: 0 });
+
 /**
  * Calculates operation count for matrix multiplication-like operations
  * @param {Object} dimTypes - Dimension types for the operation
  * @param {Object} indexSizes - Index sizes mapping
+ * @param {Object|null} special - Special indices of the node, adds the cost
+ * of summing trace and reduction indices before the contraction
  * @returns {number} - Number of operations
  */
-export const calculateOperations = (dimTypes, indexSizes) => {
+export const calculateOperations = (dimTypes, indexSizes, special = null) => {
     let cmn = 1;
     let k = 1;
 
@@ -91,23 +129,121 @@ export const calculateOperations = (dimTypes, indexSizes) => {
         }
     }
 
-    return 2 * cmn * k - cmn;
+    return 2 * cmn * k - cmn + calculateReductionCost(special, indexSizes).operations;
 };
 
 /**
  * Calculates memory access patterns for tensor operations
  * @param {Object} dimTypes - Dimension types for the operation
  * @param {Object} indexSizes - Index sizes mapping
+ * @param {Object|null} special - Special indices of the node
  * @returns {number} - Number of byte accesses
  */
-export const calculateByteAccesses = (dimTypes, indexSizes) => {
+export const calculateByteAccesses = (dimTypes, indexSizes, special = null) => {
     const { cDim, mDim, nDim, kDim } = calculateDimProducts(dimTypes, indexSizes);
 
     const cmn = cDim * mDim * nDim;
     const cnk = nDim * kDim;
     const cmk = mDim * kDim;
 
-    return cmn + cnk + cmk;
+    return cmn + cnk + cmk + calculateReductionCost(special, indexSizes).byteAccesses;
+};
+
+/**
+ * Calculates the cost of a fused contraction of any number of operands. The
+ * kernel loops over every index of the operands and the output once, each
+ * iteration multiplies all operands and accumulates into the output. For two
+ * operands this equals the count of calculateOperations.
+ * @param {string[][]} operands - Indices of the operands
+ * @param {string[]} output - Indices of the result
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Object} - Operations and element accesses
+ */
+export const calculateNaryCost = (operands, output, indexSizes) => {
+    const indices = [...new Set([...output, ...operands.flat()])];
+    const iterations = calculateDimensionProduct(indices, indexSizes);
+    const outputElements = calculateDimensionProduct(output, indexSizes);
+
+    return {
+        operations: operands.length * iterations - outputElements,
+        byteAccesses: operands.reduce((sum, operand) => sum + calculateDimensionProduct(operand, indexSizes), outputElements)
+    };
+};
+
+/**
+ * Checks the output of an n-ary node, every index must occur once. Output
+ * indices missing in all operands broadcast the result.
+ * @param {string[]} output - Indices of the result
+ * @returns {Array} - Diagnostics of the offending indices
+ */
+const naryDiagnostics = (output) => output.flatMap((index, i) => {
+    if (output.indexOf(index) !== i) {
+        return [new ClassificationError(
+            DiagnosticCode.DUPLICATE_INDEX,
+            `Index ${index} occurs more than once in the output`,
+            { index, operand: 'output', suggestion: `Keep a single ${index} in the output` }
+        ).toDiagnostic()];
+    }
+    return [];
+});
+
+/**
+ * Calculates the cost of a permutation node. Every element is read once and
+ * written once in output order. If the unit-stride index of the output is
+ * strided in the input, consecutive reads touch different cache lines, which
+ * is modeled by a penalty of up to one full cache line per element read.
+ * A permutation performs no arithmetic, its operations are the element moves
+ * scaled by that penalty so it can be compared with contractions.
+ * @param {string[]} input - Indices of the permuted tensor
+ * @param {string[]} output - Indices of the result
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @returns {Object} - Operations, element accesses, bytes read and written
+ * and the stride penalty
+ */
+export const calculatePermutationCost = (input, output, indexSizes, dataTypeSize) => {
+    const elements = calculateDimensionProduct(output, indexSizes);
+    const position = input.indexOf(output[output.length - 1]);
+    const stride = position === -1 ? 1 : calculateDimensionProduct(input.slice(position + 1), indexSizes);
+    const stridePenalty = Math.max(1, Math.min(stride, CACHE_LINE_SIZE / dataTypeSize));
+
+    return {
+        operations: elements * stridePenalty,
+        byteAccesses: elements * stridePenalty + elements,
+        bytesRead: elements * stridePenalty * dataTypeSize,
+        bytesWritten: elements * dataTypeSize,
+        stridePenalty
+    };
+};
+
+/**
+ * Calculates the size of a tensor in bytes
+ * @param {string[]} indices - Indices of the tensor
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @returns {number} - Tensor size in bytes
+ */
+export const calculateTensorSize = (indices, indexSizes, dataTypeSize) =>
+    calculateDimensionProduct(indices, indexSizes) * dataTypeSize;
+
+/**
+ * Calculates the strides of a row-major tensor, the last index has unit stride
+ * @param {string[]} indices - Indices of the tensor
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {number[]} - Stride of each index in elements
+ */
+export const calculateStrides = (indices, indexSizes) => {
+    if (!Array.isArray(indices)) return [];
+
+    let stride = 1;
+    const strides = new Array(indices.length).fill(0);
+
+    for (let i = indices.length - 1; i >= 0; i--) {
+        strides[i] = stride;
+        stride *= Math.max(1, Math.floor(indexSizes[indices[i]] || 1));
+    }
+
+    return strides;
 };
 
 /**
@@ -120,7 +256,7 @@ export const calculateByteAccesses = (dimTypes, indexSizes) => {
 const calculateNodeSizes = (node, indexSizes, dataTypeSize, stats) => {
     if (!node) return;
 
-    const tensorSize = calculateDimensionProduct(node.value, indexSizes) * dataTypeSize;
+    const tensorSize = calculateTensorSize(node.value, indexSizes, dataTypeSize);
     setNodeAttributes(node, {
         [NodeAttributes.TENSOR_SIZE]: tensorSize
     });
@@ -129,8 +265,7 @@ const calculateNodeSizes = (node, indexSizes, dataTypeSize, stats) => {
     stats.maxTensorSize = Math.max(stats.maxTensorSize, tensorSize);
     stats.minTensorSize = Math.min(stats.minTensorSize, tensorSize);
 
-    calculateNodeSizes(node.left, indexSizes, dataTypeSize, stats);
-    calculateNodeSizes(node.right, indexSizes, dataTypeSize, stats);
+    getChildren(node).forEach(child => calculateNodeSizes(child, indexSizes, dataTypeSize, stats));
 };
 
 /**
@@ -153,8 +288,7 @@ const addSizePercentages = (node, stats) => {
         [NodeAttributes.NORMALIZED_SIZE]: normalizedSizePercentage
     });
 
-    addSizePercentages(node.left, stats);
-    addSizePercentages(node.right, stats);
+    getChildren(node).forEach(child => addSizePercentages(child, stats));
 };
 
 /**
@@ -170,44 +304,78 @@ const resetTreeOperations = (node) => {
         [NodeAttributes.NORMALIZED_OPERATIONS]: null
     });
 
-    resetTreeOperations(node.left);
-    resetTreeOperations(node.right);
+    getChildren(node).forEach(resetTreeOperations);
 };
 
 /**
  * Calculate operations and byte accesses for a tree
  * @param {Object} node - Tree node
  * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of data type in bytes
+ * @param {string} classifierType - Dimension classification algorithm
  * @param {Array} faultyNodes - Array to collect faulty nodes
- * @param {Array} binaryNodes - Array to collect binary nodes
+ * @param {Array} costNodes - Array to collect contraction and permutation nodes
  * @returns {Object} - Results object with operations and error status
  */
-const calculateNodeOperations = (node, indexSizes, faultyNodes, binaryNodes) => {
+const calculateNodeOperations = (node, indexSizes, dataTypeSize, classifierType, faultyNodes, costNodes) => {
     if (!node.left) return { hasError: false, operations: 0 };
 
     let totalOps = 0;
     let hasError = false;
 
     // Process left side
-    const leftResult = calculateNodeOperations(node.left, indexSizes, faultyNodes, binaryNodes);
+    const leftResult = calculateNodeOperations(node.left, indexSizes, dataTypeSize, classifierType, faultyNodes, costNodes);
     if (leftResult.hasError) hasError = true;
     totalOps += leftResult.operations;
 
-    // Process right side and current node operations
-    if (node.right) {
-        const rightResult = calculateNodeOperations(node.right, indexSizes, faultyNodes, binaryNodes);
+    // Process the remaining operands and the fused contraction of n-ary nodes
+    if (node.extraChildren?.length > 0) {
+        const children = getChildren(node);
+        children.slice(1).forEach(child => {
+            const childResult = calculateNodeOperations(child, indexSizes, dataTypeSize, classifierType, faultyNodes, costNodes);
+            if (childResult.hasError) hasError = true;
+            totalOps += childResult.operations;
+        });
+
+        const operands = children.map(child => child.value);
+        const special = analyzeSpecialIndices(node.value, operands);
+        const errors = naryDiagnostics(node.value);
+        setNodeAttributes(node, {
+            [NodeAttributes.DIAGNOSTICS]: [...errors, ...specialIndexWarnings(special)],
+            [NodeAttributes.SPECIAL_INDICES]: special.indices
+        });
+        if (errors.length > 0) {
+            faultyNodes.push(node);
+            return { hasError: true, operations: 0 };
+        }
+
+        const { operations, byteAccesses } = calculateNaryCost(operands, node.value, indexSizes);
+        setNodeAttributes(node, {
+            [NodeAttributes.OPERATIONS]: operations,
+            [NodeAttributes.BYTE_ACCESSES]: byteAccesses
+        });
+
+        totalOps += operations;
+        costNodes.push(node);
+    } else if (node.right) {
+        // Process right side and current node operations
+        const rightResult = calculateNodeOperations(node.right, indexSizes, dataTypeSize, classifierType, faultyNodes, costNodes);
         if (rightResult.hasError) hasError = true;
         totalOps += rightResult.operations;
 
         // Calculate operations for current node
-        const dimtypes = dimensionTypes(node.value, node.left.value, node.right.value);
+        const { dimTypes: dimtypes, diagnostics, special } = classifyDimensions(node.value, node.left.value, node.right.value, classifierType);
+        setNodeAttributes(node, {
+            [NodeAttributes.DIAGNOSTICS]: diagnostics,
+            [NodeAttributes.SPECIAL_INDICES]: special.indices
+        });
         if (!dimtypes) {
             faultyNodes.push(node);
             return { hasError: true, operations: 0 };
         }
 
-        const operations = calculateOperations(dimtypes, indexSizes);
-        const byteAccesses = calculateByteAccesses(dimtypes, indexSizes);
+        const operations = calculateOperations(dimtypes, indexSizes, special);
+        const byteAccesses = calculateByteAccesses(dimtypes, indexSizes, special);
 
         setNodeAttributes(node, {
             [NodeAttributes.OPERATIONS]: operations,
@@ -215,7 +383,30 @@ const calculateNodeOperations = (node, indexSizes, faultyNodes, binaryNodes) =>
         });
 
         totalOps += operations;
-        binaryNodes.push(node);
+        costNodes.push(node);
+    } else {
+        const special = analyzeSpecialIndices(node.value, [node.left.value]);
+        setNodeAttributes(node, {
+            [NodeAttributes.SPECIAL_INDICES]: special.indices
+        });
+
+        // A unary node that sums indices is a reduction, otherwise it moves
+        // elements like a permutation, which also covers diagonals and broadcasts
+        const [operand] = special.operands;
+        const cost = operand.output.length < operand.input.length
+            ? calculateReductionCost(special, indexSizes)
+            : calculatePermutationCost(node.left.value, node.value, indexSizes, dataTypeSize);
+
+        setNodeAttributes(node, {
+            [NodeAttributes.OPERATIONS]: cost.operations,
+            [NodeAttributes.BYTE_ACCESSES]: cost.byteAccesses,
+            [NodeAttributes.BYTES_READ]: cost.bytesRead,
+            [NodeAttributes.BYTES_WRITTEN]: cost.bytesWritten,
+            [NodeAttributes.STRIDE_PENALTY]: cost.stridePenalty
+        });
+
+        totalOps += cost.operations;
+        costNodes.push(node);
     }
 
     return { hasError, operations: totalOps };
@@ -224,12 +415,12 @@ const calculateNodeOperations = (node, indexSizes, faultyNodes, binaryNodes) =>
 /**
  * Add operation percentages to tree nodes
  * @param {Object} tree - The tree root node
- * @param {Array} binaryNodes - Array of binary nodes
+ * @param {Array} costNodes - Array of contraction and permutation nodes
  * @param {number} totalOperations - Total operation count
  */
-const addOperationPercentages = (tree, binaryNodes, totalOperations) => {
+const addOperationPercentages = (tree, costNodes, totalOperations) => {
     // Calculate operation percentages
-    binaryNodes.forEach(node => {
+    costNodes.forEach(node => {
         const operationsPercentage = (node[NodeAttributes.OPERATIONS] / totalOperations) * 100;
         setNodeAttributes(node, {
             [NodeAttributes.OPERATIONS_PERCENTAGE]: operationsPercentage,
@@ -238,13 +429,13 @@ const addOperationPercentages = (tree, binaryNodes, totalOperations) => {
     });
 
     // Normalize operation percentages
-    const percentages = binaryNodes.map(node => node[NodeAttributes.OPERATIONS_PERCENTAGE]);
+    const percentages = costNodes.map(node => node[NodeAttributes.OPERATIONS_PERCENTAGE]);
     const minPercentage = Math.min(...percentages) || 0;
     const maxPercentage = Math.max(...percentages) || 0;
 
     const addNormalizedPercentages = (node) => {
         if (!node) return;
-        if (node.left && node.right) {
+        if (node.left) {
             const normalizedPercentage = normalizeToPercentage(
                 node[NodeAttributes.OPERATIONS_PERCENTAGE],
                 minPercentage,
@@ -255,22 +446,42 @@ const addOperationPercentages = (tree, binaryNodes, totalOperations) => {
                 [NodeAttributes.NORMALIZED_OPERATIONS]: normalizedPercentage
             });
         }
-        addNormalizedPercentages(node.left);
-        addNormalizedPercentages(node.right);
+        getChildren(node).forEach(addNormalizedPercentages);
     };
 
     addNormalizedPercentages(tree);
 };
 
+/**
+ * Collects the classification diagnostics of a set of nodes
+ * @param {Array} nodes - Nodes to collect from
+ * @param {string} severity - One of DiagnosticSeverity
+ * @returns {Array} - Diagnostics with the ID and indices of their node
+ */
+const collectDiagnostics = (nodes, severity) =>
+    nodes.flatMap(node => (node[NodeAttributes.DIAGNOSTICS] || [])
+        .filter(diagnostic => diagnostic.severity === severity)
+        .map(diagnostic => ({
+            nodeId: node.id,
+            node: node.value,
+            left: node.left.value,
+            right: node.right?.value,
+            extra: (node.extraChildren || []).map(child => child.value),
+            ...diagnostic
+        })));
+
 /**
  * Calculates and annotates metrics for an expression tree
  * @param {Object} indexSizes - Size mapping for each dimension
  * @param {Object} tree - Expression tree to analyze
  * @param {number} dataTypeSize - Size of the data type in bytes
- * @returns {Object} Analysis results including operations and errors
+ * @param {string} classifierType - Dimension classification algorithm
+ * @returns {Object} Analysis results including operations, faulty nodes,
+ * the diagnostics explaining why they are faulty and the warnings of the
+ * contractions that were classified
  */
-export const calculateNodeMetrics = (indexSizes, tree, dataTypeSize) => {
-    if (!tree) return { totalOperations: 0, faultyNodes: [] };
+export const calculateNodeMetrics = (indexSizes, tree, dataTypeSize, classifierType = ClassifierType.Standard) => {
+    if (!tree) return { totalOperations: 0, faultyNodes: [], diagnostics: [], warnings: [] };
 
     // Track statistics
     const stats = {
@@ -280,19 +491,20 @@ export const calculateNodeMetrics = (indexSizes, tree, dataTypeSize) => {
     };
 
     const faultyNodes = [];
-    const binaryNodes = [];
+    const costNodes = [];
 
     // Calculate tensor sizes
     calculateNodeSizes(tree, indexSizes, dataTypeSize, stats);
     addSizePercentages(tree, stats);
 
     // Calculate operations
-    const { hasError, operations } = calculateNodeOperations(tree, indexSizes, faultyNodes, binaryNodes);
+    const { hasError, operations } = calculateNodeOperations(tree, indexSizes, dataTypeSize, classifierType, faultyNodes, costNodes);
 
     // Handle error case or finalize
+    const warnings = collectDiagnostics([...faultyNodes, ...costNodes], DiagnosticSeverity.Warning);
     if (hasError) {
         resetTreeOperations(tree);
-        return { totalOperations: 0, faultyNodes };
+        return { totalOperations: 0, faultyNodes, diagnostics: collectDiagnostics(faultyNodes, DiagnosticSeverity.Error), warnings };
     }
 
     // Set total operations on tree
@@ -301,7 +513,38 @@ export const calculateNodeMetrics = (indexSizes, tree, dataTypeSize) => {
     });
 
     // Add operation percentages
-    addOperationPercentages(tree, binaryNodes, operations);
+    addOperationPercentages(tree, costNodes, operations);
+
+    return { totalOperations: operations, faultyNodes, diagnostics: [], warnings };
+};
 
-    return { totalOperations: operations, faultyNodes };
-};
\ No newline at end of file
+/**
+ * Previews the operation count change of rotating a tree at a node, see
+ * Tree.rotateLeft and Tree.rotateRight. The tree itself is left unchanged.
+ * @param {Tree} tree - Contraction tree
+ * @param {string} nodeId - ID of the node to rotate at
+ * @param {string} direction - One of RotationDirectionType
+ * @param {Object} indexSizes - Size mapping for each dimension
+ * @param {number} dataTypeSize - Size of the data type in bytes
+ * @param {string} classifierType - Dimension classification algorithm
+ * @returns {{before: number, after: number, delta: number|null}|null} Total
+ * operations before and after the rotation and their difference, which is
+ * null if either tree has faulty nodes, or null if the node cannot be rotated
+ */
+export const calculateRotationDelta = (tree, nodeId, direction, indexSizes, dataTypeSize, classifierType = ClassifierType.Standard) => {
+    const rotated = tree.clone();
+    const isRotated = direction === RotationDirectionType.Left
+        ? rotated.rotateLeft(nodeId)
+        : rotated.rotateRight(nodeId);
+    if (!isRotated) return null;
+
+    const before = calculateNodeMetrics(indexSizes, tree.clone().getRoot(), dataTypeSize, classifierType);
+    const after = calculateNodeMetrics(indexSizes, rotated.getRoot(), dataTypeSize, classifierType);
+    const isValid = before.faultyNodes.length === 0 && after.faultyNodes.length === 0;
+
+    return {
+        before: before.totalOperations,
+        after: after.totalOperations,
+        delta: isValid ? after.totalOperations - before.totalOperations : null
+    };
+};
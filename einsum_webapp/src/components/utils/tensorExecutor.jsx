@@ -0,0 +1,264 @@
+import { getChildren, analyzeSpecialIndices } from './einsumContractionTree.jsx';
+import { SpecialIndexType } from './constants.jsx';
+
+/**
+ * Largest size an index gets during verification
+ */
+export const MAX_VERIFICATION_SIZE = 4;
+
+/**
+ * Upper bound for the iterations of the direct evaluation, which loops over
+ * all indices of the tree at once
+ */
+export const MAX_DIRECT_ITERATIONS = 1 << 21;
+
+/**
+ * Relative error up to which the tree result matches the direct evaluation
+ */
+export const VERIFICATION_TOLERANCE = 1e-9;
+
+/**
+ * Codes of the structural problems the verification reports
+ */
+export const VerificationIssueCode = {
+    UNKNOWN_OUTPUT_INDEX: 'UNKNOWN_OUTPUT_INDEX',
+    DUPLICATE_OUTPUT_INDEX: 'DUPLICATE_OUTPUT_INDEX',
+    PREMATURE_SUMMATION: 'PREMATURE_SUMMATION'
+};
+
+/**
+ * A dense row-major tensor
+ * @typedef {Object} Tensor
+ * @property {string[]} indices - Index of every dimension
+ * @property {Float64Array} data - Elements in row-major order
+ */
+
+/**
+ * Creates a deterministic pseudo random number generator (mulberry32)
+ * @param {number} seed - Seed of the sequence
+ * @returns {Function} Function returning numbers in [-1, 1)
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (((t ^ (t >>> 14)) >>> 0) / 4294967296) * 2 - 1;
+    };
+};
+
+/**
+ * Calculates the number of elements of a tensor
+ * @param {string[]} indices - Indices of the tensor
+ * @param {Object} sizes - Index sizes mapping
+ * @returns {number} Element count
+ */
+const elementCount = (indices, sizes) => indices.reduce((product, index) => product * sizes[index], 1);
+
+/**
+ * Evaluates an einsum expression by looping over every index combination.
+ * Indices occurring in no operand broadcast, repeated indices select diagonals.
+ * @param {Tensor[]} operands - Input tensors
+ * @param {string[]} output - Indices of the result
+ * @param {Object} sizes - Index sizes mapping
+ * @returns {Tensor} The result
+ */
+export const contractTensors = (operands, output, sizes) => {
+    const labels = [...new Set([...output, ...operands.flatMap(operand => operand.indices)])];
+    const extents = labels.map(label => sizes[label]);
+
+    // Stride of every tensor along every label, repeated indices add up
+    const stridesOf = (indices) => {
+        const strides = new Array(labels.length).fill(0);
+        let stride = 1;
+        for (let i = indices.length - 1; i >= 0; i--) {
+            strides[labels.indexOf(indices[i])] += stride;
+            stride *= sizes[indices[i]];
+        }
+        return strides;
+    };
+
+    const result = new Float64Array(elementCount(output, sizes));
+    const tensorStrides = [...operands.map(operand => stridesOf(operand.indices)), stridesOf(output)];
+    const offsets = new Array(tensorStrides.length).fill(0);
+    const counters = new Array(labels.length).fill(0);
+    const total = extents.reduce((product, extent) => product * extent, 1);
+    const resultSlot = operands.length;
+
+    for (let iteration = 0; iteration < total; iteration++) {
+        let product = 1;
+        for (let o = 0; o < operands.length; o++) {
+            product *= operands[o].data[offsets[o]];
+        }
+        result[offsets[resultSlot]] += product;
+
+        for (let d = labels.length - 1; d >= 0; d--) {
+            counters[d]++;
+            for (let t = 0; t < tensorStrides.length; t++) offsets[t] += tensorStrides[t][d];
+            if (counters[d] < extents[d]) break;
+            for (let t = 0; t < tensorStrides.length; t++) offsets[t] -= tensorStrides[t][d] * extents[d];
+            counters[d] = 0;
+        }
+    }
+
+    return { indices: [...output], data: result };
+};
+
+/**
+ * Shrinks the index sizes so that the direct evaluation stays cheap. Sizes are
+ * capped at MAX_VERIFICATION_SIZE and lowered further while the product over
+ * all indices exceeds MAX_DIRECT_ITERATIONS.
+ * @param {string[]} indices - All indices of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Object} Reduced index sizes mapping
+ */
+export const verificationSizes = (indices, indexSizes) => {
+    let cap = MAX_VERIFICATION_SIZE;
+    const capped = () => Object.fromEntries(indices.map(index =>
+        [index, Math.max(1, Math.min(cap, Math.floor(indexSizes[index] || 1)))]));
+
+    let sizes = capped();
+    while (cap > 1 && elementCount(indices, sizes) > MAX_DIRECT_ITERATIONS) {
+        cap--;
+        sizes = capped();
+    }
+    return sizes;
+};
+
+/**
+ * Finds nodes whose output indices do not fit their operands or the rest of
+ * the tree. Such a tree still executes but computes something else than the
+ * einsum over its leaves. A broadcast index is consistent if it occurs in a
+ * leaf or the root output, a broadcast that is summed again without either
+ * scales the result by its size.
+ * @param {Object} root - Root node of the tree
+ * @returns {Object[]} Issues in the format of classification diagnostics
+ */
+export const findInconsistentNodes = (root) => {
+    const issues = [];
+    const occurrences = new Map();
+    const count = (counts, indices) => indices.forEach(index => counts.set(index, (counts.get(index) || 0) + 1));
+
+    const leafCounts = (node) => {
+        const counts = new Map();
+        const visit = (current) => {
+            if (!current) return;
+            if (!current.left && !current.right) count(counts, current.value);
+            getChildren(current).forEach(visit);
+        };
+        visit(node);
+        return counts;
+    };
+    // Occurrences in all leaves and the root output, an index summed inside a
+    // subtree must not occur anywhere outside of it
+    leafCounts(root).forEach((value, key) => occurrences.set(key, value));
+    count(occurrences, root?.value || []);
+
+    const visit = (node) => {
+        if (!node || (!node.left && !node.right)) return;
+        const children = getChildren(node);
+        const operandIndices = new Set(children.flatMap(child => child.value));
+        const broadcast = analyzeSpecialIndices(node.value, children.map(child => child.value)).indices
+            .filter(({ type }) => type === SpecialIndexType.Broadcast)
+            .map(({ index }) => index);
+        const issue = (code, index, message, suggestion) => issues.push({
+            code,
+            nodeId: node.id,
+            node: node.value,
+            left: node.left?.value,
+            right: node.right?.value,
+            index,
+            message,
+            suggestion
+        });
+
+        node.value.forEach((index, i) => {
+            if (node.value.indexOf(index) !== i) {
+                issue(VerificationIssueCode.DUPLICATE_OUTPUT_INDEX, index,
+                    `Output index ${index} occurs more than once.`,
+                    `Keep a single ${index} in the output.`);
+            } else if (broadcast.includes(index) && !occurrences.get(index)) {
+                issue(VerificationIssueCode.UNKNOWN_OUTPUT_INDEX, index,
+                    `Output index ${index} does not occur in any operand and is summed again later, which scales the result by its size.`,
+                    `Remove ${index} from the output or keep it up to the root.`);
+            }
+        });
+
+        const inside = leafCounts(node);
+        operandIndices.forEach(index => {
+            if (!node.value.includes(index) && occurrences.get(index) > (inside.get(index) || 0)) {
+                issue(VerificationIssueCode.PREMATURE_SUMMATION, index,
+                    `Index ${index} is summed here but is still needed outside of this subtree.`,
+                    `Keep ${index} in the output.`);
+            }
+        });
+
+        children.forEach(visit);
+    };
+    visit(root);
+
+    return issues;
+};
+
+/**
+ * Executes a tree node by node on random inputs and compares the result with
+ * a direct evaluation of the einsum over all leaves
+ * @param {Object} root - Root node of the tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} seed - Seed of the random inputs
+ * @returns {{
+ *   sizes: Object,
+ *   maxAbsError: number,
+ *   maxAbsReference: number,
+ *   passed: boolean,
+ *   issues: Object[]
+ * }|null} Reduced sizes, the largest deviation and magnitude of the reference,
+ * whether the deviation is within VERIFICATION_TOLERANCE and structural issues,
+ * or null for an empty tree
+ */
+export const verifyTree = (root, indexSizes, seed = 1) => {
+    if (!root) return null;
+
+    // Inner nodes may introduce indices unknown to the leaves, size them too
+    const leaves = [];
+    const indices = new Set();
+    const collect = (node) => {
+        if (!node) return;
+        node.value.forEach(index => indices.add(index));
+        if (!node.left && !node.right) leaves.push(node);
+        getChildren(node).forEach(collect);
+    };
+    collect(root);
+
+    const sizes = verificationSizes([...indices], indexSizes);
+    const random = createRandom(seed);
+    const inputs = new Map(leaves.map(leaf => [leaf.id, {
+        indices: leaf.value,
+        data: Float64Array.from({ length: elementCount(leaf.value, sizes) }, random)
+    }]));
+
+    const execute = (node) => {
+        if (!node.left && !node.right) return inputs.get(node.id);
+        return contractTensors(getChildren(node).map(execute), node.value, sizes);
+    };
+
+    const result = execute(root);
+    const reference = contractTensors(leaves.map(leaf => inputs.get(leaf.id)), root.value, sizes);
+
+    let maxAbsError = 0;
+    let maxAbsReference = 0;
+    reference.data.forEach((value, i) => {
+        maxAbsError = Math.max(maxAbsError, Math.abs(result.data[i] - value));
+        maxAbsReference = Math.max(maxAbsReference, Math.abs(value));
+    });
+
+    return {
+        sizes,
+        maxAbsError,
+        maxAbsReference,
+        passed: maxAbsError <= VERIFICATION_TOLERANCE * Math.max(1, maxAbsReference),
+        issues: findInconsistentNodes(root)
+    };
+};
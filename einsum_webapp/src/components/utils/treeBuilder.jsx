@@ -0,0 +1,69 @@
+import { Node, Tree, createContractionNode } from './einsumContractionTree.jsx';
+
+/**
+ * Operand of the tree editor, either a leaf tensor or the contraction of two
+ * operands
+ * @typedef {Object} EditorOperand
+ * @property {string} id - Key of the operand within the editor
+ * @property {string|null} name - Tensor name of a leaf, e.g. `A`
+ * @property {string[]} indices - Indices of the tensor
+ * @property {EditorOperand[]|null} children - Left and right operand of a
+ * contraction, null for leaves
+ */
+
+/**
+ * Parses a list of index labels separated by commas or spaces, e.g. `i, j`.
+ * Leaves may repeat an index for diagonals and traces, e.g. `i, i`.
+ * @param {string} text - The list to parse
+ * @param {boolean} unique - Whether to reject repeated labels, as in the
+ * output of a contraction
+ * @returns {string[]} The index labels
+ * @throws {Error} If a label is not alphanumeric or occurs twice in a unique list
+ */
+export const parseIndexList = (text, unique = false) => {
+    const indices = text.split(/[,\s]+/).filter(Boolean);
+    const invalid = indices.find(index => !/^[a-zA-Z0-9_]+$/.test(index));
+    if (invalid) {
+        throw new Error(`Invalid index '${invalid}', use letters, digits and underscores`);
+    }
+    const repeated = unique && indices.find((index, i) => indices.indexOf(index) !== i);
+    if (repeated) {
+        throw new Error(`Index '${repeated}' occurs more than once`);
+    }
+    return indices;
+};
+
+/**
+ * Proposes the output indices of contracting two operands. Shared indices are
+ * contracted unless another operand still needs them, all other indices are
+ * kept. The result is ordered [C..., N..., M...] like createContractionNode.
+ * @param {string[]} left - Left operand indices
+ * @param {string[]} right - Right operand indices
+ * @param {string[][]} others - Indices of the operands not taking part
+ * @returns {string[]} The proposed output indices
+ */
+export const proposeContractionIndices = (left, right, others = []) => {
+    const needed = new Set(others.flat());
+    const kept = [...left, ...right].filter(index =>
+        !(left.includes(index) && right.includes(index)) || needed.has(index));
+    return createContractionNode(new Node(left), new Node(right), kept).value;
+};
+
+/**
+ * Converts an editor operand into a contraction tree
+ * @param {EditorOperand} operand - Root operand
+ * @returns {Tree} The tree, serialize it with treeToString
+ */
+export const buildTree = (operand) => {
+    const tree = new Tree();
+    const toNode = ({ name, indices, children }) => {
+        if (!children) {
+            const leaf = new Node([...indices]);
+            leaf.name = name || null;
+            return leaf;
+        }
+        const [left, right] = children;
+        return new Node([...indices], toNode(left), toNode(right));
+    };
+    return tree.setRoot(toNode(operand));
+};
@@ -0,0 +1,105 @@
+/**
+ * Number of steps that can be undone, older steps are dropped
+ */
+export const MAX_UNDO_STEPS = 50;
+
+/**
+ * State of the tree after an edit
+ * @typedef {Object} UndoStep
+ * @property {string} label - Description of the edit, e.g. `Swap operands of [i,k]`
+ * @property {string} expression - Tree expression after the edit
+ * @property {Object} indexSizes - Index sizes after the edit
+ */
+
+/**
+ * Undo and redo stack of tree edits, kept per workspace
+ * @typedef {Object} UndoStack
+ * @property {UndoStep[]} past - Steps before the current one, oldest first
+ * @property {UndoStep|null} present - Step currently shown
+ * @property {UndoStep[]} future - Undone steps, next redo first
+ */
+
+/**
+ * Stack without any recorded edit
+ * @type {UndoStack}
+ */
+export const EMPTY_UNDO_STACK = { past: [], present: null, future: [] };
+
+const isValidStep = (step) =>
+    Boolean(step) &&
+    typeof step.label === 'string' &&
+    typeof step.expression === 'string' &&
+    Boolean(step.indexSizes) && typeof step.indexSizes === 'object';
+
+const sameIndexSizes = (a, b) => {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+/**
+ * Checks that a value is a usable undo stack, e.g. one stored with a workspace
+ * @param {Object} stack - Value to check
+ * @returns {boolean} True if all steps have a label, expression and index sizes
+ */
+export const isValidUndoStack = (stack) =>
+    Boolean(stack) &&
+    Array.isArray(stack.past) &&
+    Array.isArray(stack.future) &&
+    (stack.present === null || isValidStep(stack.present)) &&
+    [...stack.past, ...stack.future].every(isValidStep);
+
+/**
+ * Records an edit as the current step and discards the undone steps. Edits
+ * that leave expression and index sizes unchanged are not recorded.
+ * @param {UndoStack} stack - Current stack
+ * @param {UndoStep} step - State after the edit
+ * @returns {UndoStack} The new stack
+ */
+export const pushUndoStep = (stack, step) => {
+    const { present } = stack;
+    if (present && present.expression === step.expression && sameIndexSizes(present.indexSizes, step.indexSizes)) {
+        return stack;
+    }
+    const past = present ? [...stack.past, present].slice(-MAX_UNDO_STEPS) : stack.past;
+    return { past, present: { ...step, indexSizes: { ...step.indexSizes } }, future: [] };
+};
+
+/**
+ * Returns to the step before the current one
+ * @param {UndoStack} stack - Current stack
+ * @returns {UndoStack} The new stack, unchanged if there is nothing to undo
+ */
+export const undoStep = (stack) => {
+    if (stack.past.length === 0) return stack;
+    return {
+        past: stack.past.slice(0, -1),
+        present: stack.past[stack.past.length - 1],
+        future: [stack.present, ...stack.future]
+    };
+};
+
+/**
+ * Reapplies the most recently undone step
+ * @param {UndoStack} stack - Current stack
+ * @returns {UndoStack} The new stack, unchanged if there is nothing to redo
+ */
+export const redoStep = (stack) => {
+    if (stack.future.length === 0) return stack;
+    return {
+        past: [...stack.past, stack.present],
+        present: stack.future[0],
+        future: stack.future.slice(1)
+    };
+};
+
+/**
+ * Describes an index size change as a step label
+ * @param {Object} before - Index sizes before the change
+ * @param {Object} after - Index sizes after the change
+ * @returns {string} The label, e.g. `Set size of i to 8, k to 4`
+ */
+export const describeIndexSizeChange = (before, after) => {
+    const changed = Object.keys(after).filter(index => before[index] !== after[index]);
+    if (changed.length === 0) return 'Set index sizes';
+    return `Set size of ${changed.map(index => `${index} to ${after[index]}`).join(', ')}`;
+};
@@ -0,0 +1,246 @@
+import { normalizeHistory } from './historyTree.jsx';
+import { EMPTY_UNDO_STACK } from './undoStack.jsx';
+
+const WORKSPACE_DB_NAME = 'einsumWorkspaces';
+const WORKSPACE_DB_VERSION = 1;
+const WORKSPACE_STORE = 'workspaces';
+const ACTIVE_WORKSPACE_STORAGE_KEY = 'einsumActiveWorkspace';
+const LEGACY_HISTORY_STORAGE_KEY = 'einsumHistory';
+
+/**
+ * Format tag of exported workspace files
+ */
+export const WORKSPACE_FILE_FORMAT = 'einsum-workspace';
+export const WORKSPACE_FILE_VERSION = 1;
+
+export const DEFAULT_WORKSPACE_NAME = 'Default';
+
+/**
+ * Named collection of trees of a project
+ * @typedef {Object} Workspace
+ * @property {string} id - Key of the workspace
+ * @property {string} name - Display name
+ * @property {string} notes - Free-text notes of the project
+ * @property {string} dataType - Size of the data type in bytes, '4' or '8'
+ * @property {HistoryEntry[]} history - Expressions with their index sizes,
+ * see historyTree
+ * @property {UndoStack} undoStack - Edits of the tree that can be undone,
+ * see undoStack
+ * @property {number} createdAt - Creation time in ms since the epoch
+ * @property {number} updatedAt - Time of the last change in ms since the epoch
+ */
+
+const createWorkspaceId = () =>
+    `workspace-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Creates an empty workspace
+ * @param {string} name - Display name
+ * @param {Object} [properties] - Properties to set, e.g. the history
+ * @returns {Workspace} The workspace
+ */
+export const createWorkspace = (name, properties = {}) => {
+    const now = Date.now();
+    return {
+        notes: '',
+        dataType: '4',
+        history: [],
+        undoStack: EMPTY_UNDO_STACK,
+        ...properties,
+        id: createWorkspaceId(),
+        name,
+        createdAt: now,
+        updatedAt: now
+    };
+};
+
+/**
+ * Checks that a value is a usable workspace
+ * @param {Object} workspace - Value to check
+ * @returns {boolean} True if name and history are valid
+ */
+export const isValidWorkspace = (workspace) =>
+    Boolean(workspace) &&
+    typeof workspace.name === 'string' && workspace.name.trim() !== '' &&
+    Array.isArray(workspace.history) &&
+    workspace.history.every(entry =>
+        Boolean(entry) &&
+        typeof entry.expression === 'string' &&
+        Boolean(entry.indexSizes) && typeof entry.indexSizes === 'object');
+
+/**
+ * Creates the first workspace from the history kept in local storage by
+ * earlier versions
+ * @param {string|null} savedHistory - Value of the former history key
+ * @returns {Workspace} Workspace holding the former history, empty if it is unreadable
+ */
+export const workspaceFromLegacyHistory = (savedHistory) => {
+    let history = [];
+    try {
+        const parsed = JSON.parse(savedHistory);
+        if (Array.isArray(parsed)) history = normalizeHistory(parsed);
+    } catch (e) {
+        console.warn('Failed to parse saved history, starting fresh:', e);
+    }
+    return createWorkspace(DEFAULT_WORKSPACE_NAME, { history });
+};
+
+/**
+ * Serializes a workspace for export. The undo steps are left out, an
+ * imported workspace starts with an empty undo stack.
+ * @param {Workspace} workspace - Workspace to export
+ * @returns {string} JSON content of the file
+ */
+export const serializeWorkspace = (workspace) => JSON.stringify({
+    format: WORKSPACE_FILE_FORMAT,
+    version: WORKSPACE_FILE_VERSION,
+    workspace: { ...workspace, undoStack: undefined }
+}, null, 2);
+
+/**
+ * Reads an exported workspace. The workspace gets a new id so that an
+ * import never overwrites an existing workspace, and a new name if the
+ * name is taken.
+ * @param {string} text - JSON content of the file
+ * @param {string[]} [takenNames] - Names of the existing workspaces
+ * @returns {Workspace} The imported workspace
+ * @throws {Error} If the file is no valid workspace
+ */
+export const parseWorkspaceFile = (text, takenNames = []) => {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`The file is not valid JSON: ${e.message}`);
+    }
+    if (file?.format !== WORKSPACE_FILE_FORMAT) {
+        throw new Error('The file is no exported workspace');
+    }
+    if (file.version > WORKSPACE_FILE_VERSION) {
+        throw new Error(`Workspace files of version ${file.version} are not supported`);
+    }
+    if (!isValidWorkspace(file.workspace)) {
+        throw new Error('The workspace in the file is incomplete');
+    }
+
+    const { workspace } = file;
+    let name = workspace.name.trim();
+    for (let i = 2; takenNames.includes(name); i++) {
+        name = `${workspace.name.trim()} (${i})`;
+    }
+    return createWorkspace(name, {
+        notes: typeof workspace.notes === 'string' ? workspace.notes : '',
+        dataType: workspace.dataType === '8' ? '8' : '4',
+        history: normalizeHistory(workspace.history)
+    });
+};
+
+let databasePromise = null;
+
+/**
+ * Opens the workspace database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} The database
+ */
+const openDatabase = () => {
+    if (databasePromise) return databasePromise;
+    databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(WORKSPACE_DB_NAME, WORKSPACE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(WORKSPACE_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+        databasePromise = null;
+    });
+    return databasePromise;
+};
+
+/**
+ * Runs a request on the workspace store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Receives the store and returns the request
+ * @returns {Promise<*>} Result of the request once the transaction completed
+ */
+const runRequest = (mode, createRequest) => openDatabase().then(database =>
+    new Promise((resolve, reject) => {
+        const transaction = database.transaction(WORKSPACE_STORE, mode);
+        const request = createRequest(transaction.objectStore(WORKSPACE_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+
+/**
+ * Loads all workspaces
+ * @returns {Promise<Workspace[]>} The workspaces
+ */
+export const loadWorkspaces = () => runRequest('readonly', store => store.getAll());
+
+/**
+ * Stores a workspace, replacing the workspace with the same id
+ * @param {Workspace} workspace - Workspace to store
+ * @returns {Promise<Workspace>} The stored workspace
+ */
+export const saveWorkspace = (workspace) =>
+    runRequest('readwrite', store => store.put(workspace)).then(() => workspace);
+
+/**
+ * Deletes a workspace
+ * @param {string} id - Id of the workspace
+ * @returns {Promise<void>}
+ */
+export const deleteWorkspace = (id) => runRequest('readwrite', store => store.delete(id)).then(() => undefined);
+
+/**
+ * Returns the id of the workspace last used on this machine
+ * @returns {string|null} The id
+ */
+export const loadActiveWorkspaceId = () => localStorage.getItem(ACTIVE_WORKSPACE_STORAGE_KEY);
+
+/**
+ * Remembers the workspace used on this machine
+ * @param {string} id - Id of the workspace
+ */
+export const saveActiveWorkspaceId = (id) => {
+    try {
+        localStorage.setItem(ACTIVE_WORKSPACE_STORAGE_KEY, id);
+    } catch (e) {
+        console.error('Failed to save active workspace to local storage:', e);
+    }
+};
+
+/**
+ * Loads the workspaces and picks the one last used. On first use the
+ * history of earlier versions is moved from local storage into a new
+ * workspace.
+ * @returns {Promise<{workspaces: Workspace[], active: Workspace}>} All
+ * workspaces and the active one
+ */
+export const initializeWorkspaces = () => loadWorkspaces().then(workspaces => {
+    if (workspaces.length > 0) {
+        const activeId = loadActiveWorkspaceId();
+        const active = workspaces.find(workspace => workspace.id === activeId) ||
+            workspaces.reduce((latest, workspace) => workspace.updatedAt > latest.updatedAt ? workspace : latest);
+        return { workspaces, active };
+    }
+
+    const workspace = workspaceFromLegacyHistory(localStorage.getItem(LEGACY_HISTORY_STORAGE_KEY));
+    return saveWorkspace(workspace).then(() => {
+        localStorage.removeItem(LEGACY_HISTORY_STORAGE_KEY);
+        return { workspaces: [workspace], active: workspace };
+    });
+});
+
+/**
+ * Workspace used if IndexedDB is not available, holding the history of
+ * earlier versions without removing it from local storage
+ * @returns {Workspace} The workspace
+ */
+export const fallbackWorkspace = () =>
+    workspaceFromLegacyHistory(localStorage.getItem(LEGACY_HISTORY_STORAGE_KEY));
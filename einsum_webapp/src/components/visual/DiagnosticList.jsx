@@ -0,0 +1,53 @@
+import React from 'react';
+import { DiagnosticSeverity } from '../utils/dimensionClassifier.jsx';
+
+/**
+ * Lists classification diagnostics with their explanation and suggested fix,
+ * errors in red and warnings in amber
+ * @param {Object} props
+ * @param {Array} props.diagnostics - Diagnostics to display
+ * @param {boolean} props.showNode - Whether to show the contraction of each diagnostic
+ * @param {Function} props.onSelect - Optional handler called with a diagnostic when it is clicked
+ */
+const DiagnosticList = ({ diagnostics, showNode = false, onSelect }) => {
+  const formatIndices = (indices) => `[${(indices || []).join(',')}]`;
+
+  return (
+    <ul className="w-full space-y-2">
+      {diagnostics.map((diagnostic, i) => {
+        const isWarning = diagnostic.severity === DiagnosticSeverity.Warning;
+        return (
+          <li
+            key={`${diagnostic.nodeId ?? 'node'}-${diagnostic.code}-${i}`}
+            className={`p-2 border rounded-md text-left ${isWarning ? 'border-amber-200 bg-amber-50' : 'border-red-200 bg-red-50'} ${onSelect ? `cursor-pointer ${isWarning ? 'hover:bg-amber-100' : 'hover:bg-red-100'}` : ''}`}
+            onClick={onSelect ? () => onSelect(diagnostic) : undefined}
+          >
+            {showNode && (
+              <div className="font-medium text-gray-800">
+                {[diagnostic.left, diagnostic.right, ...(diagnostic.extra || [])].map(formatIndices).join(', ')} → {formatIndices(diagnostic.node)}
+              </div>
+            )}
+            <div className={`text-sm ${isWarning ? 'text-amber-700' : 'text-red-700'}`}>
+              <span className="font-mono text-xs mr-1">{diagnostic.code}</span>
+              {diagnostic.message}
+            </div>
+            {(diagnostic.index || diagnostic.operand) && (
+              <div className="text-sm text-gray-600">
+                {diagnostic.index && <>Index <span className="font-medium">{diagnostic.index}</span></>}
+                {diagnostic.index && diagnostic.operand && ' in '}
+                {diagnostic.operand && <>{diagnostic.operand}</>}
+              </div>
+            )}
+            {diagnostic.suggestion && (
+              <div className="text-sm text-gray-800">
+                <span className="font-medium">Fix:&nbsp;</span>{diagnostic.suggestion}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default DiagnosticList;
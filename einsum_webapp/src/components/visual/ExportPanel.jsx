@@ -0,0 +1,113 @@
+import React from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { Toast } from '../common/Toast.jsx';
+import { ExportFormatType } from '../utils/constants.jsx';
+import { numpyScript, torchModule, jaxModule, cProgram } from '../utils/codeExport.jsx';
+
+/**
+ * Generator and file name of every export format
+ */
+const EXPORT_FORMATS = {
+  [ExportFormatType.NumPy]: {
+    label: 'NumPy script',
+    fileName: 'einsum_tree.py',
+    generate: numpyScript
+  },
+  [ExportFormatType.PyTorch]: {
+    label: 'PyTorch module',
+    fileName: 'einsum_tree_torch.py',
+    generate: torchModule
+  },
+  [ExportFormatType.JAX]: {
+    label: 'JAX module',
+    fileName: 'einsum_tree_jax.py',
+    generate: jaxModule
+  },
+  [ExportFormatType.C]: {
+    label: 'C loop nests',
+    fileName: 'einsum_tree.c',
+    generate: cProgram
+  }
+};
+
+/**
+ * Exports the tree as code in one of the supported formats
+ * @param {Object} props
+ * @param {Object} props.root - Root node of the tree
+ * @param {Object} props.indexSizes - Index sizes mapping
+ * @param {number} props.dataTypeSize - Size of data type in bytes
+ * @param {string[]|null} props.order - IDs of the inner nodes in execution order
+ * @param {string} props.format - Selected export format
+ * @param {Function} props.onFormatChange - Called with the newly selected format
+ */
+const ExportPanel = ({ root, indexSizes, dataTypeSize, order, format, onFormatChange }) => {
+  const generate = () => {
+    if (!root) {
+      Toast.show('No tree to export');
+      return null;
+    }
+    try {
+      return EXPORT_FORMATS[format].generate(root, indexSizes, dataTypeSize, order);
+    } catch (error) {
+      Toast.show(`Export failed: ${error.message}`);
+      return null;
+    }
+  };
+
+  const handleCopy = () => {
+    const code = generate();
+    if (code === null) return;
+
+    navigator.clipboard.writeText(code)
+      .then(() => Toast.show(`${EXPORT_FORMATS[format].label} copied to clipboard!`))
+      .catch(err => {
+        console.error('Failed to copy export:', err);
+        Toast.show('Failed to copy export to clipboard');
+      });
+  };
+
+  const handleDownload = () => {
+    const code = generate();
+    if (code === null) return;
+
+    const url = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = EXPORT_FORMATS[format].fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <CollapsiblePanel title="Export">
+      <div className="flex items-center gap-2">
+        <select
+          value={format}
+          onChange={(e) => onFormatChange(e.target.value)}
+          className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleCopy}
+          className="px-5 py-2 bg-[#282c34] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+        >
+          Copy
+        </button>
+        <button
+          onClick={handleDownload}
+          className="px-5 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+        >
+          Download
+        </button>
+      </div>
+      <div className="text-sm text-gray-500 mt-2">
+        Contractions follow the selected evaluation schedule.
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default ExportPanel;
@@ -31,10 +31,12 @@ import {
 /**
  * Utility Imports
  */
-import { LayoutOptionType } from '../utils/constants.jsx';
+import { LayoutOptionType, ClassifierType, SpecialIndexType } from '../utils/constants.jsx';
 import { createShareableUrl } from '../utils/compression.jsx';
 import { scaleLinear } from 'd3-scale';
-import { formatNumber } from '../utils/formatting.jsx';
+import { formatNumber, tailIndices } from '../utils/formatting.jsx';
+import { getChildren } from '../utils/einsumContractionTree.jsx';
+import { calculateRotationDelta } from '../utils/metricCalculation.jsx';
 
 /* ====================== Utility Functions ====================== */
 
@@ -50,6 +52,84 @@ const getColorForPercentage = (percentage) => {
   return colorScale(percentage);
 };
 
+/**
+ * Short tags and descriptions of the special indices shown on a node
+ */
+const SPECIAL_INDEX_LABELS = {
+  [SpecialIndexType.Diagonal]: { tag: 'diag', description: 'diagonal' },
+  [SpecialIndexType.Trace]: { tag: 'tr', description: 'trace' },
+  [SpecialIndexType.Reduction]: { tag: 'Σ', description: 'summed' },
+  [SpecialIndexType.Broadcast]: { tag: 'bc', description: 'broadcast' }
+};
+
+/**
+ * Describes the special indices of a node for its tag and tooltip
+ * @param {Object[]} specialIndices - Special indices of the node
+ * @returns {{tag: string, title: string}|null} Tag text and tooltip, or null
+ * if the node has no special indices
+ */
+const describeSpecialIndices = (specialIndices) => {
+  if (!specialIndices?.length) return null;
+  const tags = [...new Set(specialIndices.map(({ type }) => SPECIAL_INDEX_LABELS[type].tag))];
+  const lines = specialIndices.map(({ type, index, operand }) =>
+    `${index}: ${SPECIAL_INDEX_LABELS[type].description} (${operand})`);
+  return { tag: tags.join(' '), title: lines.join('\n') };
+};
+
+/**
+ * Maximum distance in flow coordinates between a dropped node and an edge
+ * for the drop to count as a drop onto that edge
+ */
+const EDGE_DROP_DISTANCE = 24;
+
+/**
+ * Returns the rectangle of a rendered node, falling back to a default size
+ * before ReactFlow has measured it
+ * @param {Object} node - ReactFlow node
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle
+ */
+const nodeRect = (node) => ({
+  x: node.position.x,
+  y: node.position.y,
+  width: node.width ?? 100,
+  height: node.height ?? 40
+});
+
+/**
+ * Calculates the distance between a point and a line segment
+ * @param {{x: number, y: number}} point - The point
+ * @param {{x: number, y: number}} start - Start of the segment
+ * @param {{x: number, y: number}} end - End of the segment
+ * @returns {number} Euclidean distance
+ */
+const distanceToSegment = (point, start, end) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+};
+
+/**
+ * Calculates the distance between a point and a smoothstep edge, which runs
+ * down from the parent, across at half height and down into the child
+ * @param {{x: number, y: number}} point - The point
+ * @param {Object} source - Parent node
+ * @param {Object} target - Child node
+ * @returns {number} Euclidean distance
+ */
+const distanceToEdge = (point, source, target) => {
+  const from = nodeRect(source);
+  const to = nodeRect(target);
+  const start = { x: from.x + from.width / 2, y: from.y + from.height };
+  const end = { x: to.x + to.width / 2, y: to.y };
+  const middle = (start.y + end.y) / 2;
+  const bends = [start, { x: start.x, y: middle }, { x: end.x, y: middle }, end];
+  return Math.min(...bends.slice(1).map((bend, i) => distanceToSegment(point, bends[i], bend)));
+};
+
 /* ====================== Node Component ====================== */
 
 /**
@@ -58,11 +138,11 @@ const getColorForPercentage = (percentage) => {
 const NODE_TYPES = {
   custom: React.memo(({ data }) => {
     const displayData = useMemo(() => {
-      const fullLabel = Array.isArray(data.label) ? data.label.join(',') : data.label;
+      const indices = Array.isArray(data.label) ? data.label : data.label.split(',');
+      const fullLabel = indices.join(',');
       const maxLength = 14;
-      const displayLabel = fullLabel.length <= maxLength ?
-        fullLabel :
-        '...' + fullLabel.slice(-(maxLength - 2));
+      const tail = tailIndices(indices, maxLength);
+      const displayLabel = tail.truncated ? '...' + tail.indices.join(',') : fullLabel;
 
       const minWidth = 80;
       const maxWidth = 130;
@@ -77,11 +157,12 @@ const NODE_TYPES = {
         }
       }
 
-      return { displayLabel, nodeWidth, percentage };
-    }, [data.label, data.showOperations, data.operationsPercentage, data.sizePercentage, data.metricType]);
+      return { fullLabel, displayLabel, nodeWidth, percentage, special: describeSpecialIndices(data.specialIndices) };
+    }, [data.label, data.showOperations, data.operationsPercentage, data.sizePercentage, data.metricType, data.specialIndices]);
 
     const isHighlighted = data.isHighlighted;
     const isSearchResult = data.isSearchResult;
+    const isPeakMemory = data.isPeakMemory;
 
     const getNodeStyle = () => {
       if (data.isFaulty) {
@@ -99,10 +180,15 @@ const NODE_TYPES = {
           background: '#e3f2fd',
           border: `1px solid #2196f3`
         };
+      } else if (isPeakMemory) {
+        return {
+          background: '#f3e5f5',
+          border: `2px solid #8e24aa`
+        };
       }
       return {
         background: '#fff',
-        border: '1px solid #777'
+        border: displayData.special ? '1px dashed #00695c' : '1px solid #777'
       };
     };
 
@@ -111,10 +197,10 @@ const NODE_TYPES = {
     return (
       <div style={{
         ...nodeStyle,
-        opacity: (isHighlighted || isSearchResult) ? 1 : 0.7,
+        opacity: (isHighlighted || isSearchResult || isPeakMemory) ? 1 : 0.7,
         borderRadius: '8px',
         width: `${displayData.nodeWidth}px`,
-        height: displayData.percentage ? '60px' : '40px',
+        height: `${40 + (displayData.percentage ? 20 : 0) + (data.tensorName ? 16 : 0)}px`,
         display: 'flex',
         flexDirection: 'column',
         justifyContent: 'center',
@@ -122,15 +208,80 @@ const NODE_TYPES = {
         fontSize: '14px',
         cursor: 'pointer',
         padding: '0 10px',
+        position: 'relative',
         transition: 'all 0.2s ease-in-out'
       }}>
-        <div style={{
-          overflow: 'hidden',
-          whiteSpace: 'nowrap',
-          textOverflow: 'ellipsis',
-          width: '100%',
-          textAlign: 'center'
-        }}>
+        {data.executionStep !== null && data.executionStep !== undefined && (
+          <div
+            title="Execution step"
+            style={{
+              position: 'absolute',
+              top: '-10px',
+              left: '-10px',
+              minWidth: '20px',
+              height: '20px',
+              padding: '0 4px',
+              borderRadius: '10px',
+              background: '#1e3a5f',
+              color: '#fff',
+              fontSize: '11px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center'
+            }}
+          >
+            {data.executionStep}
+          </div>
+        )}
+        {displayData.special && (
+          <div
+            title={displayData.special.title}
+            style={{
+              position: 'absolute',
+              top: '-10px',
+              right: '-10px',
+              height: '18px',
+              padding: '0 5px',
+              borderRadius: '9px',
+              background: '#e0f2f1',
+              border: '1px solid #00695c',
+              color: '#00695c',
+              fontSize: '10px',
+              display: 'flex',
+              alignItems: 'center',
+              whiteSpace: 'nowrap'
+            }}
+          >
+            {displayData.special.tag}
+          </div>
+        )}
+        {data.tensorName && (
+          <div
+            title={data.tensorName}
+            style={{
+              overflow: 'hidden',
+              whiteSpace: 'nowrap',
+              textOverflow: 'ellipsis',
+              width: '100%',
+              textAlign: 'center',
+              fontSize: '12px',
+              fontWeight: 600,
+              color: '#1e3a5f'
+            }}
+          >
+            {data.tensorName}
+          </div>
+        )}
+        <div
+          title={displayData.fullLabel}
+          style={{
+            overflow: 'hidden',
+            whiteSpace: 'nowrap',
+            textOverflow: 'ellipsis',
+            width: '100%',
+            textAlign: 'center'
+          }}
+        >
           {displayData.displayLabel}
         </div>
         {displayData.percentage && (
@@ -169,11 +320,20 @@ const NODE_TYPES = {
  * @property {Function} onNodeClick - External node click handler
  * @property {Object} tree - Tree data structure with getRoot method
  * @property {Object} indexSizes - Map of index sizes
+ * @property {number} dataTypeSize - Size of the data type in bytes
+ * @property {string[]|null} peakNodeIds - IDs of the tensors resident at the memory peak
+ * @property {Object<string, number>|null} executionSteps - Execution step per node ID
+ * @property {Object<string, string>|null} tensorNames - Tensor name per node ID
+ * @property {string} classifierType - Dimension classification algorithm
+ * @property {Function} onToggleClassifier - Switches the dimension classification algorithm
  * @property {Function} handleOptionClick - Layout option change handler
  * @property {Function} swapChildren - Function to swap node children
  * @property {Function} recalculateTreeAndOperations - Function to recalculate treeoperations
  * @property {Function} addPermutationNode - Function to add permutation node
  * @property {Function} removePermutationNode - Function to remove permutation node
+ * @property {Function} binarizeNode - Function to split an n-ary node into binary contractions
+ * @property {Function} rotateNode - Function to re-associate a contraction with one of its operands
+ * @property {Function} moveSubtree - Function to re-attach a subtree at another node
  */
 
 /* ====================== Flow Component ====================== */
@@ -191,11 +351,20 @@ const Flow = ({
   onNodeClick: propOnNodeClick,
   tree = { getRoot: () => null },
   indexSizes = {},
+  dataTypeSize = 4,
+  peakNodeIds = null,
+  executionSteps = null,
+  tensorNames = null,
+  classifierType = ClassifierType.Standard,
+  onToggleClassifier = () => { },
   handleOptionClick = () => { },
   swapChildren = () => { },
   recalculateTreeAndOperations,
   addPermutationNode,
-  removePermutationNode
+  removePermutationNode,
+  binarizeNode,
+  rotateNode,
+  moveSubtree
 }) => {
   /* === State Management === */
 
@@ -251,7 +420,8 @@ const Flow = ({
   const refs = {
     flow: useRef(null),
     timeout: useRef(null),
-    panel: useRef(null)
+    panel: useRef(null),
+    drag: useRef(null)
   };
 
 
@@ -272,7 +442,10 @@ const Flow = ({
         metricType: uiState.metricType,
         operationsPercentage: node.data?.operationsPercentage ?? null,
         isHighlighted: searchState.highlightedNodes.has(node.id),
-        isSearchResult: searchState.searchedNodes.has(node.id)
+        isSearchResult: searchState.searchedNodes.has(node.id),
+        isPeakMemory: peakNodeIds?.includes(node.id) ?? false,
+        executionStep: executionSteps?.[node.id] ?? null,
+        tensorName: tensorNames?.[node.id] ?? null
       }
     }));
 
@@ -308,7 +481,7 @@ const Flow = ({
       augmentedNodes: modifiedNodes,
       augmentedEdges: modifiedEdges
     };
-  }, [nodes, edges, uiState.showOperations, searchState.highlightedNodes, searchState.searchedNodes, uiState.metricType]);
+  }, [nodes, edges, uiState.showOperations, searchState.highlightedNodes, searchState.searchedNodes, uiState.metricType, peakNodeIds, executionSteps, tensorNames]);
 
   /* === Tree Operations === */
 
@@ -324,13 +497,15 @@ const Flow = ({
       return {
         value: lookUpNode.value,
         ...{ left: lookUpNode.left },
-        ...{ right: lookUpNode.right }
+        ...{ right: lookUpNode.right },
+        extraChildren: lookUpNode.extraChildren || []
       };
     }
-    const leftSearch = findConnectedNodes(lookUpNode.left, node);
-    if (leftSearch) return leftSearch;
-
-    return findConnectedNodes(lookUpNode.right, node);
+    for (const child of getChildren(lookUpNode)) {
+      const found = findConnectedNodes(child, node);
+      if (found) return found;
+    }
+    return null;
   }, []);
 
   /**
@@ -401,8 +576,10 @@ const Flow = ({
       const nodesWithIndices = new Set();
       nodes.forEach(node => {
         if (node.data.label) {
+          // Compare whole labels so that searching 'head' does not match 'heads'
+          const labels = Array.isArray(node.data.label) ? node.data.label : node.data.label.split(',');
           const containsAllIndices = searchedIndices.every(searchIdx =>
-            node.data.label.includes(searchIdx));
+            labels.includes(searchIdx));
           if (containsAllIndices) {
             nodesWithIndices.add(node.id);
           }
@@ -532,17 +709,15 @@ const Flow = ({
     const hasDisconnectedNodes = (node) => {
       if (!node) return false;
 
-      if (node.left && node.right) {
-        const isNodeHighlighted = searchState.highlightedNodes.has(node.id);
-        const isLeftHighlighted = searchState.highlightedNodes.has(node.left.id);
-        const isRightHighlighted = searchState.highlightedNodes.has(node.right.id);
-
-        if (isNodeHighlighted && isLeftHighlighted !== isRightHighlighted) {
+      const children = getChildren(node);
+      if (children.length > 1 && searchState.highlightedNodes.has(node.id)) {
+        const highlighted = children.filter(child => searchState.highlightedNodes.has(child.id));
+        if (highlighted.length > 0 && highlighted.length < children.length) {
           return true;
         }
       }
 
-      return hasDisconnectedNodes(node.left) || hasDisconnectedNodes(node.right);
+      return children.some(hasDisconnectedNodes);
     };
 
     if (hasDisconnectedNodes(tree.getRoot())) {
@@ -637,6 +812,120 @@ const Flow = ({
     }
   }, [swapChildren, findConnectedNodes]);
 
+  /**
+   * Collects the IDs of a node and all nodes below it
+   * @param {string} nodeId - ID of the subtree root
+   * @returns {Set<string>} IDs of the subtree
+   */
+  const collectSubtreeIds = useCallback((nodeId) => {
+    const ids = new Set([nodeId]);
+    const pending = [nodeId];
+    while (pending.length > 0) {
+      const id = pending.pop();
+      edges.forEach(edge => {
+        if (edge.source === id && !ids.has(edge.target)) {
+          ids.add(edge.target);
+          pending.push(edge.target);
+        }
+      });
+    }
+    return ids;
+  }, [edges]);
+
+  /**
+   * Finds where a dragged subtree was dropped, onto a node or onto the edge
+   * above a node. Nodes of the subtree itself are ignored.
+   * @param {Object} node - Dragged subtree root at its drop position
+   * @param {Set<string>} subtreeIds - IDs of the dragged subtree
+   * @returns {string|null} ID of the node to attach the subtree to, or null
+   * if it was dropped onto empty space
+   */
+  const findDropTarget = useCallback((node, subtreeIds) => {
+    const rect = nodeRect(node);
+    const center = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    const others = nodes.filter(other => !subtreeIds.has(other.id));
+
+    const hit = others.find(other => {
+      const { x, y, width, height } = nodeRect(other);
+      return center.x >= x && center.x <= x + width && center.y >= y && center.y <= y + height;
+    });
+    if (hit) return hit.id;
+
+    let nearest = null;
+    edges.forEach(edge => {
+      const source = others.find(other => other.id === edge.source);
+      const target = others.find(other => other.id === edge.target);
+      if (!source || !target) return;
+      const distance = distanceToEdge(center, source, target);
+      if (distance <= EDGE_DROP_DISTANCE && (!nearest || distance < nearest.distance)) {
+        nearest = { id: target.id, distance };
+      }
+    });
+    return nearest?.id ?? null;
+  }, [nodes, edges]);
+
+  /**
+   * Remembers the dragged subtree and its start positions
+   * @param {Event} event - Drag event
+   * @param {Object} node - Dragged node
+   */
+  const handleNodeDragStart = useCallback((event, node) => {
+    const ids = collectSubtreeIds(node.id);
+    refs.drag.current = {
+      ids,
+      positions: Object.fromEntries(nodes.filter(other => ids.has(other.id)).map(other => [other.id, other.position]))
+    };
+  }, [collectSubtreeIds, nodes, refs.drag]);
+
+  /**
+   * Moves the nodes below the dragged node along with it
+   * @param {Event} event - Drag event
+   * @param {Object} node - Dragged node
+   */
+  const handleNodeDrag = useCallback((event, node) => {
+    const drag = refs.drag.current;
+    if (!drag?.positions[node.id]) return;
+    const dx = node.position.x - drag.positions[node.id].x;
+    const dy = node.position.y - drag.positions[node.id].y;
+    onNodesChange([...drag.ids].filter(id => id !== node.id && drag.positions[id]).map(id => ({
+      id,
+      type: 'position',
+      position: { x: drag.positions[id].x + dx, y: drag.positions[id].y + dy }
+    })));
+  }, [onNodesChange, refs.drag]);
+
+  /**
+   * Re-attaches the dragged subtree if it was dropped onto a node or edge.
+   * A refused move puts the subtree back where the drag started.
+   * @param {Event} event - Drag event
+   * @param {Object} node - Dragged node
+   */
+  const handleNodeDragStop = useCallback(async (event, node) => {
+    const drag = refs.drag.current;
+    refs.drag.current = null;
+    if (!drag || !moveSubtree) return;
+
+    const targetId = findDropTarget(node, drag.ids);
+    if (!targetId) return;
+
+    const updatedTree = await moveSubtree(node.id, targetId);
+    if (!updatedTree) {
+      onNodesChange(Object.entries(drag.positions).map(([id, position]) => ({ id, type: 'position', position })));
+    }
+  }, [findDropTarget, moveSubtree, onNodesChange, refs.drag]);
+
+  /**
+   * Previews the change of the total operations when rotating at a node
+   * @param {Object} node - Node to rotate at
+   * @param {string} direction - One of RotationDirectionType
+   * @returns {Object|null} Operations before and after, null if the node
+   * cannot be rotated
+   */
+  const previewRotation = useCallback((node, direction) => {
+    if (!node || !tree.getRoot()) return null;
+    return calculateRotationDelta(tree, node.id, direction, indexSizes, dataTypeSize, classifierType);
+  }, [tree, indexSizes, dataTypeSize, classifierType]);
+
   /**
    * Handle panel close more carefully, preserving state
    */
@@ -728,6 +1017,9 @@ const Flow = ({
         onNodeClick={handleNodeClick}
         onNodeMouseEnter={handleNodeMouseEnter}
         onNodeMouseLeave={handleNodeMouseLeave}
+        onNodeDragStart={handleNodeDragStart}
+        onNodeDrag={handleNodeDrag}
+        onNodeDragStop={handleNodeDragStop}
         nodesDraggable={true}
         proOptions={{ hideAttribution: true }}
       >
@@ -799,12 +1091,19 @@ const Flow = ({
                 onClose={handlePanelClose}
                 initialPosition={{ x: 12, y: 8 }}
                 indexSizes={indexSizes}
+                dataTypeSize={dataTypeSize}
+                tensorNames={tensorNames}
                 showSizes={uiState.showSizes}
                 onToggleSizes={handleToggleSizes}
+                classifierType={classifierType}
+                onToggleClassifier={onToggleClassifier}
                 swapChildren={handleSwapChildren}
                 recalculateTreeAndOperations={recalculateTreeAndOperations}
                 addPermutationNode={addPermutationNode}
                 removePermutationNode={removePermutationNode}
+                binarizeNode={binarizeNode}
+                rotateNode={rotateNode}
+                previewRotation={previewRotation}
                 isDraggablePanel={true}
               />
             </div>
@@ -840,7 +1139,7 @@ const Flow = ({
               type="text"
               value={searchState.searchIndices}
               onChange={(e) => handleSearch(e.target.value)}
-              placeholder="Search indices (e.g. 1,2,3)"
+              placeholder="Search indices (e.g. batch,head)"
               className="p-1 border border-gray-300 rounded text-sm w-48"
             />
             {searchState.searchIndices && (
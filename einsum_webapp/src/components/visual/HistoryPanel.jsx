@@ -1,6 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { TbPin, TbPinnedFilled, TbPencil } from 'react-icons/tb';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "../ui/tooltip.jsx";
 import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { listHistory } from '../utils/historyTree.jsx';
+import { HistorySortType } from '../utils/constants.jsx';
 
 /**
  * Maximum length for displayed expressions before truncation
@@ -19,20 +22,80 @@ const truncateExpression = (expression, maxLength = 200) => {
 };
 
 /**
- * HistoryPanel component displays a collapsible list of historical expressions
- * with truncation and tooltip support
+ * Indentation of a variant below the tree it was derived from in pixels
+ */
+const INDENT = 16;
+
+/**
+ * Form to name an entry and take notes on it, showing the full expression
  * @param {Object} props - Component props
- * @param {Array} props.history - Array of historical expressions
+ * @param {Object} props.entry - The history entry
+ * @param {Function} props.onSave - Receives the new name and notes
+ * @param {Function} props.onCancel - Closes the form without saving
+ */
+const HistoryEntryEditor = ({ entry, onSave, onCancel }) => {
+  const [name, setName] = useState(entry.name || '');
+  const [notes, setNotes] = useState(entry.notes || '');
+
+  return (
+    <div className="p-2 mb-1 border border-gray-200 rounded space-y-2">
+      <div className="text-sm text-gray-600 break-all">{entry.expression}</div>
+      <input
+        type="text"
+        placeholder="Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className="w-full p-1 border border-gray-300 rounded-md"
+      />
+      <textarea
+        placeholder="Notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        rows={3}
+        className="w-full p-1 border border-gray-300 rounded-md"
+      />
+      <div className="flex gap-2 justify-end">
+        <button onClick={onCancel} className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md">
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave({ name: name.trim() || null, notes: notes.trim() || null })}
+          className="px-3 py-1 text-sm bg-[#1e3a5f] text-white rounded-md"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * HistoryPanel component displays the history as a tree of variants, every
+ * tree below the tree it was derived from, with its operations and peak
+ * memory. Entries can be named, annotated, pinned, filtered and sorted by
+ * their metrics.
+ * @param {Object} props - Component props
+ * @param {Array} props.history - History entries, oldest first
+ * @param {string|null} props.currentExpression - Expression of the shown tree
  * @param {Function} props.onSelectTree - Callback function when an expression is selected
- * @param {Function} props.onClear - Callback function to clear the history
+ * @param {Function} props.onUpdateEntry - Receives the expression of an entry and the changed properties
+ * @param {Function} props.onClear - Callback function to clear the unpinned history
+ * @param {Function} props.formatOperations - Formats operation counts
+ * @param {Function} props.formatSize - Formats sizes in bytes
  * @returns {React.Component} HistoryPanel component
  */
-const HistoryPanel = ({ history, onSelectTree, onClear }) => {
+const HistoryPanel = ({ history, currentExpression, onSelectTree, onUpdateEntry, onClear, formatOperations, formatSize }) => {
+  const [query, setQuery] = useState('');
+  const [sortType, setSortType] = useState(HistorySortType.Tree);
+  const [editedId, setEditedId] = useState(null);
+  const rows = listHistory(history, query, sortType);
+  const iconClassName = "p-1 rounded text-gray-500 hover:text-[#1e3a5f] hover:bg-gray-200";
+
   return (
     <CollapsiblePanel
       title="History"
       headerContent={
-        history.length > 0 && (
+        history.some(entry => !entry.pinned) && (
           <div
             onClick={(e) => {
               e.stopPropagation();
@@ -53,26 +116,108 @@ const HistoryPanel = ({ history, onSelectTree, onClear }) => {
         )
       }
     >
-      <ul className="space-y-2">
-        {history.map((item, index) => (
-          <TooltipProvider key={index}>
-            <Tooltip>
-              <TooltipTrigger asChild>
-                <li
-                  className="cursor-pointer hover:bg-gray-100 p-2 rounded truncate"
-                  onClick={() => onSelectTree(item)}
-                >
-                  {truncateExpression(item.expression, maxLength)}
-                </li>
-              </TooltipTrigger>
-              {item.expression.length > maxLength && (
-                <TooltipContent>
-                  <p className="max-w-xs break-words">{item.expression}</p>
-                </TooltipContent>
-              )}
-            </Tooltip>
-          </TooltipProvider>
-        ))}
+      {history.length > 0 && (
+        <div className="flex gap-2 mb-2">
+          <input
+            type="search"
+            placeholder="Filter, e.g. name index:k ops<1e6 peak<=4096"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            title="Terms match the name, notes and expression, index:k requires index k, ops and peak compare the total operations and the peak memory in bytes"
+            className="flex-grow min-w-0 p-1 border border-gray-300 rounded-md"
+          />
+          <select
+            value={sortType}
+            onChange={(e) => setSortType(e.target.value)}
+            title="Order of the entries"
+            className="p-1 border border-gray-300 rounded-md"
+          >
+            <option value={HistorySortType.Tree}>Variant Tree</option>
+            <option value={HistorySortType.Operations}>Operations</option>
+            <option value={HistorySortType.PeakMemory}>Peak Memory</option>
+          </select>
+        </div>
+      )}
+      {history.length > 0 && rows.length === 0 && (
+        <div className="text-sm text-gray-500">No entry matches the filter.</div>
+      )}
+      <ul className="space-y-1">
+        {rows.map(({ entry, depth, isPinnedCopy }) => {
+          const isCurrent = entry.expression === currentExpression;
+          if (entry.id === editedId && !isPinnedCopy) {
+            return (
+              <li key={entry.id}>
+                <HistoryEntryEditor
+                  entry={entry}
+                  onSave={(changes) => {
+                    onUpdateEntry(entry.expression, changes);
+                    setEditedId(null);
+                  }}
+                  onCancel={() => setEditedId(null)}
+                />
+              </li>
+            );
+          }
+          return (
+            <TooltipProvider key={isPinnedCopy ? `pinned-${entry.id}` : entry.id}>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <li
+                    className={`flex items-start gap-1 cursor-pointer p-2 rounded ${isCurrent ? 'bg-blue-50' : 'hover:bg-gray-100'}`}
+                    style={{ marginLeft: depth * INDENT, borderLeft: depth > 0 ? '2px solid #d1d5db' : undefined }}
+                    onClick={() => onSelectTree(entry)}
+                  >
+                    <div className="flex-grow min-w-0">
+                      {(entry.name || entry.label) && (
+                        <div className={`text-sm ${isCurrent ? 'font-semibold' : 'font-medium'}`}>
+                          {entry.name || entry.label}
+                        </div>
+                      )}
+                      <div className="truncate">{truncateExpression(entry.expression, maxLength)}</div>
+                      {entry.totalOperations != null && (
+                        <div className="text-sm text-gray-600">
+                          {formatOperations(entry.totalOperations)} ops
+                          {entry.peakMemory != null && ` | peak ${formatSize(entry.peakMemory)}`}
+                        </div>
+                      )}
+                      {entry.notes && (
+                        <div className="text-sm text-gray-500 italic truncate">{entry.notes}</div>
+                      )}
+                    </div>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onUpdateEntry(entry.expression, { pinned: !entry.pinned });
+                      }}
+                      title={entry.pinned ? 'Unpin' : 'Pin, pinned entries are listed first and kept when clearing'}
+                      aria-label={entry.pinned ? 'Unpin' : 'Pin'}
+                      className={iconClassName}
+                    >
+                      {entry.pinned ? <TbPinnedFilled /> : <TbPin />}
+                    </button>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEditedId(entry.id);
+                      }}
+                      title="Rename and add notes"
+                      aria-label="Edit"
+                      className={iconClassName}
+                    >
+                      <TbPencil />
+                    </button>
+                  </li>
+                </TooltipTrigger>
+                {(entry.expression.length > maxLength || entry.notes) && (
+                  <TooltipContent>
+                    <p className="max-w-xs break-words">{entry.expression}</p>
+                    {entry.notes && <p className="max-w-xs break-words mt-1 italic">{entry.notes}</p>}
+                  </TooltipContent>
+                )}
+              </Tooltip>
+            </TooltipProvider>
+          );
+        })}
       </ul>
     </CollapsiblePanel>
   );
@@ -13,29 +13,29 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
   };
 
   const sortIndices = (indices) => {
+    const isNumber = (index) => /^\d+$/.test(index);
+
     return indices.sort((a, b) => {
       // First check if both are numbers
-      const numA = parseInt(a, 10);
-      const numB = parseInt(b, 10);
-      if (!isNaN(numA) && !isNaN(numB)) {
-        return numA - numB;
+      if (isNumber(a) && isNumber(b)) {
+        return parseInt(a, 10) - parseInt(b, 10);
       }
 
       // If either is a number, put numbers first
-      if (!isNaN(numA)) return -1;
-      if (!isNaN(numB)) return 1;
+      if (isNumber(a)) return -1;
+      if (isNumber(b)) return 1;
 
-      // Group uppercase and lowercase
-      const isUpperA = /[A-Z]/.test(a);
-      const isUpperB = /[A-Z]/.test(b);
+      // Group uppercase and lowercase by the first character
+      const isUpperA = /^[A-Z]/.test(a);
+      const isUpperB = /^[A-Z]/.test(b);
 
       // If they're in different groups (upper vs lower)
       if (isUpperA !== isUpperB) {
         return isUpperA ? -1 : 1;
       }
 
-      // Within the same group, sort alphabetically
-      return a.localeCompare(b);
+      // Within the same group, sort naturally so that head2 precedes head10
+      return a.localeCompare(b, undefined, { numeric: true });
     });
   };
 
@@ -109,21 +109,37 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
       }
 
       try {
-        const values = bulkInput.split(/[,\s]+/).filter(Boolean);
-
-        if (values.length !== sortedIndices.length) {
-          Toast.show(`Please provide ${sortedIndices.length} values (one for each index)`);
-          return;
-        }
-
+        const values = bulkInput.replace(/\s*=\s*/g, '=').split(/[,\s]+/).filter(Boolean);
         const newSizes = {};
-        sortedIndices.forEach((index, i) => {
-          const numValue = parseInt(values[i], 10);
-          if (isNaN(numValue)) {
-            throw new Error(`Invalid number: ${values[i]}`);
+
+        if (values.some(value => value.includes('='))) {
+          // Named sizes such as batch=8 seq=128 update only the given indices
+          Object.assign(newSizes, indexSizes);
+          values.forEach(value => {
+            const [index, size] = value.split('=');
+            if (!sortedIndices.includes(index)) {
+              throw new Error(`Unknown index: ${index}`);
+            }
+            const numValue = parseInt(size, 10);
+            if (isNaN(numValue)) {
+              throw new Error(`Invalid number: ${size}`);
+            }
+            newSizes[index] = numValue;
+          });
+        } else {
+          if (values.length !== sortedIndices.length) {
+            Toast.show(`Please provide ${sortedIndices.length} values (one for each index)`);
+            return;
           }
-          newSizes[index] = numValue;
-        });
+
+          sortedIndices.forEach((index, i) => {
+            const numValue = parseInt(values[i], 10);
+            if (isNaN(numValue)) {
+              throw new Error(`Invalid number: ${values[i]}`);
+            }
+            newSizes[index] = numValue;
+          });
+        }
 
         setIndexSizes(newSizes);
         setTempIndexSizes(newSizes);
@@ -157,7 +173,7 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
           <div className="grid grid-cols-2 gap-4">
             {sortedIndices.map((index) => (
               <div key={index} className="flex items-center">
-                <label htmlFor={`index-${index}`} className="font-medium mr-2">{index}:</label>
+                <label htmlFor={`index-${index}`} title={index} className="font-medium mr-2 truncate max-w-[8rem]">{index}:</label>
                 <input
                   id={`index-${index}`}
                   type="number"
@@ -176,14 +192,14 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
               <>
                 <div>
                   <label className="block mb-2 text-sm font-medium">
-                    Enter all sizes (comma or space separated):
+                    Enter all sizes (comma or space separated) or named sizes:
                   </label>
                   <input
                     type="text"
                     value={bulkInput}
                     onChange={handleBulkInputChange}
                     onFocus={() => setIsEditing(true)}
-                    placeholder="e.g., 2,3,4 or 2 3 4"
+                    placeholder="e.g., 2,3,4 or 2 3 4 or batch=8 seq=128"
                     className="w-full p-2 border border-gray-300 rounded-md"
                   />
                 </div>
@@ -1,11 +1,53 @@
 import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import SimpleTensorTree from './SimpleTensorTree.jsx';
-import { dimensionTypes } from '../utils/dimensionClassifier.jsx';
-import { TbArrowsExchange, TbArrowsShuffle, TbX } from "react-icons/tb";
+import DiagnosticList from './DiagnosticList.jsx';
+import { Toast } from '../common/Toast.jsx';
+import { classifyDimensions } from '../utils/dimensionClassifier.jsx';
+import { gemmParameters, gemmSnippet, GemmLibrary } from '../utils/gemmMapping.jsx';
+import { ClassifierType, RotationDirectionType } from '../utils/constants.jsx';
+import { formatNumber } from '../utils/formatting.jsx';
+import { TbArrowsExchange, TbArrowsShuffle, TbRotate, TbRotateClockwise, TbX } from "react-icons/tb";
 import useDeviceSize from '../utils/useDeviceSize.jsx';
 
 import { isEqual } from "lodash";
 
+/**
+ * Tooltips of the rotation buttons
+ */
+const ROTATION_TITLES = {
+  [RotationDirectionType.Left]: 'Rotate left: (A,(B,C)) becomes ((A,B),C)',
+  [RotationDirectionType.Right]: 'Rotate right: ((A,B),C) becomes (A,(B,C))'
+};
+
+/**
+ * Formats an operation count without fraction digits
+ * @param {number} operations - Operation count
+ * @returns {string} Formatted count
+ */
+const formatOperations = (operations) =>
+  formatNumber(operations, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+
+/**
+ * Formats the change of the total operations caused by an edit
+ * @param {number|null} delta - Change of the operations, null if unknown
+ * @returns {string} Signed change, e.g. "+1,200 FLOPs"
+ */
+const formatOperationsDelta = (delta) => {
+  if (delta === null) return '? FLOPs';
+  const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+  return `${sign}${formatOperations(Math.abs(delta))} FLOPs`;
+};
+
+/**
+ * Picks the text color of an operation change, savings are green
+ * @param {number|null} delta - Change of the operations, null if unknown
+ * @returns {string} Tailwind text color class
+ */
+const deltaColor = (delta) => {
+  if (delta === null || delta === 0) return 'text-gray-500';
+  return delta < 0 ? 'text-green-600' : 'text-red-600';
+};
+
 /**
  * InfoPanel Component
  * Displays detailed information about tensor contractions and their dimensions
@@ -16,12 +58,19 @@ import { isEqual } from "lodash";
  * @param {Function} props.setConnectedNodes - Function to update connected nodes
  * @param {Function} props.onClose - Function to handle panel closure
  * @param {Object} props.indexSizes - Sizes of different indices
+ * @param {number} props.dataTypeSize - Size of the data type in bytes
+ * @param {Object<string, string>|null} props.tensorNames - Tensor name per node ID
  * @param {boolean} props.showSizes - Toggle between showing indices or sizes
  * @param {Function} props.onToggleSizes - Function to toggle size display
+ * @param {string} props.classifierType - Dimension classification algorithm
+ * @param {Function} props.onToggleClassifier - Function to switch the classification algorithm
  * @param {Function} props.swapChildren - Function to swap left and right children
  * @param {Function} props.recalculateTreeAndOperations - Function to recalculate tree layout
  * @param {Function} props.addPermutationNode - Function to add permutation node
  * @param {Function} props.removePermutationNode - Function to remove permutation node
+ * @param {Function} props.binarizeNode - Function to split an n-ary node into binary contractions
+ * @param {Function} props.rotateNode - Function to re-associate a contraction with one of its operands
+ * @param {Function} props.previewRotation - Function returning the operations before and after a rotation
  * @param {boolean} props.isDraggablePanel - Whether the panel should be draggable
  * @param {Function} props.onMouseEnter - Mouse enter handler
  * @param {Function} props.onMouseLeave - Mouse leave handler
@@ -32,12 +81,19 @@ const InfoPanel = ({
   setConnectedNodes,
   onClose,
   indexSizes,
+  dataTypeSize = 4,
+  tensorNames = null,
   showSizes,
   onToggleSizes,
+  classifierType = ClassifierType.Standard,
+  onToggleClassifier,
   swapChildren,
   recalculateTreeAndOperations,
   addPermutationNode,
   removePermutationNode,
+  binarizeNode,
+  rotateNode,
+  previewRotation,
   className = "",
   isDraggablePanel = false,
   onMouseEnter,
@@ -64,10 +120,16 @@ const InfoPanel = ({
     }
   }, [node]);
 
-  const dimTypes = useMemo(() => {
-    if (connectedNodes.right)
-      return dimensionTypes(connectedNodes.value, connectedNodes.left?.value, connectedNodes.right?.value);
-  }, [connectedNodes.value, connectedNodes.left?.value, connectedNodes.right]);
+  const isSimplified = classifierType === ClassifierType.Simplified;
+  const isNary = connectedNodes.extraChildren?.length > 0;
+  const [binarizeOrder, setBinarizeOrder] = useState('');
+
+  // N-ary nodes are fused kernels without dimension types or a GEMM mapping
+  const { dimTypes, diagnostics, special } = useMemo(() => {
+    if (connectedNodes.right && !isNary)
+      return classifyDimensions(connectedNodes.value, connectedNodes.left?.value, connectedNodes.right?.value, classifierType);
+    return { dimTypes: undefined, diagnostics: [], special: null };
+  }, [connectedNodes.value, connectedNodes.left?.value, connectedNodes.right, classifierType, isNary]);
 
   const isEmptyDimTypes = useMemo(() => {
     if (dimTypes) {
@@ -78,6 +140,36 @@ const InfoPanel = ({
     return true;
   }, [dimTypes]);
 
+  const gemm = useMemo(() => {
+    if (!connectedNodes.right || isNary) return null;
+    if (special?.indices.length > 0) {
+      return {
+        mappable: false,
+        reason: `The indices ${special.indices.map(({ index }) => index).join(', ')} need a diagonal, trace, reduction or broadcast besides the GEMM.`
+      };
+    }
+    return gemmParameters(connectedNodes.value, connectedNodes.left?.value, connectedNodes.right?.value, dimTypes, indexSizes);
+  }, [connectedNodes.value, connectedNodes.left?.value, connectedNodes.right, dimTypes, special, indexSizes, isNary]);
+
+  /**
+   * Copies the GEMM call of the current contraction to the clipboard
+   * @param {string} library - One of GemmLibrary
+   */
+  const handleCopyGemm = (library) => {
+    const snippet = gemmSnippet(gemm, library, dataTypeSize, {
+      node: connectedNodes.value,
+      left: connectedNodes.left.value,
+      right: connectedNodes.right.value
+    });
+
+    navigator.clipboard.writeText(snippet)
+      .then(() => Toast.show(`${library} call copied to clipboard!`))
+      .catch(err => {
+        console.error('Failed to copy GEMM call:', err);
+        Toast.show('Failed to copy GEMM call to clipboard');
+      });
+  };
+
   /**
    * Calculates the size of a dimension based on its indices
    * @param {Array} indices - Array of index identifiers
@@ -193,6 +285,46 @@ const InfoPanel = ({
     onClose(); // Close panel after removing
   }, [removePermutationNode, node, onClose]);
 
+  /**
+   * Splits the n-ary node into binary contractions in the entered order of
+   * its operands, numbered from 1
+   * @param {Event} e - Click event
+   */
+  const handleBinarize = useCallback(async (e) => {
+    e.stopPropagation();
+    const operandCount = connectedNodes.extraChildren.length + 2;
+    const order = binarizeOrder.trim()
+      ? binarizeOrder.split(/[,\s]+/).filter(Boolean).map(position => parseInt(position, 10) - 1)
+      : [...Array(operandCount).keys()];
+
+    const isPermutation = order.length === operandCount && new Set(order).size === operandCount &&
+      order.every(position => position >= 0 && position < operandCount);
+    if (!isPermutation) {
+      Toast.show(`Enter each operand number from 1 to ${operandCount} once`);
+      return;
+    }
+
+    await binarizeNode(node, order);
+    onClose();
+  }, [binarizeNode, binarizeOrder, connectedNodes.extraChildren, node, onClose]);
+
+  // Total operations before and after rotating, null if the node cannot be rotated
+  const rotations = useMemo(() => Object.fromEntries(
+    Object.values(RotationDirectionType).map(direction =>
+      [direction, previewRotation ? previewRotation(node, direction) : null])
+  ), [previewRotation, node]);
+
+  /**
+   * Re-associates the node with one of its operands
+   * @param {Event} e - Click event
+   * @param {string} direction - One of RotationDirectionType
+   */
+  const handleRotate = useCallback(async (e, direction) => {
+    e.stopPropagation();
+    await rotateNode(node, direction);
+    onClose();
+  }, [rotateNode, node, onClose]);
+
   /**
    * Handles changes in indices for nodes
    * @param {string} nodeId - ID of the node being modified
@@ -223,6 +355,19 @@ const InfoPanel = ({
     }
   }, [connectedNodes, setConnectedNodes, recalculateTreeAndOperations, node.id]);
 
+  /**
+   * Names of the node and its operands, tensors without a name show their indices
+   */
+  const operandNames = useMemo(() => {
+    if (!tensorNames) return null;
+    const nameOf = (id, value) => tensorNames[id] ?? `[${value.join(',')}]`;
+    const operands = [connectedNodes.left, connectedNodes.right, ...(connectedNodes.extraChildren || [])].filter(Boolean);
+    return {
+      node: nameOf(node.id, connectedNodes.value),
+      operands: operands.map(operand => nameOf(operand.id, operand.value))
+    };
+  }, [tensorNames, node.id, connectedNodes]);
+
   // Dynamic panel style for draggable panels
   const panelDragStyle = isDraggablePanel ? {
     transform: `translate(${position.x}px, ${position.y}px)`,
@@ -255,6 +400,24 @@ const InfoPanel = ({
         <h3 className="text-xl font-semibold text-gray-800">Contraction Info</h3>
 
         <div className="flex items-center gap-3">
+          <div className="flex items-center gap-2" title="Dimension classification">
+            <span className="text-xs text-gray-500 font-medium">
+              {isSimplified ? "Simplified" : "Standard"}
+            </span>
+            <label className="relative inline-flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                className="sr-only peer"
+                checked={isSimplified}
+                onChange={onToggleClassifier}
+              />
+              <div className="w-9 h-5 bg-gray-200 rounded-full peer                               
+                              after:content-[''] after:absolute after:top-0.5 after:left-0.5 
+                              after:bg-white after:rounded-full after:h-4 after:w-4 
+                              after:transition-all peer-checked:after:translate-x-4"></div>
+            </label>
+          </div>
+
           <div className="flex items-center gap-2">
             <span className="text-xs text-gray-500 font-medium">
               {showSizes ? "Sizes" : "Indices"}
@@ -294,6 +457,13 @@ const InfoPanel = ({
         </div>
       </div>
 
+      {operandNames && (
+        <div className="text-center text-sm text-gray-600 mt-1 break-all">
+          <span className="font-semibold text-gray-800">{operandNames.node}</span>
+          {operandNames.operands.length > 0 && ` = ${operandNames.operands.join(' \u00b7 ')}`}
+        </div>
+      )}
+
       {/* Flow tree visualization */}
       <div className="flex items-start justify-center relative overflow-hidden">
         <div className="flex flex-col justify-start items-center mt-2">
@@ -309,6 +479,39 @@ const InfoPanel = ({
         </div>
       </div>
 
+      {isNary && (
+        <div className="w-full mt-2 text-sm">
+          <div className="font-medium text-gray-800">Fused contraction of {connectedNodes.extraChildren.length + 2} operands</div>
+          <ol className="list-decimal list-inside text-gray-700">
+            {[connectedNodes.left, connectedNodes.right, ...connectedNodes.extraChildren].map(operand => (
+              <li key={operand.id}>
+                {tensorNames?.[operand.id] && <span className="font-semibold">{tensorNames[operand.id]} </span>}
+                [{operand.value.join(',')}]
+              </li>
+            ))}
+          </ol>
+          <div className="flex items-center gap-2 mt-2">
+            <input
+              type="text"
+              value={binarizeOrder}
+              onChange={(e) => setBinarizeOrder(e.target.value)}
+              onMouseDown={(e) => e.stopPropagation()}
+              placeholder="Order, e.g. 1,3,2"
+              className="flex-1 min-w-0 p-1 border border-gray-300 rounded-md"
+            />
+            <button
+              className="px-3 py-1.5 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-md
+                          transition-all shadow-sm border border-gray-200
+                          hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-300"
+              onClick={handleBinarize}
+              title="Contract the operands pairwise in the given order"
+            >
+              <span className="text-sm font-medium">Binarize</span>
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="flex flex-wrap justify-center w-full gap-2">
         {node.data.left && node.data.right && (
           <button
@@ -324,6 +527,26 @@ const InfoPanel = ({
           </button>
         )}
 
+        {Object.values(RotationDirectionType).map(direction => rotations[direction] && (
+          <button
+            key={direction}
+            className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 
+                          hover:bg-gray-100 text-gray-700 rounded-md 
+                          transition-all shadow-sm border border-gray-200
+                          hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-300"
+            onClick={(e) => handleRotate(e, direction)}
+            title={`${ROTATION_TITLES[direction]}\nOperations: ${formatOperations(rotations[direction].before)} → ${formatOperations(rotations[direction].after)}`}
+          >
+            {direction === RotationDirectionType.Left
+              ? <TbRotate size={dimensions.fontSize} />
+              : <TbRotateClockwise size={dimensions.fontSize} />}
+            <span className="text-sm font-medium">Rotate {direction}</span>
+            <span className={`text-xs ${deltaColor(rotations[direction].delta)}`}>
+              {formatOperationsDelta(rotations[direction].delta)}
+            </span>
+          </button>
+        ))}
+
         {!node.data.deleteAble && (
           <button
             className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 
@@ -353,6 +576,12 @@ const InfoPanel = ({
         )}
       </div>
 
+      {diagnostics.length > 0 && (
+        <div className="w-full mt-2">
+          <DiagnosticList diagnostics={diagnostics} />
+        </div>
+      )}
+
       {!isEmptyDimTypes && (
         <div className="w-full overflow-x-auto mt-2">
           <table className="w-full border-collapse rounded-lg overflow-hidden shadow-sm">
@@ -361,20 +590,22 @@ const InfoPanel = ({
                 <th className="py-2 px-4 text-left font-semibold text-gray-700 border-b border-gray-200">Type</th>
                 <th className="py-2 px-4 text-center font-semibold text-gray-700 border-b border-gray-200">
                   <div className="flex flex-col items-center">
-                    <span>Primitive</span>
-                    <span className={`text-xs text-gray-500 h-3 leading-3 ${showSizes ? 'opacity-100' : 'opacity-0'}`}>
-                      (sizes)
-                    </span>
-                  </div>
-                </th>
-                <th className="py-2 px-4 text-center font-semibold text-gray-700 border-b border-gray-200">
-                  <div className="flex flex-col items-center">
-                    <span>Loop</span>
+                    <span>{isSimplified ? 'Indices' : 'Primitive'}</span>
                     <span className={`text-xs text-gray-500 h-3 leading-3 ${showSizes ? 'opacity-100' : 'opacity-0'}`}>
                       (sizes)
                     </span>
                   </div>
                 </th>
+                {!isSimplified && (
+                  <th className="py-2 px-4 text-center font-semibold text-gray-700 border-b border-gray-200">
+                    <div className="flex flex-col items-center">
+                      <span>Loop</span>
+                      <span className={`text-xs text-gray-500 h-3 leading-3 ${showSizes ? 'opacity-100' : 'opacity-0'}`}>
+                        (sizes)
+                      </span>
+                    </div>
+                  </th>
+                )}
               </tr>
             </thead>
             <tbody>
@@ -413,22 +644,24 @@ const InfoPanel = ({
                         </div>
                       </div>
                     </td>
-                    <td className="border-gray-100 text-center relative">
-                      <div className="relative w-full h-full flex items-center justify-center min-h-[2rem]">
-                        <div
-                          className={`absolute inset-0 flex items-center justify-center transition-all duration-300 ${showSizes ? 'opacity-0 transform -translate-y-2' : 'opacity-100 transform translate-y-0'
-                            }`}
-                        >
-                          <span className="text-gray-700">{loopData.join(', ') || '-'}</span>
-                        </div>
-                        <div
-                          className={`absolute inset-0 flex items-center justify-center transition-all duration-300 ${showSizes ? 'opacity-100 transform translate-y-0' : 'opacity-0 transform translate-y-2'
-                            }`}
-                        >
-                          <span className="text-gray-700">{calculateSize(loopData)}</span>
+                    {!isSimplified && (
+                      <td className="border-gray-100 text-center relative">
+                        <div className="relative w-full h-full flex items-center justify-center min-h-[2rem]">
+                          <div
+                            className={`absolute inset-0 flex items-center justify-center transition-all duration-300 ${showSizes ? 'opacity-0 transform -translate-y-2' : 'opacity-100 transform translate-y-0'
+                              }`}
+                          >
+                            <span className="text-gray-700">{loopData.join(', ') || '-'}</span>
+                          </div>
+                          <div
+                            className={`absolute inset-0 flex items-center justify-center transition-all duration-300 ${showSizes ? 'opacity-100 transform translate-y-0' : 'opacity-0 transform translate-y-2'
+                              }`}
+                          >
+                            <span className="text-gray-700">{calculateSize(loopData)}</span>
+                          </div>
                         </div>
-                      </div>
-                    </td>
+                      </td>
+                    )}
                   </tr>
                 );
               })}
@@ -436,6 +669,51 @@ const InfoPanel = ({
           </table>
         </div>
       )}
+
+      {gemm && (
+        <div className="w-full mt-3 pt-2 border-t border-gray-100">
+          <div className="font-semibold text-gray-800 mb-1">GEMM Mapping</div>
+          {gemm.mappable ? (
+            <>
+              <div className="grid grid-cols-3 gap-x-4 gap-y-1 text-sm text-gray-700">
+                <span>M: {gemm.m}</span>
+                <span>N: {gemm.n}</span>
+                <span>K: {gemm.k}</span>
+                <span>A: {gemm.a}{gemm.transA ? 'ᵀ' : ''}</span>
+                <span>B: {gemm.b}{gemm.transB ? 'ᵀ' : ''}</span>
+                <span>Batch: {gemm.batchCount}</span>
+                <span>lda: {gemm.lda}</span>
+                <span>ldb: {gemm.ldb}</span>
+                <span>ldc: {gemm.ldc}</span>
+                {gemm.batchCount > 1 && (
+                  <>
+                    <span>strideA: {gemm.strideA}</span>
+                    <span>strideB: {gemm.strideB}</span>
+                    <span>strideC: {gemm.strideC}</span>
+                  </>
+                )}
+              </div>
+              <div className="flex gap-2 mt-2">
+                {[GemmLibrary.CuBLAS, GemmLibrary.OpenBLAS].map(library => (
+                  <button
+                    key={library}
+                    className="px-3 py-1 text-sm bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-md
+                              shadow-sm border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-300"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleCopyGemm(library);
+                    }}
+                  >
+                    Copy {library}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <div className="text-sm text-gray-600">{gemm.reason}</div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -447,11 +725,18 @@ const InfoPanel = ({
 export default React.memo(InfoPanel, (prevProps, nextProps) =>
   isEqual(prevProps.connectedNodes, nextProps.connectedNodes) &&
   isEqual(prevProps.indexSizes, nextProps.indexSizes) &&
+  prevProps.dataTypeSize === nextProps.dataTypeSize &&
   prevProps.showSizes === nextProps.showSizes &&
   prevProps.onToggleSizes === nextProps.onToggleSizes &&
+  prevProps.classifierType === nextProps.classifierType &&
+  prevProps.onToggleClassifier === nextProps.onToggleClassifier &&
   isEqual(prevProps.node, nextProps.node) &&
+  isEqual(prevProps.tensorNames, nextProps.tensorNames) &&
   prevProps.swapChildren === nextProps.swapChildren &&
   prevProps.addPermutationNode === nextProps.addPermutationNode &&
   prevProps.removePermutationNode === nextProps.removePermutationNode &&
+  prevProps.binarizeNode === nextProps.binarizeNode &&
+  prevProps.rotateNode === nextProps.rotateNode &&
+  prevProps.previewRotation === nextProps.previewRotation &&
   prevProps.setConnectedNodes === nextProps.setConnectedNodes
 );
\ No newline at end of file
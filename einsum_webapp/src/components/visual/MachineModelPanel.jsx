@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { Toast } from '../common/Toast.jsx';
+import { DEFAULT_MACHINE_MODEL, isValidMachineModel } from '../utils/machineModel.jsx';
+
+const MachineModelPanel = ({ machineModel, onSave }) => {
+  const [draft, setDraft] = useState(machineModel);
+
+  useEffect(() => {
+    setDraft(machineModel);
+  }, [machineModel]);
+
+  const handleFieldChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCacheChange = (index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      caches: prev.caches.map((cache, i) => i === index ? { ...cache, [field]: value } : cache)
+    }));
+  };
+
+  const handleAddCache = () => {
+    setDraft(prev => ({
+      ...prev,
+      caches: [...prev.caches, { name: `L${prev.caches.length + 1}`, size: 0, bandwidth: 0 }]
+    }));
+  };
+
+  const handleRemoveCache = (index) => {
+    setDraft(prev => ({ ...prev, caches: prev.caches.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = () => {
+    const model = {
+      name: draft.name.trim() || DEFAULT_MACHINE_MODEL.name,
+      peakGflops: parseFloat(draft.peakGflops),
+      memoryBandwidth: parseFloat(draft.memoryBandwidth),
+      caches: draft.caches.map(cache => ({
+        name: cache.name.trim() || 'Cache',
+        size: parseFloat(cache.size),
+        bandwidth: parseFloat(cache.bandwidth)
+      }))
+    };
+
+    if (!isValidMachineModel(model)) {
+      Toast.show('Peak performance, bandwidths and cache sizes must be positive numbers');
+      return;
+    }
+    onSave(model);
+  };
+
+  const handleReset = () => {
+    onSave(DEFAULT_MACHINE_MODEL);
+  };
+
+  const inputClassName = "p-1 border border-gray-300 rounded-md";
+
+  return (
+    <CollapsiblePanel title="Machine Model">
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <label className="flex flex-col col-span-2">
+          <span className="font-medium mb-1">Name</span>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => handleFieldChange('name', e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="font-medium mb-1">Peak GFLOP/s</span>
+          <input
+            type="number"
+            min="0"
+            value={draft.peakGflops}
+            onChange={(e) => handleFieldChange('peakGflops', e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="font-medium mb-1">Memory GB/s</span>
+          <input
+            type="number"
+            min="0"
+            value={draft.memoryBandwidth}
+            onChange={(e) => handleFieldChange('memoryBandwidth', e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+
+      <div className="mb-2 font-medium">Cache Levels</div>
+      {draft.caches.length === 0 && (
+        <div className="text-sm text-gray-500 mb-2">
+          No cache levels, all data is streamed from main memory.
+        </div>
+      )}
+      {draft.caches.map((cache, index) => (
+        <div key={index} className="flex items-center gap-2 mb-2">
+          <input
+            type="text"
+            value={cache.name}
+            onChange={(e) => handleCacheChange(index, 'name', e.target.value)}
+            title="Name"
+            className={`${inputClassName} w-16`}
+          />
+          <input
+            type="number"
+            min="0"
+            value={cache.size}
+            onChange={(e) => handleCacheChange(index, 'size', e.target.value)}
+            title="Capacity in KiB"
+            className={`${inputClassName} w-24`}
+          />
+          <span className="text-sm text-gray-600">KiB</span>
+          <input
+            type="number"
+            min="0"
+            value={cache.bandwidth}
+            onChange={(e) => handleCacheChange(index, 'bandwidth', e.target.value)}
+            title="Bandwidth in GB/s"
+            className={`${inputClassName} w-24`}
+          />
+          <span className="text-sm text-gray-600">GB/s</span>
+          <button
+            onClick={() => handleRemoveCache(index)}
+            className="ml-auto px-2 py-1 text-sm text-red-600 hover:bg-red-50 rounded-md"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={handleAddCache}
+        className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md"
+      >
+        Add Cache Level
+      </button>
+
+      <div className="flex gap-2 mt-4">
+        <button
+          onClick={handleSave}
+          className="flex-1 px-5 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+        >
+          Save Machine Model
+        </button>
+        <button
+          onClick={handleReset}
+          className="px-5 py-2 bg-[#282c34] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+        >
+          Reset
+        </button>
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default MachineModelPanel;
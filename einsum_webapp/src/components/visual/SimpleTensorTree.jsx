@@ -2,6 +2,7 @@ import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react'
 import { createPortal } from 'react-dom';
 import NodeIndicesPanel from './NodeIndicesPanel.jsx';
 import useDeviceSize from '../utils/useDeviceSize.jsx';
+import { tailIndices } from '../utils/formatting.jsx';
 
 // Track active tooltip panel globally
 let activeNodeIndicesPanel = null;
@@ -226,9 +227,9 @@ const SimpleTensorTree = ({ node, left, right, dimTypes, onIndicesChange, isDrag
             };
         }
 
-        const fullText = text.join('');
+        const fullText = text.join(',');
         const truncateThreshold = miniFlow.nodeWidth < 100 ? 8 : 12;
-        const shouldTruncate = fullText.length > truncateThreshold;
+        const tail = tailIndices(text, truncateThreshold);
 
         const createColoredHtml = (letters) => {
             return letters
@@ -240,8 +241,8 @@ const SimpleTensorTree = ({ node, left, right, dimTypes, onIndicesChange, isDrag
                 .join(',');
         };
 
-        const truncatedHtml = shouldTruncate ?
-            '...' + createColoredHtml(text.slice(-3)) :
+        const truncatedHtml = tail.truncated ?
+            '...' + createColoredHtml(tail.indices) :
             createColoredHtml(text);
 
         return {
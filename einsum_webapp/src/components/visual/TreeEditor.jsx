@@ -0,0 +1,198 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { Toast } from '../common/Toast.jsx';
+import { isTensorName } from '../utils/einsumContractionTree.jsx';
+import { parseIndexList, proposeContractionIndices, buildTree } from '../utils/treeBuilder.jsx';
+
+/**
+ * Short label of an editor operand, the leaf name or its indices for leaves
+ * and the labels of both operands for contractions
+ * @param {Object} operand - Editor operand
+ * @returns {string} The label
+ */
+const operandLabel = (operand) => {
+  if (!operand.children) return operand.name || `[${operand.indices.join(',')}]`;
+  return `(${operand.children.map(operandLabel).join(' · ')})`;
+};
+
+/**
+ * Editor that builds a contraction tree without the bracket syntax. Leaf
+ * tensors are added with their indices, selecting two operands proposes the
+ * output indices of their contraction, which can be edited before the
+ * contraction is created. A single remaining contraction is handed over as
+ * a Tree.
+ * @param {Object} props
+ * @param {Function} props.onBuild - Receives the finished Tree
+ */
+const TreeEditor = ({ onBuild }) => {
+  const [operands, setOperands] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [leafName, setLeafName] = useState('');
+  const [leafIndices, setLeafIndices] = useState('');
+  const [outputIndices, setOutputIndices] = useState('');
+  const nextId = useRef(1);
+
+  const selected = useMemo(
+    () => selectedIds.map(id => operands.find(operand => operand.id === id)).filter(Boolean),
+    [selectedIds, operands]
+  );
+
+  // Propose the output of the selected pair, which the user may then edit
+  useEffect(() => {
+    if (selected.length !== 2) {
+      setOutputIndices('');
+      return;
+    }
+    const others = operands.filter(operand => !selectedIds.includes(operand.id)).map(operand => operand.indices);
+    setOutputIndices(proposeContractionIndices(selected[0].indices, selected[1].indices, others).join(','));
+  }, [selected, selectedIds, operands]);
+
+  const createId = () => `operand_${nextId.current++}`;
+
+  const handleAddLeaf = () => {
+    const name = leafName.trim();
+    if (name && !isTensorName(name)) {
+      Toast.show(`Invalid tensor name '${name}', start with a letter or underscore`);
+      return;
+    }
+    try {
+      const indices = parseIndexList(leafIndices);
+      setOperands(prev => [...prev, { id: createId(), name: name || null, indices, children: null }]);
+      setLeafName('');
+      setLeafIndices('');
+    } catch (error) {
+      Toast.show(error.message);
+    }
+  };
+
+  const handleSelect = (id) => {
+    setSelectedIds(prev => {
+      if (prev.includes(id)) return prev.filter(selectedId => selectedId !== id);
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const handleContract = () => {
+    if (selected.length !== 2) return;
+    try {
+      const indices = parseIndexList(outputIndices, true);
+      const contraction = { id: createId(), name: null, indices, children: selected };
+      setOperands(prev => prev.flatMap(operand => {
+        if (operand.id === selected[0].id) return [contraction];
+        if (operand.id === selected[1].id) return [];
+        return [operand];
+      }));
+      setSelectedIds([contraction.id]);
+    } catch (error) {
+      Toast.show(error.message);
+    }
+  };
+
+  // Splitting a contraction returns its operands, removing a leaf deletes it
+  const handleRemove = () => {
+    if (selected.length !== 1) return;
+    const [operand] = selected;
+    setOperands(prev => prev.flatMap(other => other.id === operand.id ? (operand.children || []) : [other]));
+    setSelectedIds([]);
+  };
+
+  const handleClear = () => {
+    setOperands([]);
+    setSelectedIds([]);
+  };
+
+  const handleBuild = () => {
+    if (operands.length !== 1 || !operands[0].children) {
+      Toast.show('Contract the operands until a single contraction is left');
+      return;
+    }
+    onBuild(buildTree(operands[0]));
+  };
+
+  const inputClassName = "p-1 border border-gray-300 rounded-md";
+  const buttonClassName = "px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md disabled:opacity-50";
+
+  return (
+    <CollapsiblePanel title="Tree Editor">
+      <div className="flex items-center gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Name, e.g. A"
+          value={leafName}
+          onChange={(e) => setLeafName(e.target.value)}
+          className={`${inputClassName} w-24`}
+        />
+        <input
+          type="text"
+          placeholder="Indices, e.g. i,j"
+          value={leafIndices}
+          onChange={(e) => setLeafIndices(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAddLeaf()}
+          className={`${inputClassName} flex-grow`}
+        />
+        <button onClick={handleAddLeaf} className={buttonClassName}>
+          Add Tensor
+        </button>
+      </div>
+
+      {operands.length === 0 && (
+        <div className="text-sm text-gray-500 mb-4">
+          Add leaf tensors, then select two of them to contract them.
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {operands.map(operand => (
+          <button
+            key={operand.id}
+            onClick={() => handleSelect(operand.id)}
+            title={operandLabel(operand)}
+            className={`flex flex-col items-center px-3 py-2 rounded-lg border transition-colors ${selectedIds.includes(operand.id)
+              ? 'border-[#1e3a5f] bg-blue-50'
+              : 'border-gray-300 bg-white hover:bg-gray-50'
+              }`}
+          >
+            <span className="text-sm font-semibold text-[#1e3a5f] max-w-[10rem] truncate">
+              {operand.children ? operandLabel(operand) : operand.name || 'leaf'}
+            </span>
+            <span className="text-sm">[{operand.indices.join(',')}]</span>
+          </button>
+        ))}
+      </div>
+
+      {selected.length === 2 && (
+        <div className="flex items-center gap-2 mb-4">
+          <span className="text-sm font-medium whitespace-nowrap">Output</span>
+          <input
+            type="text"
+            value={outputIndices}
+            onChange={(e) => setOutputIndices(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleContract()}
+            title="Proposed from the operands, shared indices are contracted unless another operand needs them"
+            className={`${inputClassName} flex-grow`}
+          />
+          <button onClick={handleContract} className={buttonClassName}>
+            Contract
+          </button>
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button onClick={handleRemove} disabled={selected.length !== 1} className={buttonClassName}>
+          {selected[0]?.children ? 'Split' : 'Remove'}
+        </button>
+        <button onClick={handleClear} disabled={operands.length === 0} className={buttonClassName}>
+          Clear
+        </button>
+        <button
+          onClick={handleBuild}
+          disabled={operands.length !== 1}
+          className="ml-auto px-5 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 disabled:opacity-50"
+        >
+          Use Tree
+        </button>
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default TreeEditor;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { TbArrowBackUp, TbArrowForwardUp } from 'react-icons/tb';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+
+/**
+ * Lists the recorded edits of the tree, the current step highlighted and
+ * undone steps greyed out, with buttons to undo and redo them
+ * @param {Object} props - Component props
+ * @param {Object} props.undoStack - Stack of recorded edits
+ * @param {Function} props.onUndo - Callback to undo the current step
+ * @param {Function} props.onRedo - Callback to redo the next undone step
+ * @returns {React.Component} UndoPanel component
+ */
+const UndoPanel = ({ undoStack, onUndo, onRedo }) => {
+  const { past, present, future } = undoStack;
+  const canUndo = past.length > 0;
+  const canRedo = future.length > 0;
+  const buttonClassName = (enabled) =>
+    `p-1 rounded-md transition-colors ${enabled ? 'text-gray-700 hover:bg-gray-200 cursor-pointer' : 'text-gray-300'}`;
+
+  // The panel header is a button, so the controls are divs acting as buttons
+  const renderControl = (label, enabled, title, onActivate, Icon) => (
+    <div
+      onClick={(e) => {
+        e.stopPropagation();
+        if (enabled) onActivate();
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          e.stopPropagation();
+          if (enabled) onActivate();
+        }
+      }}
+      role="button"
+      tabIndex={0}
+      aria-label={label}
+      aria-disabled={!enabled}
+      title={title}
+      className={buttonClassName(enabled)}
+    >
+      <Icon size={20} />
+    </div>
+  );
+
+  return (
+    <CollapsiblePanel
+      title="Edit Steps"
+      headerContent={
+        <div className="flex gap-1 ml-auto">
+          {renderControl('Undo', canUndo, canUndo ? `Undo ${present.label} (Ctrl+Z)` : 'Nothing to undo', onUndo, TbArrowBackUp)}
+          {renderControl('Redo', canRedo, canRedo ? `Redo ${future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo', onRedo, TbArrowForwardUp)}
+        </div>
+      }
+    >
+      {!present ? (
+        <div className="text-sm text-gray-500">Edits of the tree appear here.</div>
+      ) : (
+        <ol className="space-y-1 text-sm">
+          {past.map((step, index) => (
+            <li key={`past-${index}`} className="px-2 py-1 truncate">{step.label}</li>
+          ))}
+          <li className="px-2 py-1 truncate font-semibold bg-blue-50 rounded">{present.label}</li>
+          {future.map((step, index) => (
+            <li key={`future-${index}`} className="px-2 py-1 truncate text-gray-400">{step.label}</li>
+          ))}
+        </ol>
+      )}
+    </CollapsiblePanel>
+  );
+};
+
+export default UndoPanel;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import DiagnosticList from './DiagnosticList.jsx';
+import { verifyTree, MAX_VERIFICATION_SIZE } from '../utils/tensorExecutor.jsx';
+
+/**
+ * Executes the tree on small random inputs and compares the result with a
+ * direct evaluation of the einsum over all leaves
+ * @param {Object} props
+ * @param {Object} props.root - Root node of the tree
+ * @param {Object} props.indexSizes - Index sizes mapping
+ * @param {Function} props.onSelectIssue - Called with an issue when it is clicked
+ */
+const VerificationPanel = ({ root, indexSizes, onSelectIssue }) => {
+  const [result, setResult] = useState(null);
+
+  // A result only describes the tree it was computed for
+  useEffect(() => {
+    setResult(null);
+  }, [root, indexSizes]);
+
+  const handleVerify = () => {
+    setResult(verifyTree(root, indexSizes));
+  };
+
+  const formatError = (value) => value.toExponential(2);
+
+  return (
+    <CollapsiblePanel
+      title="Verification"
+      headerContent={result && (
+        <span className={`mr-2 px-2 text-sm text-white rounded-full ${result.passed ? 'bg-green-600' : 'bg-red-600'}`}>
+          {result.passed ? 'passed' : 'failed'}
+        </span>
+      )}
+    >
+      <div className="text-sm text-gray-600 mb-2">
+        Executes every node on random inputs, with index sizes capped at {MAX_VERIFICATION_SIZE}, and
+        compares the result with a direct evaluation of the whole einsum.
+      </div>
+      <button
+        onClick={handleVerify}
+        className="px-5 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+      >
+        Run Verification
+      </button>
+
+      {result && (
+        <div className="mt-4">
+          <table className="w-full text-lg mb-2">
+            <tbody>
+              <tr>
+                <td className="pr-4 font-medium">Max Absolute Error:</td>
+                <td>{formatError(result.maxAbsError)}</td>
+              </tr>
+              <tr>
+                <td className="pr-4 font-medium">Max Absolute Value:</td>
+                <td>{formatError(result.maxAbsReference)}</td>
+              </tr>
+              <tr>
+                <td className="pr-4 font-medium">Index Sizes:</td>
+                <td className="text-sm">
+                  {Object.entries(result.sizes).map(([index, size]) => `${index}=${size}`).join(', ')}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+          {result.issues.length > 0 && (
+            <DiagnosticList diagnostics={result.issues} showNode onSelect={onSelectIssue} />
+          )}
+        </div>
+      )}
+    </CollapsiblePanel>
+  );
+};
+
+export default VerificationPanel;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useRef } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { Toast } from '../common/Toast.jsx';
+import { serializeWorkspace } from '../utils/workspaceStorage.jsx';
+
+/**
+ * File name of an exported workspace, e.g. `my-project.einsum.json`
+ * @param {string} name - Name of the workspace
+ * @returns {string} The file name
+ */
+const exportFileName = (name) =>
+  `${name.trim().replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'workspace'}.einsum.json`;
+
+/**
+ * Panel to switch between workspaces, the named collections of trees of a
+ * project, to name them, take notes and export or import them as JSON files
+ * @param {Object} props - Component props
+ * @param {Array} props.workspaces - All workspaces
+ * @param {Object|null} props.workspace - The active workspace, null while loading
+ * @param {Function} props.onSelect - Receives the id of the workspace to activate
+ * @param {Function} props.onCreate - Receives the name of a new workspace
+ * @param {Function} props.onUpdate - Receives changed properties of the active workspace
+ * @param {Function} props.onDelete - Deletes the active workspace
+ * @param {Function} props.onImport - Receives the content of an exported file, throws if it is invalid
+ * @returns {React.Component} WorkspacePanel component
+ */
+const WorkspacePanel = ({ workspaces, workspace, onSelect, onCreate, onUpdate, onDelete, onImport }) => {
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    setName(workspace?.name || '');
+    setNotes(workspace?.notes || '');
+  }, [workspace?.id, workspace?.name, workspace?.notes]);
+
+  if (!workspace) return null;
+
+  const handleRename = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setName(workspace.name);
+      return;
+    }
+    if (trimmed !== workspace.name) onUpdate({ name: trimmed });
+  };
+
+  const handleCreate = () => {
+    const names = workspaces.map(item => item.name);
+    let newName = 'Workspace';
+    for (let i = 2; names.includes(newName); i++) {
+      newName = `Workspace ${i}`;
+    }
+    onCreate(newName);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the workspace '${workspace.name}' and its history?`)) {
+      onDelete();
+    }
+  };
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([serializeWorkspace(workspace)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportFileName(workspace.name);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const imported = onImport(text);
+        Toast.show(`Imported workspace '${imported.name}'`);
+      })
+      .catch(error => Toast.show(`Import failed: ${error.message}`));
+  };
+
+  const buttonClassName = "px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md";
+
+  return (
+    <CollapsiblePanel title="Workspace">
+      <div className="flex items-center gap-2 mb-2">
+        <select
+          value={workspace.id}
+          onChange={(e) => onSelect(e.target.value)}
+          title="Active workspace"
+          className="p-1 border border-gray-300 rounded-md"
+        >
+          {workspaces.map(item => (
+            <option key={item.id} value={item.id}>{item.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={handleRename}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          aria-label="Workspace name"
+          className="flex-grow min-w-0 p-1 border border-gray-300 rounded-md"
+        />
+      </div>
+      <textarea
+        placeholder="Notes on the project"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        onBlur={() => notes !== workspace.notes && onUpdate({ notes })}
+        rows={2}
+        className="w-full p-1 mb-2 border border-gray-300 rounded-md"
+      />
+      <div className="flex flex-wrap gap-2">
+        <button onClick={handleCreate} className={buttonClassName}>
+          New
+        </button>
+        <button onClick={handleDelete} className={`${buttonClassName} text-red-600`}>
+          Delete
+        </button>
+        <button onClick={handleExport} title="Download the workspace as JSON file" className={`${buttonClassName} ml-auto`}>
+          Export
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} title="Add a workspace from an exported JSON file" className={buttonClassName}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+          data-testid="workspace-import"
+        />
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default WorkspacePanel;